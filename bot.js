@@ -1,7 +1,14 @@
 const TelegramBot = require('node-telegram-bot-api');
 const HeliusWebSocketBackend = require('./websocket-backend');
+const { SOL_MINT, FILTER_RULE_LISTS } = HeliusWebSocketBackend;
 const fs = require('fs');
+const axios = require('axios');
 const { botLogger, notificationLogger } = require('./utils/Logger');
+const { createStorage } = require('./utils/Storage');
+const PnLTracker = require('./utils/PnLTracker');
+const TierManager = require('./utils/TierManager');
+const WatchlistManager = require('./utils/WatchlistManager');
+const SignalEngine = require('./utils/SignalEngine');
 
 // Token del bot de Telegram (secure)
 const BOT_TOKEN = process.env.BOT_TOKEN || '8481266051:AAFEHifet3Ms5fXArYEWgh5yNNkoNnVDKbQ';
@@ -17,16 +24,40 @@ class ONECTRAWalletBot {
         // Map para guardar usuarios y sus wallets
         this.userWallets = new Map(); // telegramId -> Set(wallets)
         
+        // Etiquetas/apodos de wallets por usuario
+        this.userLabels = new Map(); // telegramId -> Map(wallet -> label)
+        this.MAX_LABEL_LENGTH = 32;
+        this.LABEL_FORBIDDEN_CHARS = /[*_`\[]/;
+        
         // Map para rastrear IDs de mensajes del bot para poder eliminarlos
         this.botMessageIds = new Map(); // telegramId -> Array(messageIds)
         
-        // Sistema de auto-limpieza por inactividad (extendido para mejor UX)
-        this.lastUserActivity = Date.now();
-        this.inactivityTimeout = null;
-        this.INACTIVITY_LIMIT = 1800000; // 30 minutos (1800000 ms) - más razonable
+        // Sistema de auto-limpieza por inactividad (por chat, no global)
+        this.userActivity = new Map(); // telegramId -> timestamp de la última actividad
+        this.userInactivityPolicy = new Map(); // telegramId -> { autoCleanup, timeoutMs }
+        this.inactivityWarnings = new Map(); // telegramId -> timestamp del aviso enviado
+        this.INACTIVITY_LIMIT = parseInt(process.env.INACTIVITY_TIMEOUT, 10) || 1800000; // 30 minutos por defecto
+        this.INACTIVITY_WARNING = 300000; // Avisar 5 minutos antes de limpiar
+        this.MIN_INACTIVITY_MINUTES = 10;
+        this.MAX_INACTIVITY_MINUTES = 1440; // 24 horas
+        
+        // Límite de wallets por chat según su nivel (free/pro/team); los grupos comparten el cupo del grupo
+        this.tierManager = new TierManager();
         
-        // Límite de wallets por usuario
-        this.MAX_WALLETS_PER_USER = 3;
+        // Grupos y canales: solo los administradores del chat cambian su configuración
+        this.botUsername = null;
+        this.chatAdminCache = new Map(); // `${chatId}:${userId}` -> { isAdmin, expiry }
+        this.CHAT_ADMIN_CACHE_MS = 60 * 1000;
+        this.GROUP_MEMBER_COMMANDS = new Set(['start', 'help', 'list', 'status', 'pnl', 'history']);
+        this.GROUP_MEMBER_BUTTONS = new Set(['status', 'list', 'help', 'commands', 'track_help', 'untrack_help']);
+        this.GROUP_MEMBER_BUTTON_PREFIXES = ['history_', 'pnl_'];
+        this.deniedMessages = new WeakSet(); // un solo aviso aunque varios handlers coincidan
+        
+        // Administradores del bot (ADMIN_CHAT_IDS="123,456"): reglas globales de filtrado
+        this.adminChatIds = new Set(
+            (process.env.ADMIN_CHAT_IDS || '').split(',').map(id => Number(id.trim())).filter(Boolean)
+        );
+        this.MAX_RULES_LISTED = 50;
         
         // Advanced Settings System (Professional Features)
         this.userSettings = new Map(); // telegramId -> settings object
@@ -35,14 +66,126 @@ class ONECTRAWalletBot {
             precisionFilter: 'medium',
             websocketBuffer: '8KB',
             analyticsDepth: 'standard',
-            riskCalibration: 'moderate',
+            riskCalibration: 'aggressive',
             signalSensitivity: 'balanced',
             noiseReduction: 'enabled',
-            algorithmVersion: 'v2.1.4'
+            algorithmVersion: 'v2.1.4',
+            finalityUpdates: 'disabled',
+            explorer: 'solscan',
+            alertLayout: 'detailed',
+            timezone: 'UTC',
+            alertTemplate: null
+        };
+        
+        // Presentación de las alertas (/settings explorer|layout|timezone|template)
+        this.EXPLORERS = {
+            solscan: { name: 'Solscan', txUrl: (signature) => `https://solscan.io/tx/${signature}` },
+            solanafm: { name: 'SolanaFM', txUrl: (signature) => `https://solana.fm/tx/${signature}` },
+            xray: { name: 'XRAY', txUrl: (signature) => `https://xray.helius.xyz/tx/${signature}` },
+            solana: { name: 'Solana Explorer', txUrl: (signature) => `https://explorer.solana.com/tx/${signature}` }
+        };
+        this.TIMEZONE_PRESETS = ['UTC', 'America/New_York', 'Europe/London', 'Europe/Madrid', 'Asia/Singapore', 'Asia/Tokyo'];
+        this.MAX_TEMPLATE_LENGTH = 300;
+        this.TEMPLATE_PLACEHOLDERS = {
+            wallet: 'label or short address',
+            address: 'full wallet address',
+            emoji: '🟢 / 🔴 / 🔄',
+            side: 'bought / sold / swapped',
+            sol: 'trade value in SOL',
+            usd: 'trade value in USD',
+            token: 'token symbol',
+            amount: 'token amount',
+            mint: 'token mint',
+            time: 'time in your timezone',
+            link: 'explorer URL of the transaction'
+        };
+        
+        // Latencia → commitment de la suscripción (de más rápido a más seguro)
+        this.LATENCY_COMMITMENTS = {
+            low: 'processed',
+            standard: 'confirmed',
+            high: 'finalized'
+        };
+        
+        // Riesgo del token en las alertas de compra: /settings risk decide qué niveles se ocultan
+        this.RISK_BADGES = { low: '🟢', medium: '🟡', high: '🔴' };
+        this.RISK_SUPPRESSED_LEVELS = {
+            conservative: ['medium', 'high'],
+            moderate: ['high'],
+            aggressive: []
+        };
+        this.SETTINGS_VERSION = 2; // versión del formato de userSettings en el estado guardado
+        this.TOKEN_SAFETY_WAIT_MS = 4000; // espera máxima de los chats que ocultan compras de riesgo
+        
+        // Alertas enviadas por chat: una misma transacción se edita en lugar de generar otro mensaje
+        this.alertMessages = new Map(); // telegramId -> Map(signature:wallet -> { messageId, data, text, sending })
+        this.MAX_ALERTS_PER_CHAT = 100;
+        
+        // Silencios desde los botones de las alertas (/mutes); van aparte de /filter para no tocar sus listas
+        this.tokenMutes = new Map(); // telegramId -> Set(mints silenciados)
+        this.MAX_MUTED_TOKENS = 100;
+        this.walletMutes = new Map(); // telegramId -> Map(wallet -> timestamp hasta el que no se notifica)
+        this.WALLET_MUTE_MS = 60 * 60 * 1000;
+        
+        // Categorías de eventos que recibe cada usuario (/events); solo swaps por defecto
+        this.userEvents = new Map(); // telegramId -> { categoría: boolean }
+        this.defaultEventCategories = {
+            swaps: true,
+            transfers: false,
+            nfts: false,
+            liquidity: false,
+            staking: false,
+            mints: false,
+            burns: false
+        };
+        this.eventCategoryInfo = {
+            swaps: { emoji: '🔄', name: 'Swaps', description: 'Buys, sells and token swaps' },
+            transfers: { emoji: '💸', name: 'Transfers', description: 'SOL and token sends and receives' },
+            nfts: { emoji: '🖼', name: 'NFTs', description: 'NFT buys, sells and mints' },
+            liquidity: { emoji: '💧', name: 'Liquidity', description: 'LP adds and removes' },
+            staking: { emoji: '🥩', name: 'Staking', description: 'Stake, unstake and rewards' },
+            mints: { emoji: '🪙', name: 'Mints', description: 'Token mints' },
+            burns: { emoji: '🔥', name: 'Burns', description: 'Token and NFT burns' }
+        };
+        
+        // Filtros de notificación por usuario y wallet (/filter); '*' aplica a todas sus wallets
+        this.userFilters = new Map(); // telegramId -> Map(wallet | '*' -> filtro)
+        this.defaultFilter = {
+            minSize: null,
+            maxSize: null,
+            sizeUnit: 'SOL',  // SOL | USD
+            side: 'all',      // all | buy | sell
+            allowMints: [],   // si no está vacía, solo estos tokens
+            denyMints: [],
+            firstBuyOnly: false,  // compras: solo la primera de cada mint por wallet
+            maxTokenAgeMin: null  // compras: solo tokens creados hace menos de N minutos
+        };
+        this.MAX_FILTER_MINTS = 50;
+        // Campos que fija cada opción de /filter: en una wallet se guardan aunque igualen al valor por defecto
+        this.FILTER_ACTION_KEYS = {
+            min: ['minSize'],
+            max: ['maxSize'],
+            unit: ['sizeUnit'],
+            side: ['side'],
+            firstbuy: ['firstBuyOnly'],
+            age: ['maxTokenAgeMin']
         };
+        this.FILTER_MIN_PRESETS = [0.1, 1, 10];
+        this.FILTER_AGE_PRESET = 30;
+        this.MAX_TOKEN_AGE_FILTER_MIN = 60; // la edad solo se busca dentro de la ventana de token nuevo (1 hora)
         
-        // AI Signals System (Professional Features)
+        // AI Signals System: señales reales a partir de los swaps observados (utils/SignalEngine)
+        this.signalEngine = new SignalEngine();
+        this.LIVE_SIGNAL_CATEGORIES = ['momentum', 'volumeSpikes'];
+        this.SIGNAL_RISK_CONFIDENCE = { low: 85, medium: 75, high: 65 };
         this.userSignals = new Map(); // telegramId -> signals config
+        
+        // Alertas de convergencia (/convergence): K wallets rastreadas distintas comprando el mismo mint
+        this.userConvergence = new Map(); // telegramId -> { enabled, minWallets, windowMinutes, minBuySol }
+        this.defaultConvergence = { enabled: false, minWallets: 3, windowMinutes: 15, minBuySol: 0 };
+        this.CONVERGENCE_LIMITS = { minWallets: [2, 10], windowMinutes: [1, 60] }; // el motor guarda 1 hora de swaps
+        this.CONVERGENCE_MAX_LISTED = 15;
+        this.convergenceAlerts = new Map(); // `${chatId}:${mint}` -> { messageId, count, expiresAt, sending }
         this.defaultSignalConfig = {
             enabled: false,
             categories: {
@@ -57,9 +200,46 @@ class ONECTRAWalletBot {
             lastActivation: null
         };
         
+        // Historial de swaps (/history): una consulta a la vez por chat
+        this.HISTORY_DEFAULT_COUNT = 10;
+        this.HISTORY_MAX_COUNT = 25;
+        this.historyRequests = new Set(); // telegramId con una consulta en curso
+        
+        // Importar / exportar listas de wallets (/import, /export)
+        this.IMPORT_MAX_LINES = 200;
+        this.IMPORT_MAX_FILE_BYTES = 256 * 1024;
+        this.IMPORT_WAIT_MS = 5 * 60 * 1000;
+        this.IMPORT_RESULTS_SHOWN = 40;
+        this.pendingImports = new Map(); // telegramId -> expiración de la espera de un archivo tras /import
+        this.CSV_COLUMNS = ['address', 'label', 'min_size', 'max_size', 'size_unit', 'side', 'allow_mints', 'deny_mints', 'first_buy_only', 'max_token_age_min'];
+        
+        // Watchlists compartidas (/watchlist): sus wallets se añaden al userWallets de cada suscriptor
+        this.watchlists = new WatchlistManager();
+        this.MAX_WATCHLISTS_PER_CHAT = 10;
+        
+        // Posiciones y PnL por wallet rastreada (compartido entre usuarios)
+        this.pnlTracker = new PnLTracker();
+        this.PNL_MAX_LISTED = 10; // tokens por lista en /pnl <wallet>
+        
+        // Mints vistos por wallet rastreada, para marcar la primera compra de cada token (🆕 first buy)
+        this.walletSeenMints = new Map(); // wallet -> Set(mint)
+        this.MAX_SEEN_MINTS_PER_WALLET = 500;
+        this.SEEN_MINTS_HISTORY_TRADES = 100; // swaps del historial con los que se siembra una wallet nueva
+        this.seenMintsSeeding = Promise.resolve(); // las siembras van de una en una
+        this.seedingWallets = new Set(); // wallets cuya siembra no ha terminado: aún no se sabe qué es primera compra
+        this.recentFirstBuys = new Set(); // firmas de primeras compras recientes, para las re-notificaciones
+        this.MAX_RECENT_FIRST_BUYS = 200;
+        this.TOKEN_AGE_WAIT_MS = 4000; // espera máxima de los chats con filtro de edad
+        
+        // Persistencia: el estado sobrevive a reinicios y deploys
+        this.storage = createStorage();
+        this.saveTimeout = null;
+        this.SAVE_DEBOUNCE_MS = 1000;
+        this.loadPersistedState();
+        
         console.log('🤖 ONECTRA Wallet Bot initialized');
         console.log('🚀 Bot starting...');
-        console.log(`⏰ Auto-cleanup after ${this.INACTIVITY_LIMIT / 1000} seconds of inactivity`);
+        console.log(`⏰ Default auto-cleanup after ${this.INACTIVITY_LIMIT / 1000} seconds of inactivity (per chat)`);
         
         this.setupCommands();
         this.setupWebSocket();
@@ -73,11 +253,19 @@ class ONECTRAWalletBot {
         
         // Configurar el menú de comandos (botón MENU)
         this.setupBotMenu();
+        
+        // Grupos y canales: /comando@Bot y posts de canal
+        this.setupChatRouting();
 
-        // Comando /start
-        this.bot.onText(/\/start/, (msg) => {
+        // Comando /start (con "wl_<id>" desde un enlace de watchlist: suscribirse)
+        this.onCommand(/^\/start(?:\s+(\S+))?$/, (msg, match) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
+            
+            if (match[1] && match[1].startsWith('wl_')) {
+                this.handleWatchlistJoin(chatId, match[1].substring(3));
+                return;
+            }
             
             const welcomeMessage = `
 🚀 **Welcome to ONECTRA Wallet Tracker Bot!**
@@ -99,6 +287,9 @@ class ONECTRAWalletBot {
                         { text: '⚙️ Settings', callback_data: 'settings' },
                         { text: '🤖 AI Signals', callback_data: 'signals' }
                     ],
+                    [
+                        { text: '🔔 Alert Types', callback_data: 'events' }
+                    ],
                     [
                         { text: '❓ Help', callback_data: 'help' },
                         { text: '🔧 Commands', callback_data: 'commands' }
@@ -117,13 +308,20 @@ class ONECTRAWalletBot {
         });
 
         // Comando /track CON parámetro (wallet address)
-        this.bot.onText(/\/track (.+)/, (msg, match) => {
+        this.onCommand(/\/track (.+)/, (msg, match) => {
             const chatId = msg.chat.id;
-            const walletAddress = match[1].trim();
-            this.updateUserActivity(); // Actualizar actividad
+            const [walletAddress, ...labelParts] = match[1].trim().split(/\s+/);
+            const label = labelParts.join(' ');
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             console.log(`📱 User ${chatId} wants to track: ${walletAddress}`);
             
+            const labelError = label ? this.getLabelError(label) : null;
+            if (labelError) {
+                this.sendAndTrackMessage(chatId, `❌ ${labelError}`);
+                return;
+            }
+            
             if (this.websocket.validateWalletAddress(walletAddress)) {
                 // Inicializar set de wallets si no existe
                 if (!this.userWallets.has(chatId)) {
@@ -134,10 +332,18 @@ class ONECTRAWalletBot {
                 
                 // Verificar si ya está trackeando esta wallet
                 if (userWalletSet.has(walletAddress)) {
+                    // Rastrearla a mano la deja fuera de las watchlists: salir de una lista ya no la quita
+                    this.watchlists.detachWallet(chatId, walletAddress);
+                    this.persistState();
+                    if (label) {
+                        this.setWalletLabel(chatId, walletAddress, label);
+                    }
+                    
                     this.sendAndTrackMessage(chatId, 
                         `⚠️ **Already Tracking**\n\n` +
                         `You are already tracking this wallet:\n` +
-                        `\`${walletAddress}\`\n\n` +
+                        `${this.formatWalletEntry(chatId, walletAddress)}\n\n` +
+                        (label ? `🏷️ Label updated.\n\n` : '') +
                         `Use \`/list\` to see all your tracked wallets.`, 
                         { parse_mode: 'Markdown' }
                     );
@@ -146,36 +352,42 @@ class ONECTRAWalletBot {
                 }
                 
                 // Verificar límite de wallets
-                if (userWalletSet.size >= this.MAX_WALLETS_PER_USER) {
-                    const walletsList = Array.from(userWalletSet).map((w, i) => `${i + 1}. \`${w}\``).join('\n');
+                if (userWalletSet.size >= this.getWalletLimit(chatId)) {
+                    const walletsList = this.formatWalletList(chatId, Array.from(userWalletSet));
                     
                     this.sendAndTrackMessage(chatId, 
                         `🚫 **Wallet Limit Reached**\n\n` +
-                        `You have reached the maximum limit of **${this.MAX_WALLETS_PER_USER} wallets**.\n\n` +
+                        `You have reached the maximum limit of **${this.getWalletLimit(chatId)} wallets** for the **${this.tierManager.getTier(chatId).name}** tier.\n\n` +
                         `**Your current tracked wallets:**\n${walletsList}\n\n` +
                         `To track a new wallet, you must first remove one using:\n` +
                         `\`/untrack [wallet_address]\`\n\n` +
                         `Example: \`/untrack ${Array.from(userWalletSet)[0]}\``, 
                         { parse_mode: 'Markdown' }
                     );
-                    console.log(`🚫 User ${chatId} reached wallet limit (${this.MAX_WALLETS_PER_USER})`);
+                    console.log(`🚫 User ${chatId} reached wallet limit (${this.getWalletLimit(chatId)})`);
                     return;
                 }
                 
                 // Agregar wallet al usuario
                 userWalletSet.add(walletAddress);
+                if (label) {
+                    this.setWalletLabel(chatId, walletAddress, label);
+                }
+                this.persistState();
                 
-                // Agregar wallet al WebSocket
+                // Agregar wallet al WebSocket (con el commitment más rápido que pida alguno de sus usuarios)
+                this.ensureSeenMints(walletAddress);
+                this.syncWalletCommitment(walletAddress);
                 this.websocket.addWallet(walletAddress);
                 
                 // Mensaje de confirmación con contador
                 const currentCount = userWalletSet.size;
-                const remainingSlots = this.MAX_WALLETS_PER_USER - currentCount;
+                const remainingSlots = this.getWalletLimit(chatId) - currentCount;
                 
                 let confirmMessage = `✅ **Wallet Added Successfully**\n\n` +
-                                   `Now tracking: \`${walletAddress}\`\n\n` +
+                                   `Now tracking: ${this.formatWalletEntry(chatId, walletAddress)}\n\n` +
                                    `📊 **Tracking Status:**\n` +
-                                   `• Active wallets: ${currentCount}/${this.MAX_WALLETS_PER_USER}\n`;
+                                   `• Active wallets: ${currentCount}/${this.getWalletLimit(chatId)}\n`;
                 
                 if (remainingSlots > 0) {
                     confirmMessage += `• Available slots: ${remainingSlots}\n\n` +
@@ -185,8 +397,13 @@ class ONECTRAWalletBot {
                                     `⚠️ You've reached the maximum limit. Use \`/untrack\` to free up slots.`;
                 }
                 
-                this.sendAndTrackMessage(chatId, confirmMessage, { parse_mode: 'Markdown' });
-                console.log(`✅ User ${chatId} now tracking: ${walletAddress} (${currentCount}/${this.MAX_WALLETS_PER_USER})`);
+                this.sendAndTrackMessage(chatId, confirmMessage, {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: `📜 Show last ${this.HISTORY_DEFAULT_COUNT} trades`, callback_data: `history_${walletAddress}` }]]
+                    }
+                });
+                console.log(`✅ User ${chatId} now tracking: ${walletAddress} (${currentCount}/${this.getWalletLimit(chatId)})`);
             } else {
                 this.sendAndTrackMessage(chatId, '❌ Invalid Solana wallet address. Please check and try again.');
                 console.log(`❌ User ${chatId} provided invalid wallet: ${walletAddress}`);
@@ -194,16 +411,16 @@ class ONECTRAWalletBot {
         });
         
         // Comando /track SIN parámetro (solo el comando)
-        this.bot.onText(/^\/track$/, (msg) => {
+        this.onCommand(/^\/track$/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             console.log(`📱 User ${chatId} used /track without parameters`);
             
             const trackMessage = `
 ➕ **Track a Wallet**
 
 📝 To track a Solana wallet, use this format:
-\`/track [wallet_address]\`
+\`/track [wallet_address] [label]\`
 
 🔍 **Example:**
 \`/track JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN\`
@@ -217,35 +434,33 @@ class ONECTRAWalletBot {
         });
 
         // Comando /untrack CON parámetro (wallet address)
-        this.bot.onText(/\/untrack (.+)/, (msg, match) => {
+        this.onCommand(/\/untrack (.+)/, (msg, match) => {
             const chatId = msg.chat.id;
             const walletAddress = match[1].trim();
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             if (this.userWallets.has(chatId)) {
                 const userWalletSet = this.userWallets.get(chatId);
                 if (userWalletSet.has(walletAddress)) {
+                    const walletEntry = this.formatWalletEntry(chatId, walletAddress);
                     userWalletSet.delete(walletAddress);
-                    
-                    // Verificar si algún otro usuario está rastreando esta wallet
-                    let walletStillTrackedByOthers = false;
-                    this.userWallets.forEach((walletSet, userId) => {
-                        if (userId !== chatId && walletSet.has(walletAddress)) {
-                            walletStillTrackedByOthers = true;
-                        }
-                    });
+                    this.watchlists.detachWallet(chatId, walletAddress);
+                    this.removeWalletLabel(chatId, walletAddress);
+                    this.persistState();
                     
                     // Solo remover del WebSocket si nadie más la está rastreando
-                    if (!walletStillTrackedByOthers) {
+                    if (!this.isWalletTrackedByAnyUser(walletAddress)) {
                         this.websocket.removeWallet(walletAddress);
+                        this.walletSeenMints.delete(walletAddress);
                         console.log(`✅ Wallet ${walletAddress.substring(0, 8)}... removed from WebSocket (no other users tracking)`);
                     } else {
+                        this.syncWalletCommitment(walletAddress);
                         console.log(`ℹ️ Wallet ${walletAddress.substring(0, 8)}... still tracked by other users`);
                     }
                     
                     // Mostrar estado actual del WebSocket
                     const wsStatus = this.websocket.getStatus();
-                    let statusMessage = `✅ Stopped tracking: \`${walletAddress}\`\n\n`;
+                    let statusMessage = `✅ Stopped tracking: ${walletEntry}\n\n`;
                     statusMessage += `📊 **Current Status:**\n`;
                     statusMessage += `• Your wallets: ${userWalletSet.size}\n`;
                     statusMessage += `• Total tracked: ${wsStatus.trackedWallets}\n`;
@@ -262,9 +477,9 @@ class ONECTRAWalletBot {
         });
         
         // Comando /untrack SIN parámetro (solo el comando)
-        this.bot.onText(/^\/untrack$/, (msg) => {
+        this.onCommand(/^\/untrack$/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             console.log(`📱 User ${chatId} used /untrack without parameters`);
             
             // Verificar si el usuario tiene wallets trackeadas
@@ -275,9 +490,7 @@ class ONECTRAWalletBot {
 
 📋 **Your tracked wallets:**\n\n`;
                 
-                wallets.forEach((wallet, index) => {
-                    untrackMessage += `${index + 1}. \`${wallet}\`\n`;
-                });
+                untrackMessage += this.formatWalletList(chatId, wallets) + '\n';
                 
                 untrackMessage += `\n📝 **To untrack a wallet, use:**\n\`/untrack [wallet_address]\`\n\n🔍 **Example:**\n\`/untrack ${wallets[0]}\``;
                 
@@ -296,17 +509,15 @@ class ONECTRAWalletBot {
         });
 
         // Comando /list
-        this.bot.onText(/\/list/, (msg) => {
+        this.onCommand(/\/list/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             if (this.userWallets.has(chatId) && this.userWallets.get(chatId).size > 0) {
                 const wallets = Array.from(this.userWallets.get(chatId));
                 let message = '📋 **Your tracked wallets:**\n\n';
                 
-                wallets.forEach((wallet, index) => {
-                    message += `${index + 1}. \`${wallet}\`\n`;
-                });
+                message += this.formatWalletList(chatId, wallets) + '\n';
                 
                 this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
             } else {
@@ -314,189 +525,334 @@ class ONECTRAWalletBot {
             }
         });
 
-        // Comando /status
-        this.bot.onText(/\/status/, (msg) => {
+        // Comando /label - Asignar un apodo a una wallet
+        this.onCommand(/^\/label(?:\s+(\S+)(?:\s+(.+))?)?$/, (msg, match) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
-            const status = this.websocket.getStatus();
-            const userWalletCount = this.userWallets.get(chatId)?.size || 0;
-            const remainingSlots = this.MAX_WALLETS_PER_USER - userWalletCount;
+            const walletAddress = match[1];
+            const label = (match[2] || '').trim();
+            this.updateUserActivity(chatId);
             
-            const statusMessage = `
-📊 **Bot Status:**
+            if (!walletAddress || !label) {
+                this.sendAndTrackMessage(chatId, 
+                    `🏷️ **Label a Wallet**\n\n` +
+                    `📝 Use: \`/label [wallet_address] [name]\`\n\n` +
+                    `🔍 **Example:**\n\`/label JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN Whale 1\`\n\n` +
+                    `💡 You can also label while tracking: \`/track [wallet_address] [name]\``, 
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+            
+            if (!this.websocket.validateWalletAddress(walletAddress)) {
+                this.sendAndTrackMessage(chatId, '❌ Invalid Solana wallet address. Please check and try again.');
+                return;
+            }
+            
+            const labelError = this.getLabelError(label);
+            if (labelError) {
+                this.sendAndTrackMessage(chatId, `❌ ${labelError}`);
+                return;
+            }
+            
+            this.setWalletLabel(chatId, walletAddress, label);
+            this.sendAndTrackMessage(chatId, 
+                `🏷️ **Label Saved**\n\n${this.formatWalletEntry(chatId, walletAddress)}`, 
+                { parse_mode: 'Markdown' }
+            );
+            console.log(`🏷️ User ${chatId} labeled ${walletAddress.substring(0, 8)}... as "${label}"`);
+        });
 
-🔌 WebSocket: ${status.connected ? '✅ Connected' : '❌ Disconnected'}
-👥 Total Tracked Wallets: ${status.trackedWallets}
-📱 Your Wallets: ${userWalletCount}/${this.MAX_WALLETS_PER_USER}
-🎯 Available Slots: ${remainingSlots}
-            `;
+        // Comando /unlabel - Quitar el apodo de una wallet
+        this.onCommand(/^\/unlabel(?:\s+(\S+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            const walletAddress = match[1];
+            this.updateUserActivity(chatId);
             
-            this.sendAndTrackMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
+            if (!walletAddress) {
+                this.sendAndTrackMessage(chatId, '📝 Use: `/unlabel [wallet_address]`', { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            if (this.removeWalletLabel(chatId, walletAddress)) {
+                this.sendAndTrackMessage(chatId, `🏷️ Label removed from \`${walletAddress}\``, { parse_mode: 'Markdown' });
+            } else {
+                this.sendAndTrackMessage(chatId, '❌ That wallet has no label.');
+            }
+        });
+
+        // Comando /status
+        this.onCommand(/\/status/, (msg) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId); // Actualizar actividad
+            this.handleStatusButton(chatId);
         });
 
         // Comando /clear
-        this.bot.onText(/\/clear/, (msg) => {
+        this.onCommand(/\/clear/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             console.log(`📱 User ${chatId} wants to clear bot messages`);
             this.clearBotMessages(chatId);
         });
 
+        // Comando /keepalive - Política de auto-limpieza por inactividad de este chat
+        this.onCommand(/^\/keepalive(?:\s+(\S+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            const option = (match[1] || '').toLowerCase();
+            
+            if (!option) {
+                this.handleKeepAliveStatus(chatId);
+            } else if (option === 'on') {
+                this.setInactivityPolicy(chatId, { autoCleanup: false });
+                this.sendAndTrackMessage(chatId, 
+                    `♾️ **Keep-Alive Enabled**\n\n` +
+                    `Your wallets will never be removed for inactivity.\n\n` +
+                    `Use \`/keepalive off\` to re-enable auto-cleanup.`, 
+                    { parse_mode: 'Markdown' }
+                );
+            } else if (option === 'off') {
+                const policy = this.setInactivityPolicy(chatId, { autoCleanup: true });
+                this.sendAndTrackMessage(chatId, 
+                    `⏰ **Auto-Cleanup Enabled**\n\n` +
+                    `Your wallets will be removed after **${policy.timeoutMs / 60000} minutes** without activity.\n` +
+                    `You'll get a warning ${this.INACTIVITY_WARNING / 60000} minutes before.`, 
+                    { parse_mode: 'Markdown' }
+                );
+            } else if (/^\d+$/.test(option)) {
+                const minutes = parseInt(option, 10);
+                
+                if (minutes < this.MIN_INACTIVITY_MINUTES || minutes > this.MAX_INACTIVITY_MINUTES) {
+                    this.sendAndTrackMessage(chatId, 
+                        `❌ **Invalid Timeout**\n\nChoose between ${this.MIN_INACTIVITY_MINUTES} and ${this.MAX_INACTIVITY_MINUTES} minutes.`, 
+                        { parse_mode: 'Markdown' }
+                    );
+                    return;
+                }
+                
+                this.setInactivityPolicy(chatId, { autoCleanup: true, timeoutMs: minutes * 60000 });
+                this.sendAndTrackMessage(chatId, 
+                    `⏰ **Auto-Cleanup Updated**\n\n` +
+                    `Your wallets will be removed after **${minutes} minutes** without activity.`, 
+                    { parse_mode: 'Markdown' }
+                );
+            } else {
+                this.sendAndTrackMessage(chatId, 
+                    '❌ **Invalid Option**\n\nUse `/keepalive on`, `/keepalive off` or `/keepalive <minutes>`.', 
+                    { parse_mode: 'Markdown' }
+                );
+            }
+        });
+
         // Comando /settings - Advanced Technical Configuration
-        this.bot.onText(/\/settings/, (msg) => {
+        this.onCommand(/^\/settings$/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity();
+            this.updateUserActivity(chatId);
             
-            // Initialize user settings if not exists
-            if (!this.userSettings.has(chatId)) {
-                this.userSettings.set(chatId, { ...this.defaultSettings });
+            this.handleSettingsButton(chatId);
+        });
+        
+        // Settings configuration commands (el valor llega completo: zonas horarias con "/" y plantillas con espacios)
+        this.onCommand(/^\/settings\s+(\w+)(?:\s+([\s\S]+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            const setting = match[1].toLowerCase();
+            const rawValue = (match[2] || '').trim();
+            this.updateUserActivity(chatId);
+            
+            this.handleSettingsConfig(chatId, setting, rawValue.toLowerCase(), rawValue);
+        });
+        
+        // Comando /events - Categorías de eventos notificadas (con o sin categoría a alternar)
+        this.onCommand(/^\/events(?:\s+(\S+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            const category = match[1] ? match[1].toLowerCase() : null;
+            if (!category) {
+                this.handleEventsButton(chatId);
+                return;
             }
             
-            const userConfig = this.userSettings.get(chatId);
+            if (!this.eventCategoryInfo[category]) {
+                this.sendAndTrackMessage(chatId, `❌ **Unknown category**\n\nAvailable: ${Object.keys(this.eventCategoryInfo).map(key => `\`${key}\``).join(', ')}`, { parse_mode: 'Markdown' });
+                return;
+            }
             
-            const settingsMessage = `
-⚙️ **Advanced Technical Configuration**
-
-🔧 **Current System Settings:**
-
-• **Latency Optimization:** \`${userConfig.latencyOptimization}\`
-• **Precision Filter:** \`${userConfig.precisionFilter}\`
-• **WebSocket Buffer:** \`${userConfig.websocketBuffer}\`
-• **Analytics Depth:** \`${userConfig.analyticsDepth}\`
-• **Risk Calibration:** \`${userConfig.riskCalibration}\`
-• **Signal Sensitivity:** \`${userConfig.signalSensitivity}\`
-• **Noise Reduction:** \`${userConfig.noiseReduction}\`
-• **Algorithm Version:** \`${userConfig.algorithmVersion}\`
-
-📋 **Configuration Options:**
-\`/settings latency [low|standard|high]\` - Network optimization
-\`/settings precision [low|medium|high|ultra]\` - Data filtering
-\`/settings buffer [4KB|8KB|16KB|32KB]\` - Memory allocation
-\`/settings analytics [basic|standard|advanced|pro]\` - Processing depth
-\`/settings risk [conservative|moderate|aggressive]\` - Risk parameters
-\`/settings sensitivity [low|balanced|high|extreme]\` - Signal detection
-\`/settings noise [enabled|disabled]\` - Filter interference
-\`/settings reset\` - Restore default configuration
-            `;
+            const enabled = this.toggleEventCategory(chatId, category);
+            const info = this.eventCategoryInfo[category];
+            this.sendAndTrackMessage(chatId, `${info.emoji} **${info.name} alerts ${enabled ? 'enabled' : 'disabled'}**\n\nUse \`/events\` to see all categories.`, { parse_mode: 'Markdown' });
+        });
+        
+        // Comando /pnl - Posiciones y PnL de una wallet (o resumen de todas)
+        this.onCommand(/^\/pnl(?:\s+(.+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            this.handlePnlCommand(chatId, match[1] ? match[1].trim() : null);
+        });
+        
+        // Comando /history - Últimos swaps de una wallet (rastreada o no) antes de seguirla
+        this.onCommand(/^\/history(?:\s+(\S+)(?:\s+(\d+))?)?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
             
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: '⚡ Latency', callback_data: 'settings_latency' },
-                        { text: '🎯 Precision', callback_data: 'settings_precision' }
-                    ],
-                    [
-                        { text: '📊 Analytics', callback_data: 'settings_analytics' },
-                        { text: '⚠️ Risk', callback_data: 'settings_risk' }
-                    ],
-                    [
-                        { text: '🔄 Reset All', callback_data: 'settings_reset' },
-                        { text: '💾 Save Config', callback_data: 'settings_save' }
-                    ]
-                ]
-            };
+            if (!match[1]) {
+                this.sendAndTrackMessage(chatId,
+                    `📜 **Wallet History**\n\n` +
+                    `📝 Use: \`/history [wallet_address|label] [count]\`\n\n` +
+                    `Shows the last ${this.HISTORY_DEFAULT_COUNT} swaps (max ${this.HISTORY_MAX_COUNT}) so you can judge a wallet before following it.\n\n` +
+                    `🔍 **Example:**\n\`/history JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN 20\``,
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
             
-            this.sendAndTrackMessage(chatId, settingsMessage, { 
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+            const walletAddress = this.resolveTrackedWallet(chatId, match[1]) || match[1];
+            if (!this.websocket.validateWalletAddress(walletAddress)) {
+                this.sendAndTrackMessage(chatId, '❌ Invalid Solana wallet address. Please check and try again.');
+                return;
+            }
+            
+            const count = match[2] ? parseInt(match[2], 10) : this.HISTORY_DEFAULT_COUNT;
+            this.handleHistoryRequest(chatId, walletAddress, count);
         });
         
-        // Settings configuration commands
-        this.bot.onText(/\/settings\s+(\w+)\s*(\w*)/, (msg, match) => {
+        // Comando /filter - Filtros de notificación por wallet (tamaño, lado, tokens)
+        this.onCommand(/^\/filter(?:\s+(\S+)(?:\s+(\w+)(?:\s+(\S+))?)?)?$/, (msg, match) => {
             const chatId = msg.chat.id;
-            const setting = match[1].toLowerCase();
-            const value = match[2].toLowerCase();
-            this.updateUserActivity();
+            this.updateUserActivity(chatId);
+            
+            if (!match[1]) {
+                this.handleFilterMenu(chatId);
+                return;
+            }
+            
+            const target = match[1].toLowerCase() === 'all' ? '*' : this.resolveTrackedWallet(chatId, match[1]);
+            if (!target) {
+                this.sendAndTrackMessage(chatId, '❌ That wallet is not in your list. Use `/list` to see your wallets, or `all` for every wallet.', { parse_mode: 'Markdown' });
+                return;
+            }
             
-            this.handleSettingsConfig(chatId, setting, value);
+            if (!match[2]) {
+                this.handleFilterView(chatId, target);
+                return;
+            }
+            
+            const result = this.updateFilter(chatId, target, match[2].toLowerCase(), match[3]);
+            if (result.error) {
+                this.sendAndTrackMessage(chatId, `❌ ${result.error}\n\n${this.getFilterUsage()}`, { parse_mode: 'Markdown' });
+                return;
+            }
+            this.handleFilterView(chatId, target, null, `✅ ${result.message}`);
+        });
+        
+        // Comando /export - Wallets, etiquetas y filtros como documento JSON o CSV
+        this.onCommand(/^\/export(?:\s+(\S+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            this.handleExportCommand(chatId, (match[1] || 'json').toLowerCase());
         });
         
-        // Comando /signals - AI Trading Signals System
-        this.bot.onText(/\/signals/, (msg) => {
+        // Comando /import - Lista pegada en el mensaje; sin contenido, espera un archivo
+        this.onCommand(/^\/import(?:\s+([\s\S]+))?$/, (msg, match) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity();
+            this.updateUserActivity(chatId);
             
-            // Initialize user signals if not exists
-            if (!this.userSignals.has(chatId)) {
-                this.userSignals.set(chatId, { ...this.defaultSignalConfig });
+            if (!match[1]) {
+                this.pendingImports.set(chatId, Date.now() + this.IMPORT_WAIT_MS);
+                this.sendAndTrackMessage(chatId, this.getImportUsage(chatId), { parse_mode: 'Markdown' });
+                return;
             }
             
-            const signalsConfig = this.userSignals.get(chatId);
-            const statusIcon = signalsConfig.enabled ? '🟢' : '🔴';
-            const statusText = signalsConfig.enabled ? 'ACTIVE' : 'INACTIVE';
+            this.handleImport(chatId, match[1]);
+        });
+        
+        // Archivos de /import: con "/import" como pie o enviados justo después del comando
+        this.bot.on('document', (msg) => this.handleImportDocument(msg));
+        
+        // Comando /mutes - Tokens y wallets silenciados desde los botones de las alertas
+        this.onCommand(/^\/mutes$/, (msg) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
             
-            let activeCategories = 0;
-            Object.values(signalsConfig.categories).forEach(active => {
-                if (active) activeCategories++;
-            });
+            this.handleMutesCommand(chatId);
+        });
+        
+        // Comando /convergence - Alertas cuando varias wallets rastreadas compran el mismo token
+        this.onCommand(/^\/convergence(?:\s+(\w+)(?:\s+(\S+))?)?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
             
-            const signalsMessage = `
-🤖 **AI Trading Signals System**
-
-${statusIcon} **Status:** ${statusText}
-📈 **Active Categories:** ${activeCategories}/5
-🎯 **Confidence Threshold:** ${signalsConfig.minConfidence}%
-⚠️ **Risk Level:** ${signalsConfig.riskLevel.toUpperCase()}
-
-📊 **Signal Categories:**
-${signalsConfig.categories.momentum ? '🟢' : '🔴'} **Momentum Analysis** - Trend-based signals using price velocity and acceleration patterns
-${signalsConfig.categories.volumeSpikes ? '🟢' : '🔴'} **Volume Spike Detection** - Unusual trading volume patterns indicating potential breakouts
-${signalsConfig.categories.patternRecognition ? '🟢' : '🔴'} **Pattern Recognition** - Technical analysis patterns (triangles, flags, head & shoulders)
-${signalsConfig.categories.sentimentAnalysis ? '🟢' : '🔴'} **Sentiment Analysis** - Social media and news sentiment correlation with price movements
-${signalsConfig.categories.technicalIndicators ? '🟢' : '🔴'} **Technical Indicators** - RSI, MACD, Bollinger Bands convergence signals
-
-⚙️ **System Configuration:**
-• **Algorithm:** Proprietary ML model trained on 2M+ transactions
-• **Latency:** Sub-100ms signal generation and delivery
-• **Accuracy:** 73.2% historical success rate (last 30 days)
-• **Coverage:** All major Solana tokens with >$10K daily volume
-• **Updates:** Real-time signal refinement based on market conditions
-
-⚠️ **Risk Disclosure:**
-AI signals are provided for informational purposes only. Past performance does not guarantee future results. Always conduct your own research and consider your risk tolerance. Trading involves substantial risk of loss.
-            `;
+            if (!match[1]) {
+                this.handleConvergenceStatus(chatId);
+                return;
+            }
             
-            const keyboard = {
-                inline_keyboard: [
-                    [
-                        { text: signalsConfig.enabled ? '🔴 Disable Signals' : '🟢 Enable Signals', 
-                          callback_data: 'signals_toggle' }
-                    ],
-                    [
-                        { text: '📈 Momentum', callback_data: 'signals_momentum' },
-                        { text: '📊 Volume', callback_data: 'signals_volume' }
-                    ],
-                    [
-                        { text: '🔍 Patterns', callback_data: 'signals_patterns' },
-                        { text: '💭 Sentiment', callback_data: 'signals_sentiment' }
-                    ],
-                    [
-                        { text: '📉 Indicators', callback_data: 'signals_indicators' },
-                        { text: '⚙️ Configure', callback_data: 'signals_config' }
-                    ]
-                ]
-            };
+            const result = this.updateConvergence(chatId, match[1].toLowerCase(), (match[2] || '').toLowerCase());
+            if (result.error) {
+                this.sendAndTrackMessage(chatId, `❌ ${result.error}\n\n${this.getConvergenceUsage()}`, { parse_mode: 'Markdown' });
+                return;
+            }
+            this.handleConvergenceStatus(chatId, `✅ ${result.message}`);
+        });
+        
+        // Comando /watchlist - Listas de wallets compartidas
+        this.onCommand(/^\/watchlist(?:\s+(.+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            this.handleWatchlistCommand(chatId, (match[1] || '').trim().split(/\s+/).filter(Boolean));
+        });
+        
+        // Comando /admin - Solo para los chats de ADMIN_CHAT_IDS
+        this.onCommand(/^\/admin(?:\s+(.+))?$/, (msg, match) => {
+            const chatId = msg.chat.id;
             
-            this.sendAndTrackMessage(chatId, signalsMessage, { 
-                parse_mode: 'Markdown',
-                reply_markup: keyboard
-            });
+            if (!this.isAdmin(chatId)) {
+                this.sendAndTrackMessage(chatId, '⛔ This command is restricted to bot administrators.');
+                botLogger.warn(`Non-admin chat ${chatId} tried /admin`);
+                return;
+            }
+            
+            this.handleAdminCommand(chatId, (match[1] || '').trim().split(/\s+/).filter(Boolean));
+        });
+        
+        // Comando /signals - Menú de señales; /signals <opción> [valor] para cambiarlas sin botones
+        this.onCommand(/^\/signals(?:\s+(\S+)(?:\s+(\S+))?)?$/, (msg, match) => {
+            const chatId = msg.chat.id;
+            this.updateUserActivity(chatId);
+            
+            if (match[1]) {
+                this.handleSignalsOption(chatId, match[1].toLowerCase(), (match[2] || '').toLowerCase());
+            } else {
+                this.handleSignalsButton(chatId);
+            }
         });
 
         // Comando /help
-        this.bot.onText(/\/help/, (msg) => {
+        this.onCommand(/\/help/, (msg) => {
             const chatId = msg.chat.id;
-            this.updateUserActivity(); // Actualizar actividad
+            this.updateUserActivity(chatId); // Actualizar actividad
             const helpMessage = `
 🆘 **Help - ONECTRA Wallet Tracker**
 
 **Basic Commands:**
-• \`/track <wallet>\` - Start tracking a Solana wallet
+• \`/track <wallet> [label]\` - Start tracking a Solana wallet
 • \`/untrack <wallet>\` - Stop tracking a wallet
 • \`/list\` - Show your tracked wallets
+• \`/label <wallet> <name>\` - Give a wallet a nickname
+• \`/unlabel <wallet>\` - Remove a wallet's nickname
 • \`/status\` - Check bot connection status
 • \`/clear\` - Clear bot messages
+• \`/keepalive [on|off|minutes]\` - Inactivity auto-cleanup
+• \`/events [category]\` - Choose alert types (swaps, transfers, NFTs...)
+• \`/pnl [wallet|label]\` - Positions, realized PnL and win rate
+• \`/history <wallet> [count]\` - Last swaps of any wallet
+• \`/filter [wallet|all]\` - Min/max size, buy/sell only, token lists
+• \`/watchlist\` - Shared wallet lists your team can subscribe to
+• \`/convergence\` - Alert when several tracked wallets buy the same token
+• \`/mutes\` - Tokens and wallets muted from alert buttons
+• \`/export [json|csv]\` - Download your wallets, labels and filters
+• \`/import\` - Add wallets from a file or a pasted list
 • \`/help\` - Show this help
 
 **Professional Features:**
@@ -517,11 +873,17 @@ AI signals are provided for informational purposes only. Past performance does n
         });
 
         // Manejador de botones (callback queries)
-        this.bot.on('callback_query', (callbackQuery) => {
+        this.bot.on('callback_query', async (callbackQuery) => {
             const message = callbackQuery.message;
             const chatId = message.chat.id;
             const data = callbackQuery.data;
-            this.updateUserActivity(); // Actualizar actividad
+            
+            if (!(await this.canPressButton(callbackQuery))) {
+                this.bot.answerCallbackQuery(callbackQuery.id, { text: '🔒 Only chat admins can change the bot here.', show_alert: true });
+                return;
+            }
+            
+            this.updateUserActivity(chatId); // Actualizar actividad
             
             console.log(`🔘 User ${chatId} clicked button: ${data}`);
             
@@ -548,6 +910,9 @@ AI signals are provided for informational purposes only. Past performance does n
                 case 'signals':
                     this.handleSignalsButton(chatId);
                     break;
+                case 'events':
+                    this.handleEventsButton(chatId);
+                    break;
                 case 'help':
                     this.handleHelpButton(chatId);
                     break;
@@ -557,6 +922,18 @@ AI signals are provided for informational purposes only. Past performance does n
                 case 'clear':
                     this.handleClearButton(chatId);
                     break;
+                // Inactivity handlers
+                case 'keepalive_ping':
+                    this.sendAndTrackMessage(chatId, '✅ **Tracking Kept Active**\n\nYour inactivity timer has been reset.', { parse_mode: 'Markdown' });
+                    break;
+                case 'keepalive_on':
+                    this.setInactivityPolicy(chatId, { autoCleanup: false });
+                    this.sendAndTrackMessage(chatId, '♾️ **Keep-Alive Enabled**\n\nYour wallets will never be removed for inactivity.', { parse_mode: 'Markdown' });
+                    break;
+                case 'keepalive_off':
+                    this.setInactivityPolicy(chatId, { autoCleanup: true });
+                    this.sendAndTrackMessage(chatId, '⏰ **Auto-Cleanup Enabled**\n\nUse `/keepalive <minutes>` to change the timeout.', { parse_mode: 'Markdown' });
+                    break;
                 // Settings button handlers
                 case 'settings_latency':
                     this.handleSettingsOption(chatId, 'latency');
@@ -570,10 +947,23 @@ AI signals are provided for informational purposes only. Past performance does n
                 case 'settings_risk':
                     this.handleSettingsOption(chatId, 'risk');
                     break;
+                case 'settings_explorer':
+                    this.handleSettingsOption(chatId, 'explorer');
+                    break;
+                case 'settings_layout':
+                    this.handleSettingsOption(chatId, 'layout');
+                    break;
+                case 'settings_timezone':
+                    this.handleSettingsOption(chatId, 'timezone');
+                    break;
+                case 'settings_template':
+                    this.handleSettingsOption(chatId, 'template');
+                    break;
                 case 'settings_reset':
                     this.handleSettingsConfig(chatId, 'reset', '');
                     break;
                 case 'settings_save':
+                    this.flushState();
                     this.sendAndTrackMessage(chatId, '💾 **Configuration Saved**\n\nYour current settings have been saved and are now active.', { parse_mode: 'Markdown' });
                     break;
                 // Individual setting options
@@ -619,6 +1009,27 @@ AI signals are provided for informational purposes only. Past performance does n
                 case 'risk_aggressive':
                     this.handleSettingsConfig(chatId, 'risk', 'aggressive');
                     break;
+                case 'explorer_solscan':
+                    this.handleSettingsConfig(chatId, 'explorer', 'solscan');
+                    break;
+                case 'explorer_solanafm':
+                    this.handleSettingsConfig(chatId, 'explorer', 'solanafm');
+                    break;
+                case 'explorer_xray':
+                    this.handleSettingsConfig(chatId, 'explorer', 'xray');
+                    break;
+                case 'explorer_solana':
+                    this.handleSettingsConfig(chatId, 'explorer', 'solana');
+                    break;
+                case 'layout_detailed':
+                    this.handleSettingsConfig(chatId, 'layout', 'detailed');
+                    break;
+                case 'layout_compact':
+                    this.handleSettingsConfig(chatId, 'layout', 'compact');
+                    break;
+                case 'template_off':
+                    this.handleSettingsConfig(chatId, 'template', 'off');
+                    break;
                 // Signals button handlers  
                 case 'signals_toggle':
                     this.handleSignalsToggle(chatId);
@@ -642,6 +1053,45 @@ AI signals are provided for informational purposes only. Past performance does n
                     this.handleSignalsConfig(chatId);
                     break;
                 default:
+                    // Botones con parámetro: events_<categoría>, history_<wallet>, tz_<zona horaria>
+                    if (data.startsWith('events_') && this.eventCategoryInfo[data.substring(7)]) {
+                        this.toggleEventCategory(chatId, data.substring(7));
+                        this.handleEventsButton(chatId, message.message_id);
+                        break;
+                    }
+                    if (data.startsWith('history_')) {
+                        this.handleHistoryRequest(chatId, data.substring(8), this.HISTORY_DEFAULT_COUNT);
+                        break;
+                    }
+                    if (data.startsWith('tz_')) {
+                        this.handleSettingsConfig(chatId, 'timezone', data.substring(3).toLowerCase(), data.substring(3));
+                        break;
+                    }
+                    if (data.startsWith('filter_') || data.startsWith('fset_')) {
+                        this.handleFilterButton(chatId, message.message_id, data);
+                        break;
+                    }
+                    // Botones de las alertas: pnl_<wallet>, mutetoken_<mint>, mutewallet_<wallet> y sus "undo"
+                    if (data.startsWith('pnl_')) {
+                        this.handlePnlCommand(chatId, data.substring(4));
+                        break;
+                    }
+                    if (data.startsWith('mutetoken_')) {
+                        this.handleMuteToken(chatId, data.substring(10));
+                        break;
+                    }
+                    if (data.startsWith('unmutetoken_')) {
+                        this.handleUnmuteToken(chatId, data.substring(12));
+                        break;
+                    }
+                    if (data.startsWith('mutewallet_')) {
+                        this.handleMuteWallet(chatId, data.substring(11));
+                        break;
+                    }
+                    if (data.startsWith('unmutewallet_')) {
+                        this.handleUnmuteWallet(chatId, data.substring(13));
+                        break;
+                    }
                     this.bot.sendMessage(chatId, '❌ Unknown command');
             }
         });
@@ -653,22 +1103,55 @@ AI signals are provided for informational purposes only. Past performance does n
     setupWebSocket() {
         console.log('⚙️ Setting up WebSocket callbacks...');
         
-        this.websocket.onTransactionReceived = (transactionData) => {
-            console.log('🔔 Transaction received, notifying users...');
-            this.notifyUsers(transactionData);
+        // El backend no espera a este callback: cualquier error se registra aquí
+        this.websocket.onTransactionReceived = async (transactionData) => {
+            try {
+                console.log('🔔 Transaction received, notifying users...');
+                this.markSeenMint(transactionData);
+                this.recordTrade(transactionData);
+                const pendingChecks = {
+                    risk: this.attachTokenRisk(transactionData),
+                    age: this.attachTokenAge(transactionData)
+                };
+                this.notifyUsers(transactionData, pendingChecks);
+                this.processSignals(transactionData);
+            } catch (error) {
+                notificationLogger.error(`Failed to handle transaction ${transactionData?.signature}: ${error.message}`);
+            }
+        };
+        
+        this.websocket.onTransactionStatus = (signature, status) => {
+            this.handleTransactionStatus(signature, status);
         };
         
         console.log('✅ WebSocket callbacks configured');
     }
 
-    // Iniciar WebSocket
+    // Iniciar WebSocket (re-suscribiendo las wallets restauradas del almacenamiento)
     startWebSocket() {
         console.log('🔌 Starting WebSocket connection...');
-        this.websocket.connect();
+        
+        const restoredWallets = new Set();
+        this.userWallets.forEach(walletSet => {
+            walletSet.forEach(wallet => restoredWallets.add(wallet));
+        });
+        
+        if (restoredWallets.size === 0) {
+            this.websocket.connect();
+            return;
+        }
+        
+        // addWallet abre la conexión con la primera wallet; el resto se suscribe al abrir
+        restoredWallets.forEach(wallet => {
+            this.ensureSeenMints(wallet);
+            this.syncWalletCommitment(wallet);
+            this.websocket.addWallet(wallet);
+        });
+        console.log(`♻️ Restored ${restoredWallets.size} wallet subscription(s) from storage`);
     }
 
     // Notificar a todos los usuarios relevantes sobre una transacción
-    notifyUsers(transactionData) {
+    notifyUsers(transactionData, pendingChecks = {}) {
         // 🎯 CORRECCIÓN CRÍTICA: Solo notificar a usuarios que tienen la wallet específica
         const walletInTransaction = transactionData.wallet;
         
@@ -681,121 +1164,2876 @@ AI signals are provided for informational purposes only. Past performance does n
         
         try {
             // 🎯 NUEVA LÓGICA: Solo notificar a usuarios que tienen esta wallet específica
+            const eventCategory = transactionData.eventCategory || 'swaps';
+            
             this.userWallets.forEach((walletSet, chatId) => {
                 if (walletSet.has(walletInTransaction)) {
-                    const message = this.formatTransactionMessage(transactionData);
-                    notificationLogger.debug(`Sending to user ${chatId} (wallet ${walletInTransaction.substring(0,8)}... is tracked)`);
+                    if (!this.isEventEnabled(chatId, eventCategory)) {
+                        notificationLogger.debug(`User ${chatId} skipped (${eventCategory} alerts disabled)`);
+                        return;
+                    }
                     
-                    this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' })
-                        .then(() => {
-                            notificationLogger.notification(`✅ Sent to user ${chatId}: ${transactionData.token} ${transactionData.buySell}`);
-                        })
-                        .catch((error) => {
-                            notificationLogger.error(`❌ Failed to send to user ${chatId}: ${error.message}`);
-                        });
+                    if (this.isWalletMuted(chatId, walletInTransaction)) {
+                        notificationLogger.debug(`User ${chatId} skipped (wallet muted)`);
+                        return;
+                    }
+                    
+                    if (this.isTokenMuted(chatId, transactionData)) {
+                        notificationLogger.debug(`User ${chatId} skipped (token muted)`);
+                        return;
+                    }
+                    
+                    // Riesgo o edad aún en curso: solo esperan los chats cuyo filtro depende de ellos
+                    const waits = this.getPendingWaits(chatId, transactionData, pendingChecks);
+                    if (waits.length > 0) {
+                        this.deliverAfterChecks(chatId, transactionData, waits);
+                        notifiedUsers++;
+                        return;
+                    }
+                    
+                    if (!this.passesAlertFilters(chatId, transactionData)) {
+                        return;
+                    }
+                    
+                    notificationLogger.debug(`Sending to user ${chatId} (wallet ${walletInTransaction.substring(0,8)}... is tracked)`);
+                    this.deliverAlert(chatId, transactionData);
+                    this.watchFinality(chatId, transactionData);
                     
                     notifiedUsers++;
                 } else {
                     notificationLogger.debug(`User ${chatId} skipped (wallet ${walletInTransaction.substring(0,8)}... not tracked by this user)`);
                 }
-            });
-            
-            notificationLogger.info(`📢 Notified ${notifiedUsers} users for wallet ${walletInTransaction.substring(0,8)}...: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
-        } catch (error) {
-            console.error('\n❌ =============== CRITICAL ERROR IN NOTIFYUSERS ===============');
-            console.error('❌ [ERROR] Error in notifyUsers:', error);
-            console.error('❌ [ERROR] Transaction data:', transactionData);
-            console.error('❌ =============== CRITICAL ERROR END ===============\n');
+            });
+            
+            notificationLogger.info(`📢 Notified ${notifiedUsers} users for wallet ${walletInTransaction.substring(0,8)}...: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+        } catch (error) {
+            console.error('\n❌ =============== CRITICAL ERROR IN NOTIFYUSERS ===============');
+            console.error('❌ [ERROR] Error in notifyUsers:', error);
+            console.error('❌ [ERROR] Transaction data:', transactionData);
+            console.error('❌ =============== CRITICAL ERROR END ===============\n');
+        }
+    }
+
+    // Filtros del usuario y calibración de riesgo, con el motivo en el log si se descarta
+    passesAlertFilters(chatId, transactionData) {
+        const filterResult = this.checkUserFilters(chatId, transactionData);
+        if (!filterResult.passed) {
+            notificationLogger.debug(`User ${chatId} skipped (filter: ${filterResult.reason})`);
+            return false;
+        }
+        
+        if (this.isRiskSuppressed(chatId, transactionData)) {
+            notificationLogger.debug(`User ${chatId} skipped (${transactionData.tokenRisk.level} risk token)`);
+            return false;
+        }
+        return true;
+    }
+    
+    // Chequeos pendientes que este chat debe esperar: [{ promise, ms }]
+    getPendingWaits(chatId, transactionData, pendingChecks) {
+        const waits = [];
+        if (pendingChecks.risk && this.hidesRiskyBuys(chatId)) {
+            waits.push({ promise: pendingChecks.risk, ms: this.TOKEN_SAFETY_WAIT_MS });
+        }
+        if (pendingChecks.age && this.getEffectiveFilter(chatId, transactionData.wallet).maxTokenAgeMin !== null) {
+            waits.push({ promise: pendingChecks.age, ms: this.TOKEN_AGE_WAIT_MS });
+        }
+        return waits;
+    }
+    
+    // Esperar cada chequeo como mucho su tiempo máximo; sin resultado se filtra con lo que haya
+    async deliverAfterChecks(chatId, transactionData, waits) {
+        await Promise.all(waits.map(({ promise, ms }) => {
+            let timer;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(resolve, ms);
+            });
+            return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+        }));
+        
+        if (!this.passesAlertFilters(chatId, transactionData)) {
+            return;
+        }
+        this.deliverAlert(chatId, transactionData);
+        this.watchFinality(chatId, transactionData);
+    }
+
+    // Formatear mensaje de transacción (chatId permite mostrar la etiqueta del usuario)
+    formatTransactionMessage(data, chatId) {
+        botLogger.debug(`Formatting message: ${data.token} ${data.buySell} ${data.amount}`);
+        
+        try {
+            // Formato, explorador y zona horaria de /settings; el compacto solo muestra la hora
+            const settings = this.getAlertSettings(chatId);
+            const compact = settings.alertLayout === 'compact';
+            const timestamp = this.formatUserTime(chatId, data.timestamp,
+                compact ? { hour: '2-digit', minute: '2-digit', second: '2-digit' } : {});
+            
+            // Determinar el wallet address desde la signature o usar placeholder
+            console.log('🔧 [DEBUG] Getting wallet from transaction...');
+            const walletAddress = this.getWalletFromTransaction(data) || 'Unknown';
+            console.log('🔧 [DEBUG] Wallet address obtained:', walletAddress);
+            const shortWallet = walletAddress.length > 8 ? walletAddress.substring(0, 8) + '...' : walletAddress;
+            const walletLabel = this.getWalletLabel(chatId, walletAddress);
+            const walletDisplay = walletLabel
+                ? `*${this.escapeMarkdown(walletLabel)}* (\`${shortWallet}\`)`
+                : `\`${shortWallet}\``;
+        
+            // Transfers, NFTs, liquidez, staking, mints y burns: plantilla propia por categoría
+            if (data.eventCategory && data.eventCategory !== 'swaps') {
+                return this.formatActivityMessage(data, walletDisplay, timestamp, chatId);
+            }
+            
+            // Swap decodificado con ambas patas: "bought 1.2M $BONK for 0.84 SOL" + mint copiable
+            if (data.inputLeg && data.outputLeg) {
+                if (settings.alertTemplate) {
+                    return this.renderTemplate(settings.alertTemplate, this.getTemplateValues(chatId, data));
+                }
+                
+                if (compact) {
+                    return `👛 ${walletDisplay} ${this.formatSwapLine(data)}\n` +
+                           this.formatTradeTags(data) +
+                           this.formatClosedPnlLine(data) +
+                           this.formatRiskLine(data) +
+                           this.formatAlertFooter(chatId, data, timestamp, true);
+                }
+                
+                const message = `🔔 *New Transaction*\n\n` +
+                       `👛 Wallet ${walletDisplay} ${this.formatSwapLine(data)}\n` +
+                       this.formatTradeTags(data) +
+                       this.formatClosedPnlLine(data) + `\n` +
+                       this.formatRiskLine(data) +
+                       this.formatPriceLine(data) +
+                       `🪙 *Mint:* \`${data.mintAddress}\`\n` +
+                       this.formatAlertFooter(chatId, data, timestamp, false);
+                
+                botLogger.debug('Swap message formatted successfully');
+                return message;
+            }
+            
+            // Formatear según el tipo de transacción - SIEMPRE usar el formato mejorado
+            if (data.token && data.token !== 'Unknown' && data.amount && data.amount !== 'N/A SOL') {
+                // Transacción con datos válidos - usar formato mejorado
+                const tokenSymbol = data.token.startsWith('$') ? data.token : `$${data.token}`;
+                const buySellText = data.buySell === 'BUY' ? 'bought' : 'sold';
+                
+                // Extraer emoji del amount y formatear
+                let amountText = data.amount || '0 SOL';
+                let emoji = '';
+                
+                // Determinar emoji basado en BUY/SELL si no está en el amount
+                if (amountText.includes('🟢')) {
+                    emoji = '🟢 ';
+                    amountText = amountText.replace('🟢 ', '').trim();
+                } else if (amountText.includes('🔴')) {
+                    emoji = '🔴 ';
+                    amountText = amountText.replace('🔴 ', '').trim();
+                } else {
+                    // Asignar emoji basado en tipo de transacción
+                    emoji = data.buySell === 'BUY' ? '🟢 ' : '🔴 ';
+                }
+                
+                const message = (compact ? '' : `🔔 *New Transaction*\n\n`) +
+                       `👛 Wallet ${walletDisplay} ${emoji}${buySellText} ${amountText} in ${tokenSymbol}\n` +
+                       this.formatTradeTags(data) + (compact ? '' : `\n`) +
+                       this.formatRiskLine(data) +
+                       this.formatAlertFooter(chatId, data, timestamp, compact);
+                
+                botLogger.debug('Enhanced message formatted successfully');
+                return message;
+            } else {
+                // Fallback mejorado - mantener formato limpio pero con datos disponibles
+                const tokenDisplay = data.token && data.token !== 'Unknown' ? data.token : 'Unknown Token';
+                const amountDisplay = data.amount && data.amount !== 'N/A SOL' ? data.amount : '0 SOL';
+                const buySellText = data.buySell === 'BUY' ? 'bought' : data.buySell === 'SELL' ? 'sold' : 'transacted';
+                const emoji = data.buySell === 'BUY' ? '🟢 ' : data.buySell === 'SELL' ? '🔴 ' : '';
+                
+                const message = (compact ? '' : `🔔 *New Transaction*\n\n`) +
+                       `👛 Wallet ${walletDisplay} ${emoji}${buySellText} ${amountDisplay} in ${tokenDisplay}\n` + (compact ? '' : `\n`) +
+                       this.formatAlertFooter(chatId, data, timestamp, compact);
+                
+                botLogger.debug('Fallback message formatted successfully');
+                return message;
+            }
+        } catch (error) {
+            console.error('❌ [ERROR] Error in formatTransactionMessage:', error);
+            console.error('❌ [ERROR] Data that caused error:', data);
+            
+            // Mensaje de fallback en caso de error - mantener formato consistente
+            const shortWallet = 'Unknown';
+            return `🔔 *New Transaction*\n\n` +
+                   `👛 Wallet \`${shortWallet}\` transacted in Unknown Token\n\n` +
+                   `📝 *Signature:* \`${data.signature || 'Unknown'}\`\n` +
+                   `⏰ *Time:* ${new Date().toLocaleString('en-US', { timeZone: 'UTC', hour12: false })}\n\n` +
+                   `[View on Solscan](https://solscan.io/tx/${data.signature || ''})`;
+        }
+    }
+    
+    // Línea principal de un swap según su dirección; la contrapartida lleva su valor USD: "0.84 SOL (~$132)"
+    formatSwapLine(data) {
+        const legText = (leg) => {
+            const symbol = leg.isQuote ? leg.symbol : (leg.symbol.startsWith('$') ? leg.symbol : `$${leg.symbol}`);
+            const usd = leg.mint !== data.mintAddress && typeof data.usdValue === 'number'
+                ? ` (~${this.websocket.formatUsdAmount(data.usdValue)})`
+                : '';
+            return `${this.websocket.formatCompactAmount(leg.amount)} ${this.escapeMarkdown(symbol)}${usd}`;
+        };
+        
+        if (data.buySell === 'BUY') {
+            return `🟢 bought ${legText(data.outputLeg)} for ${legText(data.inputLeg)}`;
+        } else if (data.buySell === 'SELL') {
+            return `🔴 sold ${legText(data.inputLeg)} for ${legText(data.outputLeg)}`;
+        }
+        return `🔄 swapped ${legText(data.inputLeg)} for ${legText(data.outputLeg)}`;
+    }
+    
+    // Resultado de una venta contra el coste medio: "closed +2.3 SOL (+41%)"
+    formatClosedPnlLine(data) {
+        if (!data.pnl) {
+            return '';
+        }
+        
+        const percent = data.pnl.percent !== null ? ` (${this.formatSignedPercent(data.pnl.percent)})` : '';
+        const partial = data.pnl.partial ? ' _on the part bought while tracked_' : '';
+        return `${data.pnl.realizedSol >= 0 ? '📈' : '📉'} closed *${this.formatSignedSol(data.pnl.realizedSol)}*${percent}${partial}\n`;
+    }
+    
+    // Precio implícito del token en el trade (y SOL/USD de referencia)
+    formatPriceLine(data) {
+        if (typeof data.tokenPriceUsd !== 'number') {
+            return '';
+        }
+        
+        const symbol = data.token.startsWith('$') ? data.token : `$${data.token}`;
+        const solPrice = typeof data.solPriceUsd === 'number' ? ` · SOL ${this.websocket.formatUsdAmount(data.solPriceUsd)}` : '';
+        return `💵 *Price:* ${this.websocket.formatUsdAmount(data.tokenPriceUsd)} per ${this.escapeMarkdown(symbol)}${solPrice}\n`;
+    }
+    
+    // Etiquetas de entrada temprana: "🆕 first buy · ⏱ token age 4m" (la edad solo si es exacta y el token es nuevo)
+    formatTradeTags(data) {
+        const tags = [];
+        if (data.firstBuy) {
+            tags.push('🆕 first buy');
+        }
+        
+        const ageMs = this.getTokenAgeMs(data);
+        if (ageMs !== null && data.tokenAgeExact && ageMs < this.websocket.TOKEN_AGE_WINDOW_MS) {
+            const age = ageMs < 60000 ? `${Math.round(ageMs / 1000)}s` : `${Math.floor(ageMs / 60000)}m`;
+            tags.push(`⏱ token age ${age}`);
+        }
+        
+        return tags.length > 0 ? `${tags.join(' · ')}\n` : '';
+    }
+    
+    // Insignia de riesgo del token comprado con sus motivos: "🟡 *Risk: Medium* · Top 10 wallets hold 34% · ..."
+    formatRiskLine(data) {
+        if (!data.tokenRisk) {
+            return '';
+        }
+        
+        const { level, reasons } = data.tokenRisk;
+        const levelName = level.charAt(0).toUpperCase() + level.slice(1);
+        return `${this.RISK_BADGES[level]} *Risk: ${levelName}* · ${reasons.map(reason => this.escapeMarkdown(reason)).join(' · ')}\n`;
+    }
+    
+    // Mensaje para eventos que no son swaps, con una plantilla por categoría
+    formatActivityMessage(data, walletDisplay, timestamp, chatId) {
+        const legText = (leg) => {
+            if (leg.isQuote) {
+                return `${this.websocket.formatCompactAmount(leg.amount)} ${leg.symbol}`;
+            }
+            const symbol = this.websocket.isValidTokenSymbol(leg.symbol) ? `$${leg.symbol}` : `${leg.mint.substring(0, 8)}...`;
+            return `${this.websocket.formatCompactAmount(leg.amount)} ${this.escapeMarkdown(symbol)}`;
+        };
+        const legsText = (legs) => legs.map(legText).join(' + ');
+        const primaryLeg = (data.direction === 'OUT' ? data.sentLegs : data.receivedLegs)
+            .find(leg => leg.mint === data.mintAddress);
+        const primaryText = primaryLeg ? legText(primaryLeg) : data.amount;
+        const eventName = this.escapeMarkdown((data.eventType || '').toLowerCase().replace(/_/g, ' '));
+        
+        let title;
+        let body;
+        let details = '';
+        
+        switch (data.eventCategory) {
+            case 'transfers':
+                if (data.direction === 'OUT') {
+                    title = '📤 *Outgoing Transfer*';
+                    body = `sent ${primaryText}`;
+                    details = data.counterparty ? `📬 *To:* \`${data.counterparty}\`\n` : '';
+                } else {
+                    title = '📥 *Incoming Transfer*';
+                    body = `received ${primaryText}`;
+                    details = data.counterparty ? `📮 *From:* \`${data.counterparty}\`\n` : '';
+                }
+                break;
+            case 'nfts': {
+                const marketplace = data.nft && data.nft.marketplace ? ` on ${this.escapeMarkdown(data.nft.marketplace.replace(/_/g, ' '))}` : '';
+                const price = data.nft && data.nft.price > 0 ? ` for ${this.websocket.formatSOLAmountDirect(data.nft.price)}` : '';
+                title = '🖼 *NFT Activity*';
+                if (data.eventType && data.eventType.includes('MINT')) {
+                    body = `minted an NFT${price}`;
+                } else if (data.nft && data.nft.side === 'SELL') {
+                    body = `sold an NFT${price}${marketplace}`;
+                } else if (data.nft && data.nft.side === 'BUY') {
+                    body = `bought an NFT${price}${marketplace}`;
+                } else {
+                    body = `${eventName}${price}${marketplace}`;
+                }
+                break;
+            }
+            case 'liquidity':
+                if (data.eventType === 'WITHDRAW_LIQUIDITY') {
+                    title = '💧 *Liquidity Removed*';
+                    body = `withdrew ${legsText(data.receivedLegs) || primaryText}`;
+                } else {
+                    title = '💧 *Liquidity Added*';
+                    body = `deposited ${legsText(data.sentLegs) || primaryText}`;
+                }
+                break;
+            case 'staking':
+                title = '🥩 *Staking*';
+                if (['UNSTAKE_SOL', 'UNSTAKE_TOKEN', 'WITHDRAW_STAKE'].includes(data.eventType)) {
+                    body = `unstaked ${primaryText}`;
+                } else if (data.eventType === 'CLAIM_REWARDS') {
+                    body = `claimed ${primaryText} in rewards`;
+                } else {
+                    body = data.direction === 'OUT' ? `staked ${primaryText}` : `${eventName} — received ${primaryText}`;
+                }
+                break;
+            case 'mints':
+                title = '🪙 *Token Mint*';
+                body = `minted ${primaryText}`;
+                break;
+            case 'burns':
+                title = '🔥 *Token Burn*';
+                body = `burned ${primaryText}`;
+                break;
+            default:
+                title = '🔔 *New Transaction*';
+                body = `${eventName} ${primaryText}`;
+        }
+        
+        const mintLine = data.mintAddress && !(primaryLeg && primaryLeg.isSOL)
+            ? `🪙 *Mint:* \`${data.mintAddress}\`\n`
+            : '';
+        
+        if (this.getAlertSettings(chatId).alertLayout === 'compact') {
+            return `${title}\n👛 ${walletDisplay} ${body}\n` +
+                   this.formatAlertFooter(chatId, data, timestamp, true);
+        }
+        
+        return `${title}\n\n` +
+               `👛 Wallet ${walletDisplay} ${body}\n\n` +
+               details +
+               mintLine +
+               this.formatAlertFooter(chatId, data, timestamp, false);
+    }
+    
+    // Obtener wallet address de la transacción
+    getWalletFromTransaction(transactionData) {
+        // 🎯 CORRECCIÓN: Usar la wallet específica que viene en los datos de transacción
+        // El WebSocket ahora identifica correctamente la wallet involucrada
+        if (transactionData.wallet && typeof transactionData.wallet === 'string' && transactionData.wallet.length > 20) {
+            return transactionData.wallet;
+        }
+        
+        // Fallback: usar la primera wallet rastreada si no se puede identificar
+        const firstWallet = Array.from(this.websocket.trackedWallets)[0];
+        return firstWallet || 'Unknown Wallet';
+    }
+    
+    // ========== COMMITMENT Y FINALIDAD ==========
+    
+    // Commitment más rápido entre los usuarios que rastrean la wallet
+    getCommitmentForWallet(walletAddress) {
+        const levels = Object.values(this.LATENCY_COMMITMENTS);
+        let fastest = levels.length - 1;
+        
+        this.userWallets.forEach((walletSet, chatId) => {
+            if (!walletSet.has(walletAddress)) return;
+            const latency = (this.userSettings.get(chatId) || this.defaultSettings).latencyOptimization;
+            const level = levels.indexOf(this.LATENCY_COMMITMENTS[latency] || this.LATENCY_COMMITMENTS.standard);
+            fastest = Math.min(fastest, level);
+        });
+        
+        return levels[fastest];
+    }
+    
+    syncWalletCommitment(walletAddress) {
+        if (this.isWalletTrackedByAnyUser(walletAddress)) {
+            this.websocket.setWalletCommitment(walletAddress, this.getCommitmentForWallet(walletAddress));
+        }
+    }
+    
+    syncUserCommitments(chatId) {
+        (this.userWallets.get(chatId) || new Set()).forEach(wallet => this.syncWalletCommitment(wallet));
+    }
+    
+    // Seguir hasta 'finalized' las alertas enviadas con un commitment más rápido
+    watchFinality(chatId, transactionData) {
+        const settings = this.userSettings.get(chatId) || this.defaultSettings;
+        if (settings.finalityUpdates !== 'enabled' || !transactionData.commitment || transactionData.commitment === 'finalized') {
+            return;
+        }
+        this.websocket.trackFinality(transactionData.signature);
+    }
+    
+    handleTransactionStatus(signature, status) {
+        this.updateAlert(signature, { finalityStatus: status });
+    }
+    
+    // ========== ALERTAS EDITABLES ==========
+    
+    getAlertKey(data) {
+        return `${data.signature}:${data.wallet}`;
+    }
+    
+    // Enviar la alerta o, si la transacción ya se notificó en este chat, editar el mensaje existente
+    deliverAlert(chatId, transactionData) {
+        if (!this.alertMessages.has(chatId)) {
+            this.alertMessages.set(chatId, new Map());
+        }
+        const chatAlerts = this.alertMessages.get(chatId);
+        const key = this.getAlertKey(transactionData);
+        const existing = chatAlerts.get(key);
+        
+        if (existing) {
+            existing.data = { ...existing.data, ...transactionData };
+            this.refreshAlert(chatId, existing);
+            return;
+        }
+        
+        const alert = { messageId: null, data: { ...transactionData }, text: null, sending: null };
+        alert.text = this.renderAlert(chatId, alert.data);
+        alert.sending = this.sendAndTrackMessage(chatId, alert.text, { parse_mode: 'Markdown', reply_markup: this.buildAlertKeyboard(alert.data) })
+            .then((sentMessage) => {
+                alert.messageId = sentMessage.message_id;
+                notificationLogger.notification(`✅ Sent to user ${chatId}: ${transactionData.token} ${transactionData.buySell}`);
+            })
+            .catch((error) => {
+                chatAlerts.delete(key);
+                notificationLogger.error(`❌ Failed to send to user ${chatId}: ${error.message}`);
+            });
+        
+        chatAlerts.set(key, alert);
+        // Conservar solo las alertas más recientes (el Map mantiene el orden de inserción)
+        if (chatAlerts.size > this.MAX_ALERTS_PER_CHAT) {
+            chatAlerts.delete(chatAlerts.keys().next().value);
+        }
+    }
+    
+    // Añadir datos (estado, valor USD, PnL...) a todas las alertas ya enviadas de una firma
+    updateAlert(signature, patch) {
+        this.alertMessages.forEach((chatAlerts, chatId) => {
+            chatAlerts.forEach(alert => {
+                if (alert.data.signature !== signature) return;
+                alert.data = { ...alert.data, ...patch };
+                this.refreshAlert(chatId, alert);
+            });
+        });
+    }
+    
+    async refreshAlert(chatId, alert) {
+        // Esperar a que el envío original tenga message_id antes de editarlo
+        await alert.sending;
+        if (!alert.messageId) return;
+        
+        const text = this.renderAlert(chatId, alert.data);
+        if (text === alert.text) return;
+        alert.text = text;
+        
+        try {
+            await this.bot.editMessageText(text, {
+                chat_id: chatId,
+                message_id: alert.messageId,
+                parse_mode: 'Markdown',
+                reply_markup: this.buildAlertKeyboard(alert.data)
+            });
+            notificationLogger.debug(`Updated alert ${alert.messageId} for ${chatId}`);
+        } catch (error) {
+            notificationLogger.warn(`Could not update alert ${alert.messageId} for ${chatId}: ${error.message}`);
+        }
+    }
+    
+    // Mensaje de la alerta más la línea de estado de confirmación
+    renderAlert(chatId, data) {
+        const message = this.formatTransactionMessage(data, chatId);
+        const settings = this.userSettings.get(chatId) || this.defaultSettings;
+        
+        if (data.finalityStatus === 'finalized') {
+            return message + '\n\n✅ *Finalized*';
+        }
+        if (data.finalityStatus === 'failed') {
+            return message + '\n\n⚠️ *Failed* — this transaction landed but reverted with an error';
+        }
+        if (data.finalityStatus === 'dropped') {
+            return message + '\n\n❌ *Dropped* — this transaction never finalized';
+        }
+        if (settings.finalityUpdates === 'enabled' && data.commitment && data.commitment !== 'finalized') {
+            return message + `\n\n⏳ *Status:* \`${data.commitment}\`, waiting for finality`;
+        }
+        return message;
+    }
+    
+    // Botones de la alerta: enlaces y copia del mint, silenciar token o wallet y PnL de la wallet.
+    // Las NFTs y los movimientos de SOL no llevan la fila del token
+    buildAlertKeyboard(data) {
+        const rows = [];
+        const mint = data.mintAddress;
+        
+        if (mint && mint !== SOL_MINT && data.eventCategory !== 'nfts' && this.websocket.validateWalletAddress(mint)) {
+            rows.push([
+                { text: '🦅 Birdeye', url: `https://birdeye.so/token/${mint}?chain=solana` },
+                { text: '📈 DexScreener', url: `https://dexscreener.com/solana/${mint}` },
+                { text: '🪐 Jupiter', url: `https://jup.ag/swap/SOL-${mint}` }
+            ]);
+            rows.push([
+                { text: '📋 Copy mint', copy_text: { text: mint } },
+                { text: '🔇 Mute token', callback_data: `mutetoken_${mint}` }
+            ]);
+        }
+        
+        if (data.wallet && data.wallet !== 'Unknown Wallet') {
+            rows.push([
+                { text: '⏸ Mute wallet 1h', callback_data: `mutewallet_${data.wallet}` },
+                { text: '📊 Wallet PnL', callback_data: `pnl_${data.wallet}` }
+            ]);
+        }
+        
+        return { inline_keyboard: rows };
+    }
+    
+    // ========== PRESENTACIÓN DE ALERTAS ==========
+    
+    getAlertSettings(chatId) {
+        return this.userSettings.get(chatId) || this.defaultSettings;
+    }
+    
+    getExplorer(chatId) {
+        return this.EXPLORERS[this.getAlertSettings(chatId).explorer] || this.EXPLORERS.solscan;
+    }
+    
+    formatExplorerLink(chatId, signature) {
+        const explorer = this.getExplorer(chatId);
+        return `[View on ${explorer.name}](${explorer.txUrl(signature)})`;
+    }
+    
+    // Nombre IANA canónico ("europe/madrid" → "Europe/Madrid") o null si Intl no conoce la zona
+    resolveTimezone(value) {
+        if (!value) {
+            return null;
+        }
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Fecha y hora en la zona del chat con su abreviatura: "10/19/2026, 08:15:02 GMT+2"
+    formatUserTime(chatId, timestamp, options = {}) {
+        return new Date(timestamp).toLocaleString('en-US', {
+            timeZone: this.getAlertSettings(chatId).timezone,
+            hourCycle: 'h23',
+            timeZoneName: 'short',
+            ...options
+        });
+    }
+    
+    // Firma, hora y enlace al explorador; en el formato compacto todo en una línea
+    formatAlertFooter(chatId, data, timestamp, compact) {
+        if (compact) {
+            return `⏰ ${timestamp} · ${this.formatExplorerLink(chatId, data.signature)}`;
+        }
+        return `📝 *Signature:* \`${data.signature}\`\n` +
+               `⏰ *Time:* ${timestamp}\n\n` +
+               this.formatExplorerLink(chatId, data.signature);
+    }
+    
+    // Valores de los placeholders de la plantilla para un swap decodificado (ya escapados para Markdown)
+    getTemplateValues(chatId, data) {
+        const tokenLeg = data.buySell === 'SELL' ? data.inputLeg : data.outputLeg;
+        const symbol = tokenLeg.isQuote ? tokenLeg.symbol : (tokenLeg.symbol.startsWith('$') ? tokenLeg.symbol : `$${tokenLeg.symbol}`);
+        const walletAddress = this.getWalletFromTransaction(data) || 'Unknown';
+        const walletLabel = this.getWalletLabel(chatId, walletAddress);
+        const valueSol = this.pnlTracker.getTradeValueSol(data);
+        
+        return {
+            wallet: this.escapeMarkdown(walletLabel || (walletAddress.length > 8 ? walletAddress.substring(0, 8) + '...' : walletAddress)),
+            address: walletAddress,
+            emoji: data.buySell === 'BUY' ? '🟢' : data.buySell === 'SELL' ? '🔴' : '🔄',
+            side: data.buySell === 'BUY' ? 'bought' : data.buySell === 'SELL' ? 'sold' : 'swapped',
+            sol: valueSol !== null ? this.websocket.formatSOLAmountDirect(valueSol) : 'N/A SOL',
+            usd: typeof data.usdValue === 'number' ? this.websocket.formatUsdAmount(data.usdValue) : 'N/A',
+            token: this.escapeMarkdown(symbol),
+            amount: this.websocket.formatCompactAmount(tokenLeg.amount),
+            mint: data.mintAddress || tokenLeg.mint,
+            time: this.formatUserTime(chatId, data.timestamp),
+            link: this.getExplorer(chatId).txUrl(data.signature)
+        };
+    }
+    
+    // Los placeholders desconocidos se dejan tal cual para que el usuario vea el error
+    renderTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (Object.hasOwn(values, name) ? values[name] : placeholder));
+    }
+    
+    // Compra de ejemplo para la vista previa, con la primera wallet del chat si tiene alguna
+    getTemplatePreviewData(chatId) {
+        const wallet = Array.from(this.userWallets.get(chatId) || [])[0] || 'DYw8jCTfwHNRJhhmFcbXvVDTqWMEVFBX6ZKUmG5CNSKK';
+        return {
+            wallet,
+            buySell: 'BUY',
+            token: 'BONK',
+            mintAddress: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+            inputLeg: { mint: SOL_MINT, symbol: 'SOL', amount: 0.84, isQuote: true },
+            outputLeg: { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', amount: 1250000 },
+            solAmount: 0.84,
+            usdValue: 132,
+            signature: '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW',
+            timestamp: new Date().toISOString()
+        };
+    }
+    
+    // /settings template: sin texto muestra la ayuda, "off" la quita y cualquier otro texto se guarda tras la vista previa
+    async handleTemplateSetting(chatId, value, rawValue) {
+        const userConfig = this.userSettings.get(chatId);
+        
+        if (!rawValue) {
+            this.handleSettingsOption(chatId, 'template');
+            return;
+        }
+        
+        if (['off', 'reset', 'none'].includes(value)) {
+            userConfig.alertTemplate = null;
+            this.persistState();
+            this.sendAndTrackMessage(chatId, `📝 **Template Removed**\n\nSwap alerts use the \`${userConfig.alertLayout}\` layout again.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (rawValue.length > this.MAX_TEMPLATE_LENGTH) {
+            this.sendAndTrackMessage(chatId, `❌ **Template Too Long**\n\nKeep it under ${this.MAX_TEMPLATE_LENGTH} characters.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const placeholders = Array.from(rawValue.matchAll(/\{(\w+)\}/g), match => match[1]);
+        const unknown = placeholders.filter(name => !this.TEMPLATE_PLACEHOLDERS[name]);
+        if (placeholders.length === 0 || unknown.length > 0) {
+            const reason = unknown.length > 0
+                ? `Unknown placeholders: ${unknown.map(name => `\`{${name}}\``).join(', ')}`
+                : 'Include at least one placeholder such as `{wallet}` or `{token}`.';
+            this.sendAndTrackMessage(chatId, `❌ **Invalid Template**\n\n${reason}\n\nSee \`/settings template\` for the list.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        // La vista previa comprueba que Telegram acepta el Markdown: con una plantilla rota no llegaría ninguna alerta
+        const preview = this.renderTemplate(rawValue, this.getTemplateValues(chatId, this.getTemplatePreviewData(chatId)));
+        try {
+            await this.sendAndTrackMessage(chatId, preview, { parse_mode: 'Markdown' });
+        } catch (error) {
+            botLogger.warn(`Template of ${chatId} rejected: ${error.message}`);
+            this.sendAndTrackMessage(chatId, '❌ Template not saved: Telegram could not parse its formatting. Make sure every *, _, ` and [ is closed.');
+            return;
+        }
+        
+        userConfig.alertTemplate = rawValue;
+        this.persistState();
+        this.sendAndTrackMessage(chatId,
+            '✅ **Template Saved**\n\nThe message above is a preview with a sample buy. Swap alerts now use your template.\n\n`/settings template off` restores the normal layout.',
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    // ========== SILENCIOS ==========
+    
+    // Silencio de token para todas las wallets del chat, aparte de los filtros: mismo criterio de mints que deny
+    isTokenMuted(chatId, data) {
+        const muted = this.tokenMutes.get(chatId);
+        if (!muted) return false;
+        return [data.mintAddress, data.inputLeg?.mint, data.outputLeg?.mint].some(mint => mint && muted.has(mint));
+    }
+    
+    handleMuteToken(chatId, mint) {
+        if (!this.websocket.validateWalletAddress(mint)) {
+            this.sendAndTrackMessage(chatId, '❌ Invalid token mint address.');
+            return;
+        }
+        if (!this.tokenMutes.has(chatId)) {
+            this.tokenMutes.set(chatId, new Set());
+        }
+        const muted = this.tokenMutes.get(chatId);
+        if (!muted.has(mint) && muted.size >= this.MAX_MUTED_TOKENS) {
+            this.sendAndTrackMessage(chatId, `❌ You already muted ${this.MAX_MUTED_TOKENS} tokens. Unmute some with \`/mutes\` first.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        muted.add(mint);
+        this.persistState();
+        
+        const symbol = this.signalEngine.getSymbol(mint);
+        this.sendAndTrackMessage(chatId,
+            `🔇 **Token muted**${symbol ? ` - $${this.escapeMarkdown(symbol)}` : ''}\n\n` +
+            `No more alerts for \`${mint}\` from any wallet.\n\n` +
+            `💡 See and undo your mutes with \`/mutes\`.`,
+            {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: [[{ text: '↩️ Undo', callback_data: `unmutetoken_${mint}` }]] }
+            }
+        );
+    }
+    
+    handleUnmuteToken(chatId, mint) {
+        const muted = this.tokenMutes.get(chatId);
+        if (!muted?.delete(mint)) {
+            this.sendAndTrackMessage(chatId, 'ℹ️ That token is not muted.');
+            return;
+        }
+        
+        if (muted.size === 0) {
+            this.tokenMutes.delete(chatId);
+        }
+        this.persistState();
+        this.sendAndTrackMessage(chatId, `🔔 **Token unmuted**\n\nAlerts for \`${mint}\` are back on.`, { parse_mode: 'Markdown' });
+    }
+    
+    // /mutes: tokens y wallets silenciados con un botón para quitar cada uno
+    handleMutesCommand(chatId) {
+        const tokens = Array.from(this.tokenMutes.get(chatId) || []);
+        const wallets = Array.from(this.walletMutes.get(chatId)?.keys() || []).filter(wallet => this.isWalletMuted(chatId, wallet));
+        
+        if (tokens.length === 0 && wallets.length === 0) {
+            this.sendAndTrackMessage(chatId, '🔔 **No mutes**\n\nUse the 🔇 and ⏸ buttons on alerts to mute a token or a wallet.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const tokenName = (mint) => {
+            const symbol = this.signalEngine.getSymbol(mint);
+            return symbol ? `$${symbol}` : `${mint.substring(0, 8)}...`;
+        };
+        const lines = [
+            ...tokens.map(mint => `🔇 ${this.escapeMarkdown(tokenName(mint))} - \`${mint}\``),
+            ...wallets.map(wallet => `⏸ ${this.formatWalletEntry(chatId, wallet)} until ${this.formatUserTime(chatId, this.walletMutes.get(chatId).get(wallet), { hour: '2-digit', minute: '2-digit' })}`)
+        ];
+        const buttons = [
+            ...tokens.map(mint => ({ text: `🔔 ${tokenName(mint)}`, callback_data: `unmutetoken_${mint}` })),
+            ...wallets.map(wallet => ({ text: `🔔 ${this.getWalletLabel(chatId, wallet) || `${wallet.substring(0, 8)}...`}`, callback_data: `unmutewallet_${wallet}` }))
+        ];
+        const keyboard = { inline_keyboard: [] };
+        for (let i = 0; i < buttons.length; i += 2) {
+            keyboard.inline_keyboard.push(buttons.slice(i, i + 2));
+        }
+        
+        this.sendAndTrackMessage(chatId, `🔕 **Muted Alerts**\n\n${lines.join('\n')}\n\n💡 Tap a button to unmute.`, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+    
+    isWalletMuted(chatId, wallet) {
+        const mutes = this.walletMutes.get(chatId);
+        const until = mutes?.get(wallet);
+        if (!until) return false;
+        
+        if (until <= Date.now()) {
+            mutes.delete(wallet);
+            if (mutes.size === 0) {
+                this.walletMutes.delete(chatId);
+            }
+            this.persistState();
+            return false;
+        }
+        return true;
+    }
+    
+    handleMuteWallet(chatId, wallet) {
+        if (!this.userWallets.get(chatId)?.has(wallet)) {
+            this.sendAndTrackMessage(chatId, '❌ That wallet is no longer in your list.');
+            return;
+        }
+        
+        if (!this.walletMutes.has(chatId)) {
+            this.walletMutes.set(chatId, new Map());
+        }
+        const until = Date.now() + this.WALLET_MUTE_MS;
+        this.walletMutes.get(chatId).set(wallet, until);
+        this.persistState();
+        
+        const untilText = this.formatUserTime(chatId, until, { hour: '2-digit', minute: '2-digit' });
+        this.sendAndTrackMessage(chatId,
+            `⏸ **Wallet muted for 1 hour**\n\n${this.formatWalletEntry(chatId, wallet)}\n\n` +
+            `Alerts resume at ${untilText}. Signals and PnL keep recording meanwhile.`,
+            {
+                parse_mode: 'Markdown',
+                reply_markup: { inline_keyboard: [[{ text: '🔔 Unmute now', callback_data: `unmutewallet_${wallet}` }]] }
+            }
+        );
+    }
+    
+    handleUnmuteWallet(chatId, wallet) {
+        if (!this.isWalletMuted(chatId, wallet)) {
+            this.sendAndTrackMessage(chatId, 'ℹ️ That wallet is not muted.');
+            return;
+        }
+        
+        const mutes = this.walletMutes.get(chatId);
+        mutes.delete(wallet);
+        if (mutes.size === 0) {
+            this.walletMutes.delete(chatId);
+        }
+        this.persistState();
+        this.sendAndTrackMessage(chatId, `🔔 **Wallet unmuted**\n\n${this.formatWalletEntry(chatId, wallet)}`, { parse_mode: 'Markdown' });
+    }
+    
+    // ========== RIESGO DE TOKENS ==========
+    
+    // Solo compras. Con el resultado en caché la insignia va en la primera alerta; si no, el chequeo sigue en
+    // segundo plano y devuelve su promesa: la insignia se añade después editando las alertas ya enviadas
+    attachTokenRisk(transactionData) {
+        if ((transactionData.eventCategory || 'swaps') !== 'swaps' || transactionData.buySell !== 'BUY' || !transactionData.mintAddress) {
+            return null;
+        }
+        
+        const cached = this.websocket.tokenSafety.getCached(transactionData.mintAddress);
+        if (cached !== undefined) {
+            if (cached) {
+                transactionData.tokenRisk = cached;
+            }
+            return null;
+        }
+        
+        return this.websocket.tokenSafety.check(transactionData.mintAddress)
+            .then(risk => {
+                if (risk) {
+                    this.patchBuyAlerts(transactionData, { tokenRisk: risk });
+                }
+                return risk;
+            })
+            .catch(error => {
+                botLogger.warn(`Token risk check failed for ${transactionData.mintAddress}: ${error.message}`);
+                return null;
+            });
+    }
+    
+    // Datos del token que llegan después del envío (insignia, edad): se editan las alertas de compra de ese token en esa firma
+    patchBuyAlerts(transactionData, patch) {
+        Object.assign(transactionData, patch);
+        this.alertMessages.forEach((chatAlerts, chatId) => {
+            chatAlerts.forEach(alert => {
+                if (alert.data.signature !== transactionData.signature || alert.data.mintAddress !== transactionData.mintAddress || alert.data.buySell !== 'BUY') return;
+                alert.data = { ...alert.data, ...patch };
+                this.refreshAlert(chatId, alert);
+            });
+        });
+    }
+    
+    hidesRiskyBuys(chatId) {
+        const settings = this.userSettings.get(chatId) || this.defaultSettings;
+        return (this.RISK_SUPPRESSED_LEVELS[settings.riskCalibration] || []).length > 0;
+    }
+    
+    // Compras de tokens con un nivel de riesgo que el chat oculta (/settings risk); sin datos de riesgo nunca se oculta
+    isRiskSuppressed(chatId, transactionData) {
+        if (!transactionData.tokenRisk || transactionData.buySell !== 'BUY') {
+            return false;
+        }
+        
+        const settings = this.userSettings.get(chatId) || this.defaultSettings;
+        const suppressed = this.RISK_SUPPRESSED_LEVELS[settings.riskCalibration] || [];
+        return suppressed.includes(transactionData.tokenRisk.level);
+    }
+    
+    // ========== CATEGORÍAS DE EVENTOS ==========
+    
+    getEventCategories(chatId) {
+        return { ...this.defaultEventCategories, ...(this.userEvents.get(chatId) || {}) };
+    }
+    
+    isEventEnabled(chatId, category) {
+        return Boolean(this.getEventCategories(chatId)[category]);
+    }
+    
+    toggleEventCategory(chatId, category) {
+        const categories = this.getEventCategories(chatId);
+        categories[category] = !categories[category];
+        this.userEvents.set(chatId, categories);
+        this.persistState();
+        return categories[category];
+    }
+    
+    // Menú de categorías; si viene messageId se actualiza el mismo mensaje en lugar de enviar otro
+    handleEventsButton(chatId, messageId = null) {
+        const categories = this.getEventCategories(chatId);
+        const keys = Object.keys(this.eventCategoryInfo);
+        
+        const lines = keys.map(key => {
+            const info = this.eventCategoryInfo[key];
+            return `${categories[key] ? '🟢' : '🔴'} ${info.emoji} **${info.name}** - ${info.description}`;
+        });
+        
+        const eventsMessage = `🔔 **Alert Types**\n\n` +
+                             `Choose which activity of your tracked wallets you want to be notified about:\n\n` +
+                             `${lines.join('\n')}\n\n` +
+                             `💡 Tap a category to toggle it, or use \`/events <category>\`.`;
+        
+        const buttons = keys.map(key => ({
+            text: `${categories[key] ? '✅' : '⬜'} ${this.eventCategoryInfo[key].name}`,
+            callback_data: `events_${key}`
+        }));
+        const keyboard = { inline_keyboard: [] };
+        for (let i = 0; i < buttons.length; i += 2) {
+            keyboard.inline_keyboard.push(buttons.slice(i, i + 2));
+        }
+        
+        if (messageId) {
+            this.bot.editMessageText(eventsMessage, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            }).catch(error => botLogger.warn(`Could not update events menu: ${error.message}`));
+            return;
+        }
+        
+        this.sendAndTrackMessage(chatId, eventsMessage, {
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+    
+    // ========== FILTROS POR USUARIO ==========
+    
+    // Filtro efectivo de una wallet: cada campo definido en la wallet pisa al de "todas" (aunque sea el valor
+    // por defecto, p. ej. side all); las listas deny se suman y la lista allow propia sustituye a la de "todas"
+    getEffectiveFilter(chatId, walletAddress) {
+        const filters = this.userFilters.get(chatId);
+        const all = filters?.get('*') || {};
+        const own = walletAddress === '*' ? {} : (filters?.get(walletAddress) || {});
+        return {
+            ...this.defaultFilter,
+            ...all,
+            ...own,
+            denyMints: [...new Set([...(all.denyMints || []), ...(own.denyMints || [])])]
+        };
+    }
+    
+    getStoredFilter(chatId, target) {
+        return { ...this.defaultFilter, ...(this.userFilters.get(chatId)?.get(target) || {}) };
+    }
+    
+    // De dónde sale el valor efectivo de un campo: 'wallet', 'all' o null (valor por defecto)
+    getFilterSource(chatId, target, key) {
+        const filters = this.userFilters.get(chatId);
+        if (target !== '*' && filters?.get(target) && key in filters.get(target)) return 'wallet';
+        if (filters?.get('*') && key in filters.get('*')) return 'all';
+        return null;
+    }
+    
+    // Sin `keys` se guarda solo lo que difiere del valor por defecto ("todas", reset); en una wallet con `keys`
+    // se guardan exactamente esos campos (los que fijó el usuario), también cuando igualan al valor por defecto
+    saveFilter(chatId, target, filter, keys = null) {
+        if (!this.userFilters.has(chatId)) {
+            this.userFilters.set(chatId, new Map());
+        }
+        const explicit = target !== '*' && keys !== null;
+        const stored = {};
+        Object.keys(this.defaultFilter).forEach(key => {
+            if (explicit ? keys.includes(key) : JSON.stringify(filter[key]) !== JSON.stringify(this.defaultFilter[key])) {
+                stored[key] = filter[key];
+            }
+        });
+        
+        const filters = this.userFilters.get(chatId);
+        if (Object.keys(stored).length > 0) {
+            filters.set(target, stored);
+        } else {
+            filters.delete(target);
+            if (filters.size === 0) {
+                this.userFilters.delete(chatId);
+            }
+        }
+        this.persistState();
+    }
+    
+    // Tamaño de la operación en SOL o USD (null si no se puede valorar)
+    getTradeSize(data, unit) {
+        if (unit === 'USD') {
+            if (typeof data.usdValue === 'number') return data.usdValue;
+            return data.solAmount > 0 && data.solPriceUsd ? data.solAmount * data.solPriceUsd : null;
+        }
+        if (data.solAmount > 0) return data.solAmount;
+        if (typeof data.usdValue === 'number' && data.solPriceUsd) return data.usdValue / data.solPriceUsd;
+        return null;
+    }
+    
+    // Aplicar los filtros del usuario a una alerta. Devuelve { passed, reason }
+    checkUserFilters(chatId, data) {
+        const filter = this.getEffectiveFilter(chatId, data.wallet);
+        const mints = [data.mintAddress, data.inputLeg?.mint, data.outputLeg?.mint].filter(Boolean);
+        
+        if (filter.denyMints.length > 0 && mints.some(mint => filter.denyMints.includes(mint))) {
+            return { passed: false, reason: 'token denied' };
+        }
+        if (filter.allowMints.length > 0 && !filter.allowMints.includes(data.mintAddress)) {
+            return { passed: false, reason: 'token not in allow list' };
+        }
+        
+        // Buy-only / sell-only solo afecta a los swaps
+        if (filter.side !== 'all' && (data.eventCategory || 'swaps') === 'swaps' && data.buySell !== filter.side.toUpperCase()) {
+            return { passed: false, reason: `${filter.side}-only` };
+        }
+        
+        // Primera compra y edad del token solo afectan a las compras; sin edad conocida no se descarta
+        if ((data.eventCategory || 'swaps') === 'swaps' && data.buySell === 'BUY') {
+            // Mientras la wallet se siembra no se sabe qué es primera compra: no se descarta
+            if (filter.firstBuyOnly && !data.firstBuy && !data.firstBuyUnknown) {
+                return { passed: false, reason: 'not a first buy' };
+            }
+            const ageMs = this.getTokenAgeMs(data);
+            if (filter.maxTokenAgeMin !== null && ageMs !== null && ageMs > filter.maxTokenAgeMin * 60000) {
+                return { passed: false, reason: `token older than ${filter.maxTokenAgeMin} min` };
+            }
+        }
+        
+        if (filter.minSize !== null || filter.maxSize !== null) {
+            // Sin valoración posible (p. ej. token → token sin precio) no se descarta la alerta
+            const size = this.getTradeSize(data, filter.sizeUnit);
+            if (size !== null && filter.minSize !== null && size < filter.minSize) {
+                return { passed: false, reason: `below min ${filter.minSize} ${filter.sizeUnit}` };
+            }
+            if (size !== null && filter.maxSize !== null && size > filter.maxSize) {
+                return { passed: false, reason: `above max ${filter.maxSize} ${filter.sizeUnit}` };
+            }
+        }
+        
+        return { passed: true, reason: null };
+    }
+    
+    // Cambiar un campo del filtro de una wallet (o '*'). Devuelve { message } o { error }
+    // En una wallet se parte del filtro efectivo (salvo la lista deny, que es solo la propia) y se guardan
+    // los campos que ya tenía más los que toca esta acción
+    updateFilter(chatId, target, action, value) {
+        const own = target === '*' ? null : (this.userFilters.get(chatId)?.get(target) || {});
+        const filter = own
+            ? { ...this.getEffectiveFilter(chatId, target), denyMints: [...(own.denyMints || [])] }
+            : this.getStoredFilter(chatId, target);
+        const before = { ...filter };
+        const deniedForAll = own ? this.getStoredFilter(chatId, '*').denyMints : [];
+        const normalized = (value || '').toLowerCase();
+        let message;
+        
+        switch (action) {
+            case 'min':
+            case 'max': {
+                const key = action === 'min' ? 'minSize' : 'maxSize';
+                if (['off', 'none', '0'].includes(normalized)) {
+                    filter[key] = null;
+                    message = `${action === 'min' ? 'Minimum' : 'Maximum'} size removed`;
+                    break;
+                }
+                const amount = parseFloat(value);
+                if (!isFinite(amount) || amount <= 0) {
+                    return { error: `Invalid ${action} size: use a positive number or \`off\`` };
+                }
+                filter[key] = amount;
+                message = `${action === 'min' ? 'Minimum' : 'Maximum'} size set to ${amount} ${filter.sizeUnit}`;
+                break;
+            }
+            
+            case 'unit':
+                if (!['sol', 'usd'].includes(normalized)) {
+                    return { error: 'Invalid unit: use `sol` or `usd`' };
+                }
+                filter.sizeUnit = normalized.toUpperCase();
+                message = `Size unit set to ${filter.sizeUnit}`;
+                break;
+            
+            case 'side':
+                if (!['all', 'buy', 'sell'].includes(normalized)) {
+                    return { error: 'Invalid side: use `all`, `buy` or `sell`' };
+                }
+                filter.side = normalized;
+                message = normalized === 'all' ? 'Showing buys and sells' : `Showing ${normalized}s only`;
+                break;
+            
+            case 'firstbuy':
+                if (!['on', 'off'].includes(normalized)) {
+                    return { error: 'Invalid value: use `firstbuy on` or `firstbuy off`' };
+                }
+                filter.firstBuyOnly = normalized === 'on';
+                message = filter.firstBuyOnly ? 'Buys shown only for first buys of a token' : 'Showing every buy';
+                break;
+            
+            case 'age': {
+                if (['off', 'none', '0'].includes(normalized)) {
+                    filter.maxTokenAgeMin = null;
+                    message = 'Token age limit removed';
+                    break;
+                }
+                const minutes = parseInt(value, 10);
+                if (!(minutes >= 1 && minutes <= this.MAX_TOKEN_AGE_FILTER_MIN)) {
+                    return { error: `Invalid token age: use 1-${this.MAX_TOKEN_AGE_FILTER_MIN} minutes or \`off\`` };
+                }
+                filter.maxTokenAgeMin = minutes;
+                message = `Buys shown only for tokens created less than ${minutes} min ago`;
+                break;
+            }
+            
+            case 'allow':
+            case 'deny': {
+                const key = action === 'allow' ? 'allowMints' : 'denyMints';
+                if (normalized === 'clear') {
+                    filter[key] = [];
+                    message = `${action === 'allow' ? 'Allow' : 'Deny'} list cleared`;
+                    break;
+                }
+                if (!value || !this.websocket.validateWalletAddress(value)) {
+                    return { error: 'Invalid token mint address' };
+                }
+                if (deniedForAll.includes(value)) {
+                    return { error: action === 'deny'
+                        ? 'That token is already denied for all wallets'
+                        : 'That token is denied for all wallets: use `/filter all remove <mint>` first' };
+                }
+                if (filter[key].length >= this.MAX_FILTER_MINTS) {
+                    return { error: `List is full (max ${this.MAX_FILTER_MINTS} tokens)` };
+                }
+                // Un mint no puede estar en ambas listas a la vez
+                filter.allowMints = filter.allowMints.filter(mint => mint !== value);
+                filter.denyMints = filter.denyMints.filter(mint => mint !== value);
+                filter[key] = [...filter[key], value];
+                message = `Token added to the ${action} list`;
+                break;
+            }
+            
+            case 'remove':
+                if (!value) {
+                    return { error: 'Specify the token mint to remove' };
+                }
+                if (!filter.allowMints.includes(value) && !filter.denyMints.includes(value)) {
+                    return { error: deniedForAll.includes(value)
+                        ? 'That token is denied for all wallets: use `/filter all remove <mint>`'
+                        : 'That token is not in any list' };
+                }
+                filter.allowMints = filter.allowMints.filter(mint => mint !== value);
+                filter.denyMints = filter.denyMints.filter(mint => mint !== value);
+                message = 'Token removed from the lists';
+                break;
+            
+            case 'reset':
+                this.saveFilter(chatId, target, { ...this.defaultFilter });
+                return { message: 'Filters reset' };
+            
+            default:
+                return { error: `Unknown filter option \`${this.escapeMarkdown(action)}\`` };
+        }
+        
+        if (filter.minSize !== null && filter.maxSize !== null && filter.minSize > filter.maxSize) {
+            return { error: 'Minimum size cannot be greater than the maximum' };
+        }
+        
+        const keys = Object.keys(this.defaultFilter).filter(key =>
+            (own && key in own) || JSON.stringify(filter[key]) !== JSON.stringify(before[key])
+        );
+        keys.push(...(this.FILTER_ACTION_KEYS[action] || []));
+        this.saveFilter(chatId, target, filter, keys);
+        return { message };
+    }
+    
+    getFilterUsage() {
+        return `📝 **Usage:** \`/filter [wallet|label|all] [option] [value]\`\n` +
+               `• \`min 0.5\` / \`max 20\` / \`min off\` - Trade size limits\n` +
+               `• \`unit sol|usd\` - Unit of the size limits\n` +
+               `• \`side all|buy|sell\` - Buy-only or sell-only\n` +
+               `• \`allow <mint>\` / \`deny <mint>\` - Token lists (\`clear\` to empty)\n` +
+               `• \`remove <mint>\` - Remove a token from the lists\n` +
+               `• \`firstbuy on|off\` - Only the first buy of each token\n` +
+               `• \`age <minutes>|off\` - Only buys of tokens younger than this\n` +
+               `• \`reset\` - Remove all filters`;
+    }
+    
+    // Resumen de una línea de un filtro guardado
+    describeFilter(filter) {
+        const parts = [];
+        if (filter.minSize !== null) parts.push(`≥ ${filter.minSize} ${filter.sizeUnit}`);
+        if (filter.maxSize !== null) parts.push(`≤ ${filter.maxSize} ${filter.sizeUnit}`);
+        if (filter.side !== 'all') parts.push(`${filter.side}s only`);
+        if (filter.allowMints.length > 0) parts.push(`${filter.allowMints.length} allowed`);
+        if (filter.denyMints.length > 0) parts.push(`${filter.denyMints.length} denied`);
+        if (filter.firstBuyOnly) parts.push('first buys only');
+        if (filter.maxTokenAgeMin !== null) parts.push(`tokens < ${filter.maxTokenAgeMin}m`);
+        return parts.length > 0 ? parts.join(' · ') : 'no filters';
+    }
+    
+    getFilterTargetName(chatId, target) {
+        if (target === '*') return 'All wallets';
+        return this.getWalletLabel(chatId, target) || `${target.substring(0, 8)}...`;
+    }
+    
+    // Menú principal: resumen por wallet y un botón para editar cada una
+    handleFilterMenu(chatId, messageId = null) {
+        const wallets = Array.from(this.userWallets.get(chatId) || []);
+        
+        if (wallets.length === 0) {
+            this.sendAndTrackMessage(chatId, '📋 You are not tracking any wallets yet. Use `/track <wallet>` to start!', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const lines = ['*', ...wallets].map(target =>
+            `• ${this.escapeMarkdown(this.getFilterTargetName(chatId, target))}: ${this.describeFilter(this.getEffectiveFilter(chatId, target))}`
+        );
+        const filterMessage = `🎚️ **Alert Filters**\n\n` +
+                              `Filters for *All wallets* apply to every wallet; a wallet's own filters override them (denied tokens add up). Each wallet shows the filters applied to it.\n\n` +
+                              `${lines.join('\n')}\n\n` +
+                              `💡 Tap a wallet to edit it.\n\n${this.getFilterUsage()}`;
+        
+        const buttons = ['*', ...wallets].map(target => ({
+            text: `${target === '*' ? '🌐' : '👛'} ${this.getFilterTargetName(chatId, target)}`,
+            callback_data: `filter_${target === '*' ? 'all' : target}`
+        }));
+        const keyboard = { inline_keyboard: [] };
+        for (let i = 0; i < buttons.length; i += 2) {
+            keyboard.inline_keyboard.push(buttons.slice(i, i + 2));
+        }
+        
+        this.sendOrEditFilterMessage(chatId, messageId, filterMessage, keyboard);
+    }
+    
+    // Detalle de un filtro con botones para lado, unidad, mínimo rápido y reset.
+    // En una wallet se muestra el filtro efectivo y de dónde sale cada valor
+    handleFilterView(chatId, target, messageId = null, notice = null) {
+        const filter = this.getEffectiveFilter(chatId, target);
+        const id = target === '*' ? 'all' : target;
+        const source = (key) => {
+            if (target === '*') return '';
+            const from = this.getFilterSource(chatId, target, key);
+            return from === 'all' ? ' _(all wallets)_' : from === 'wallet' ? ' _(this wallet)_' : '';
+        };
+        const deniedForAll = target === '*' ? [] : this.getStoredFilter(chatId, '*').denyMints;
+        const mintList = (mints) => mints.length > 0
+            ? mints.map(mint => `\n   \`${mint}\`${deniedForAll.includes(mint) ? ' _(all wallets)_' : ''}`).join('')
+            : ' none';
+        
+        const filterMessage = (notice ? `${notice}\n\n` : '') +
+            `🎚️ **Filters — ${this.escapeMarkdown(this.getFilterTargetName(chatId, target))}**\n\n` +
+            `• Min size: ${filter.minSize !== null ? `${filter.minSize} ${filter.sizeUnit}` : 'none'}${source('minSize')}\n` +
+            `• Max size: ${filter.maxSize !== null ? `${filter.maxSize} ${filter.sizeUnit}` : 'none'}${source('maxSize')}\n` +
+            `• Side: ${filter.side === 'all' ? 'buys and sells' : `${filter.side}s only`}${source('side')}\n` +
+            `• Allowed tokens:${filter.allowMints.length > 0 ? source('allowMints') : ''}${mintList(filter.allowMints)}\n` +
+            `• Denied tokens:${mintList(filter.denyMints)}\n` +
+            `• First buys only: ${filter.firstBuyOnly ? 'yes' : 'no'}${source('firstBuyOnly')}\n` +
+            `• Max token age: ${filter.maxTokenAgeMin !== null ? `${filter.maxTokenAgeMin} min` : 'none'}${source('maxTokenAgeMin')}\n\n` +
+            `💡 Use \`/filter ${target === '*' ? 'all' : '<wallet>'} min <amount>\`, \`allow <mint>\` or \`deny <mint>\` for custom values.`;
+        
+        const sideButton = (side, text) => ({ text: `${filter.side === side ? '✅ ' : ''}${text}`, callback_data: `fset_${id}_side_${side}` });
+        const keyboard = {
+            inline_keyboard: [
+                [sideButton('all', 'Buys + sells'), sideButton('buy', 'Buys only'), sideButton('sell', 'Sells only')],
+                this.FILTER_MIN_PRESETS.map(amount => ({
+                    text: `${filter.minSize === amount ? '✅ ' : ''}Min ${amount}`,
+                    callback_data: `fset_${id}_min_${amount}`
+                })).concat([{ text: 'No min', callback_data: `fset_${id}_min_off` }]),
+                [
+                    { text: `${filter.firstBuyOnly ? '✅ ' : ''}🆕 First buys only`, callback_data: `fset_${id}_firstbuy_${filter.firstBuyOnly ? 'off' : 'on'}` },
+                    { text: `${filter.maxTokenAgeMin === this.FILTER_AGE_PRESET ? '✅ ' : ''}⏱ Tokens < ${this.FILTER_AGE_PRESET}m`, callback_data: `fset_${id}_age_${filter.maxTokenAgeMin === this.FILTER_AGE_PRESET ? 'off' : this.FILTER_AGE_PRESET}` }
+                ],
+                [
+                    { text: `Unit: ${filter.sizeUnit} ⇄`, callback_data: `fset_${id}_unit_${filter.sizeUnit === 'SOL' ? 'usd' : 'sol'}` },
+                    { text: '🗑 Reset', callback_data: `fset_${id}_reset_all` }
+                ],
+                [{ text: '⬅️ All filters', callback_data: 'filter_menu' }]
+            ]
+        };
+        
+        this.sendOrEditFilterMessage(chatId, messageId, filterMessage, keyboard);
+    }
+    
+    sendOrEditFilterMessage(chatId, messageId, text, keyboard) {
+        if (messageId) {
+            this.bot.editMessageText(text, {
+                chat_id: chatId,
+                message_id: messageId,
+                parse_mode: 'Markdown',
+                reply_markup: keyboard
+            }).catch(error => botLogger.warn(`Could not update filter menu: ${error.message}`));
+            return;
+        }
+        
+        this.sendAndTrackMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: keyboard });
+    }
+    
+    // filter_menu, filter_<wallet|all> y fset_<wallet|all>_<opción>_<valor>
+    handleFilterButton(chatId, messageId, data) {
+        if (data === 'filter_menu') {
+            this.handleFilterMenu(chatId, messageId);
+            return;
+        }
+        
+        const [prefix, id, action, value] = data.split('_');
+        const target = id === 'all' ? '*' : id;
+        if (target !== '*' && !this.userWallets.get(chatId)?.has(target)) {
+            this.bot.sendMessage(chatId, '❌ That wallet is no longer in your list.');
+            return;
+        }
+        
+        if (prefix === 'filter') {
+            this.handleFilterView(chatId, target, messageId);
+            return;
+        }
+        
+        const result = this.updateFilter(chatId, target, action, value);
+        this.handleFilterView(chatId, target, messageId, result.error ? `❌ ${result.error}` : `✅ ${result.message}`);
+    }
+    
+    // ========== GRUPOS Y CANALES ==========
+    
+    setupChatRouting() {
+        this.bot.getMe()
+            .then(me => { this.botUsername = me.username; })
+            .catch(error => botLogger.warn(`Could not get bot username: ${error.message}`));
+        
+        // 'message' se emite antes de evaluar los onText: quitar la mención para que los patrones coincidan
+        this.bot.on('message', (msg) => this.normalizeCommandText(msg));
+        
+        // Los posts de canal no pasan por onText; solo los administradores pueden publicar en un canal
+        this.bot.on('channel_post', (post) => {
+            if (post.text && post.text.startsWith('/')) {
+                this.bot.processUpdate({ message: post });
+            }
+        });
+    }
+    
+    // "/track@MiBot addr" → "/track addr"; los comandos dirigidos a otro bot se ignoran
+    normalizeCommandText(msg) {
+        const match = msg.text && msg.text.match(/^\/\w+@(\w+)/);
+        if (!match) return;
+        
+        if (this.botUsername && match[1].toLowerCase() !== this.botUsername.toLowerCase()) {
+            msg.text = '';
+            return;
+        }
+        msg.text = msg.text.replace(`@${match[1]}`, '');
+    }
+    
+    isGroupChat(chatId) {
+        return chatId < 0;
+    }
+    
+    getWalletLimit(chatId) {
+        return this.tierManager.getWalletLimit(chatId);
+    }
+    
+    // "Free (3 wallets)"
+    formatTier(chatId) {
+        const tier = this.tierManager.getTier(chatId);
+        return `${tier.name} (${tier.maxWallets} wallets)`;
+    }
+    
+    async isChatAdmin(chatId, userId) {
+        const key = `${chatId}:${userId}`;
+        const cached = this.chatAdminCache.get(key);
+        if (cached && cached.expiry > Date.now()) {
+            return cached.isAdmin;
+        }
+        
+        try {
+            const member = await this.bot.getChatMember(chatId, userId);
+            const isAdmin = ['creator', 'administrator'].includes(member.status);
+            this.chatAdminCache.set(key, { isAdmin, expiry: Date.now() + this.CHAT_ADMIN_CACHE_MS });
+            return isAdmin;
+        } catch (error) {
+            botLogger.warn(`Could not check admin rights of ${userId} in ${chatId}: ${error.message}`);
+            return false;
+        }
+    }
+    
+    // Privados y canales: sin restricciones. Grupos: admins, o cualquiera para comandos de solo lectura
+    async canRunCommand(msg) {
+        if (msg.chat.type === 'private' || msg.chat.type === 'channel') {
+            return true;
+        }
+        
+        const command = (msg.text.match(/^\/(\w+)/) || [])[1];
+        // "/start wl_<id>" suscribe el grupo a una watchlist: no es de solo lectura
+        const joinsWatchlist = command === 'start' && /^\/start\s+wl_/.test(msg.text);
+        if (this.GROUP_MEMBER_COMMANDS.has(command) && !joinsWatchlist) {
+            return true;
+        }
+        
+        // Administradores anónimos escriben en nombre del propio grupo
+        if (msg.sender_chat && msg.sender_chat.id === msg.chat.id) {
+            return true;
+        }
+        
+        if (msg.from && await this.isChatAdmin(msg.chat.id, msg.from.id)) {
+            return true;
+        }
+        
+        if (!this.deniedMessages.has(msg)) {
+            this.deniedMessages.add(msg);
+            this.sendAndTrackMessage(msg.chat.id, `🔒 Only chat admins can use /${command} here.`).catch(() => {});
+        }
+        return false;
+    }
+    
+    async canPressButton(callbackQuery) {
+        const chat = callbackQuery.message.chat;
+        const data = callbackQuery.data;
+        
+        if (chat.type === 'private' || this.GROUP_MEMBER_BUTTONS.has(data) ||
+            this.GROUP_MEMBER_BUTTON_PREFIXES.some(prefix => data.startsWith(prefix))) {
+            return true;
+        }
+        
+        return this.isChatAdmin(chat.id, callbackQuery.from.id);
+    }
+    
+    // Registrar un comando con la comprobación de permisos del chat
+    onCommand(regexp, handler) {
+        this.bot.onText(regexp, async (msg, match) => {
+            if (await this.canRunCommand(msg)) {
+                handler(msg, match);
+            }
+        });
+    }
+    
+    // ========== ADMINISTRACIÓN ==========
+    
+    isAdmin(chatId) {
+        return this.adminChatIds.has(chatId);
+    }
+    
+    getAdminUsage() {
+        return `🛠 **Admin Commands**\n\n` +
+               `\`/admin filter list [kind]\` - Show global filter rules\n` +
+               `\`/admin filter add <kind> <value>\` - Block a token, mint, wallet name or type\n` +
+               `\`/admin filter remove <kind> <value>\` - Remove a rule\n` +
+               `\`/admin tier list\` - Show tiers and assigned chats\n` +
+               `\`/admin tier set <chat_id> <tier>\` - Change a chat's tier\n` +
+               `\`/admin tier reset <chat_id>\` - Back to the configured/default tier\n\n` +
+               `Kinds: ${Object.keys(FILTER_RULE_LISTS).map(kind => `\`${kind}\``).join(', ')}\n` +
+               `Tiers: ${this.tierManager.listTiers().map(tier => `\`${tier.id}\``).join(', ')}`;
+    }
+    
+    handleAdminCommand(chatId, args) {
+        switch ((args[0] || '').toLowerCase()) {
+            case 'filter':
+                this.handleAdminFilter(chatId, args.slice(1));
+                break;
+            case 'tier':
+                this.handleAdminTier(chatId, args.slice(1));
+                break;
+            default:
+                this.sendAndTrackMessage(chatId, this.getAdminUsage(), { parse_mode: 'Markdown' });
+        }
+    }
+    
+    // Reglas globales de TransactionFilters: se aplican a todas las alertas y se guardan en el almacenamiento
+    handleAdminFilter(chatId, args) {
+        const action = (args[0] || 'list').toLowerCase();
+        const kind = (args[1] || '').toLowerCase();
+        const value = args.slice(2).join(' ');
+        const filters = this.websocket.filters;
+        
+        if (action === 'list') {
+            const kinds = kind ? [kind] : Object.keys(FILTER_RULE_LISTS);
+            if (kinds.some(item => !FILTER_RULE_LISTS[item])) {
+                this.sendAndTrackMessage(chatId, `❌ Unknown rule kind.\n\n${this.getAdminUsage()}`, { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            const sections = kinds.map(item => {
+                const rules = filters.getRules(item);
+                const shown = rules.slice(0, this.MAX_RULES_LISTED).map(rule => `\`${rule || '(empty)'}\``).join(', ');
+                const more = rules.length > this.MAX_RULES_LISTED ? ` …and ${rules.length - this.MAX_RULES_LISTED} more` : '';
+                return `**${item}** (${rules.length}): ${rules.length > 0 ? shown + more : 'none'}`;
+            });
+            this.sendAndTrackMessage(chatId, `🛡 **Global Filter Rules**\n\n${sections.join('\n\n')}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (!['add', 'remove'].includes(action) || !FILTER_RULE_LISTS[kind] || !value) {
+            this.sendAndTrackMessage(chatId, `❌ Invalid admin filter command.\n\n${this.getAdminUsage()}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (kind === 'mint' && !this.websocket.validateWalletAddress(value)) {
+            this.sendAndTrackMessage(chatId, '❌ Invalid token mint address.');
+            return;
+        }
+        
+        const changed = action === 'add' ? filters.addRule(kind, value) : filters.removeRule(kind, value);
+        if (!changed) {
+            this.sendAndTrackMessage(chatId, action === 'add' ? `⚠️ \`${value}\` is already blocked as ${kind}.` : `⚠️ No ${kind} rule \`${value}\` found.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        this.persistState();
+        botLogger.info(`Admin ${chatId} ${action === 'add' ? 'added' : 'removed'} ${kind} rule "${value}"`);
+        this.sendAndTrackMessage(chatId,
+            `✅ ${kind} rule \`${value}\` ${action === 'add' ? 'added' : 'removed'}. ${action === 'add' ? 'Matching alerts are blocked for every user from now on.' : ''}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    // Niveles por chat: la asignación de un admin tiene prioridad sobre TIERS_CONFIG y se guarda en el estado
+    handleAdminTier(chatId, args) {
+        const action = (args[0] || 'list').toLowerCase();
+        const targetChatId = Number(args[1]);
+        const tierId = (args[2] || '').toLowerCase();
+        
+        if (action === 'list') {
+            const tiers = this.tierManager.listTiers()
+                .map(tier => `• \`${tier.id}\` - ${tier.name}: ${tier.maxWallets} wallets`)
+                .join('\n');
+            const assignments = Array.from(this.tierManager.getAssignments().entries())
+                .slice(0, this.MAX_RULES_LISTED)
+                .map(([id, tier]) => `• \`${id}\` → ${tier}`)
+                .join('\n');
+            
+            this.sendAndTrackMessage(chatId,
+                `🏷 **Tiers**\n\n${tiers}\n\n` +
+                `Default: \`${this.tierManager.defaultTier}\` · Groups: \`${this.tierManager.groupTier}\`\n\n` +
+                `**Assigned chats:**\n${assignments || 'none'}`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        if (!['set', 'reset'].includes(action) || !Number.isInteger(targetChatId) || targetChatId === 0 || (action === 'set' && !tierId)) {
+            this.sendAndTrackMessage(chatId, `❌ Invalid admin tier command.\n\n${this.getAdminUsage()}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (action === 'set' && !this.tierManager.setTier(targetChatId, tierId)) {
+            this.sendAndTrackMessage(chatId, `❌ Unknown tier \`${tierId}\`.\n\n${this.getAdminUsage()}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        if (action === 'reset' && !this.tierManager.resetTier(targetChatId)) {
+            this.sendAndTrackMessage(chatId, `⚠️ Chat \`${targetChatId}\` has no admin-assigned tier.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        this.persistState();
+        const walletCount = this.userWallets.get(targetChatId)?.size || 0;
+        const limit = this.getWalletLimit(targetChatId);
+        botLogger.info(`Admin ${chatId} ${action === 'set' ? `set tier of ${targetChatId} to ${tierId}` : `reset tier of ${targetChatId}`}`);
+        
+        // Bajar de nivel no borra wallets: solo impide añadir nuevas hasta volver a estar dentro del cupo
+        this.sendAndTrackMessage(chatId,
+            `✅ Chat \`${targetChatId}\` is now on ${this.formatTier(targetChatId)}.` +
+            (walletCount > limit ? `\n⚠️ It tracks ${walletCount} wallets; no new wallets until it is under the limit.` : ''),
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    // ========== PNL Y POSICIONES ==========
+    
+    // Actualizar el libro de la wallet con un BUY/SELL y adjuntar el PnL cerrado a la alerta
+    recordTrade(transactionData) {
+        if (transactionData.eventCategory !== 'swaps') return;
+        
+        try {
+            const pnl = this.pnlTracker.recordTrade(transactionData);
+            if (pnl) {
+                transactionData.pnl = pnl;
+            }
+            this.persistState();
+        } catch (error) {
+            botLogger.error(`Failed to record trade ${transactionData.signature}: ${error.message}`);
+        }
+    }
+    
+    // Registrar el mint en el índice de la wallet y marcar la compra si es la primera de ese token
+    markSeenMint(transactionData) {
+        const { wallet, mintAddress, buySell, signature } = transactionData;
+        if (transactionData.eventCategory !== 'swaps' || !mintAddress || !['BUY', 'SELL'].includes(buySell)) return;
+        
+        const seen = this.walletSeenMints.get(wallet);
+        if (!seen) return;
+        
+        if (!seen.has(mintAddress)) {
+            // Una venta sin compra previa vista también cuenta: la wallet ya tenía el token
+            seen.add(mintAddress);
+            if (seen.size > this.MAX_SEEN_MINTS_PER_WALLET) {
+                seen.delete(seen.values().next().value);
+            }
+            this.persistState();
+            
+            if (buySell === 'BUY' && !this.seedingWallets.has(wallet)) {
+                this.recentFirstBuys.add(signature);
+                if (this.recentFirstBuys.size > this.MAX_RECENT_FIRST_BUYS) {
+                    this.recentFirstBuys.delete(this.recentFirstBuys.values().next().value);
+                }
+            }
+        }
+        
+        if (buySell === 'BUY' && this.seedingWallets.has(wallet)) {
+            transactionData.firstBuyUnknown = true;
+        }
+        // Por firma para que las re-notificaciones de la misma compra (commitment) sigan marcadas
+        if (buySell === 'BUY' && this.recentFirstBuys.has(signature)) {
+            transactionData.firstBuy = true;
+        }
+    }
+    
+    // Crear el índice de una wallet recién rastreada, sembrado con su historial reciente
+    // para no marcar como primera compra un token que ya compró antes de seguirla
+    ensureSeenMints(wallet) {
+        if (this.walletSeenMints.has(wallet)) return;
+        this.walletSeenMints.set(wallet, new Set());
+        this.seedingWallets.add(wallet);
+        
+        this.seenMintsSeeding = this.seenMintsSeeding.then(async () => {
+            const seen = this.walletSeenMints.get(wallet);
+            if (!seen) { // dejó de rastrearse mientras esperaba
+                this.seedingWallets.delete(wallet);
+                return;
+            }
+            
+            try {
+                const mints = await this.websocket.getWalletTradedMints(wallet, this.SEEN_MINTS_HISTORY_TRADES);
+                mints.forEach(mint => {
+                    if (seen.size < this.MAX_SEEN_MINTS_PER_WALLET) {
+                        seen.add(mint);
+                    }
+                });
+                this.persistState();
+                botLogger.info(`Seeded ${seen.size} known mint(s) for ${wallet.substring(0, 8)}...`);
+            } catch (error) {
+                botLogger.warn(`Could not seed known mints for ${wallet.substring(0, 8)}...: ${error.message}`);
+            } finally {
+                this.seedingWallets.delete(wallet);
+            }
+        });
+    }
+    
+    // Momento de creación del token comprado (exacto o cota). Igual que el riesgo: en caché va en la primera
+    // alerta; si no, la búsqueda sigue en segundo plano y su promesa se devuelve para editar las alertas después
+    attachTokenAge(transactionData) {
+        if ((transactionData.eventCategory || 'swaps') !== 'swaps' || transactionData.buySell !== 'BUY' || !transactionData.mintAddress) {
+            return null;
+        }
+        
+        const toPatch = creation => ({ tokenCreatedAt: creation.createdAt, tokenAgeExact: creation.exact });
+        const cached = this.websocket.getCachedTokenCreation(transactionData.mintAddress);
+        if (cached) {
+            Object.assign(transactionData, toPatch(cached));
+            return null;
+        }
+        
+        return this.websocket.getTokenCreation(transactionData.mintAddress)
+            .then(creation => {
+                if (creation) {
+                    this.patchBuyAlerts(transactionData, toPatch(creation));
+                }
+                return creation;
+            })
+            .catch(error => {
+                botLogger.warn(`Token age lookup failed for ${transactionData.mintAddress}: ${error.message}`);
+                return null;
+            });
+    }
+    
+    // Edad del token al momento del trade (ms) o null si no se conoce
+    getTokenAgeMs(data) {
+        if (typeof data.tokenCreatedAt !== 'number') return null;
+        const tradeTime = new Date(data.timestamp).getTime() || Date.now();
+        return Math.max(0, tradeTime - data.tokenCreatedAt);
+    }
+    
+    formatSignedSol(value) {
+        const sign = value >= 0 ? '+' : '-';
+        return `${sign}${this.websocket.formatSOLAmountDirect(Math.abs(value))}`;
+    }
+    
+    formatSignedPercent(value) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(Math.abs(value) >= 100 ? 0 : 1)}%`;
+    }
+    
+    // Dirección o etiqueta (sin distinguir mayúsculas) de una wallet rastreada por el chat
+    resolveTrackedWallet(chatId, reference) {
+        const wallets = Array.from(this.userWallets.get(chatId) || []);
+        if (wallets.includes(reference)) {
+            return reference;
+        }
+        
+        const lowered = reference.toLowerCase();
+        return wallets.find(wallet => (this.getWalletLabel(chatId, wallet) || '').toLowerCase() === lowered) || null;
+    }
+    
+    async handlePnlCommand(chatId, reference) {
+        const wallets = Array.from(this.userWallets.get(chatId) || []);
+        
+        if (wallets.length === 0) {
+            this.sendAndTrackMessage(chatId, '📋 You are not tracking any wallets yet. Use `/track <wallet>` to start!', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (!reference) {
+            this.sendAndTrackMessage(chatId, this.formatPnlOverview(chatId, wallets), { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const walletAddress = this.resolveTrackedWallet(chatId, reference);
+        if (!walletAddress) {
+            this.sendAndTrackMessage(chatId, '❌ That wallet is not in your list. Use `/list` to see your wallets.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        try {
+            const message = await this.formatPnlDetails(chatId, walletAddress);
+            await this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('❌ Error building PnL report:', error);
+            this.sendAndTrackMessage(chatId, '❌ Error building the PnL report. Please try again.')
+                .catch(sendError => botLogger.error(`PnL error notice for ${chatId} failed: ${sendError.message}`));
+        }
+    }
+    
+    // Una línea por wallet: PnL realizado, posiciones abiertas y win rate
+    formatPnlOverview(chatId, wallets) {
+        const lines = wallets.map((wallet, index) => {
+            const summary = this.pnlTracker.getSummary(wallet);
+            const label = this.getWalletLabel(chatId, wallet);
+            const name = label ? `*${this.escapeMarkdown(label)}*` : `\`${wallet.substring(0, 8)}...\``;
+            
+            if (summary.positions === 0) {
+                return `${index + 1}. ${name} — no trades recorded yet`;
+            }
+            
+            const winRate = summary.winRate !== null ? ` · win rate ${summary.winRate.toFixed(0)}%` : '';
+            return `${index + 1}. ${name} — realized ${this.formatSignedSol(summary.realizedSol)} · ${summary.openPositions} open${winRate}`;
+        });
+        
+        return `📈 **Wallet PnL**\n\n${lines.join('\n')}\n\n` +
+               `💡 Use \`/pnl [wallet|label]\` for positions and per-token results.\n` +
+               `_Average cost, valued in SOL, from trades seen while tracking._`;
+    }
+    
+    // Posiciones abiertas (con PnL no realizado a precio actual), PnL realizado por token y win rate.
+    // Cada lista muestra como mucho PNL_MAX_LISTED tokens para no pasar del límite de 4096 caracteres de Telegram
+    async formatPnlDetails(chatId, walletAddress) {
+        const positions = this.pnlTracker.getPositions(walletAddress);
+        const summary = this.pnlTracker.getSummary(walletAddress);
+        const header = `📈 **Wallet PnL**\n${this.formatWalletEntry(chatId, walletAddress)}\n\n`;
+        
+        if (positions.length === 0) {
+            return header + 'No BUY/SELL trades recorded for this wallet yet.';
+        }
+        
+        const tokenName = (position) => this.escapeMarkdown(`$${position.symbol || position.mint.substring(0, 8)}`);
+        const moreLine = (total) => total > this.PNL_MAX_LISTED ? `…and ${total - this.PNL_MAX_LISTED} more\n` : '';
+        // Las de mayor coste y las de mayor resultado (en valor absoluto) primero
+        const openPositions = positions.filter(position => position.amount > 0)
+            .sort((a, b) => b.costSol - a.costSol);
+        const closedPositions = positions.filter(position => position.wins + position.losses > 0)
+            .sort((a, b) => Math.abs(b.realizedSol) - Math.abs(a.realizedSol));
+        
+        // Valor actual de las posiciones abiertas en SOL
+        const prices = await this.websocket.priceService.getPrices([SOL_MINT, ...openPositions.map(position => position.mint)]);
+        const solPrice = prices.get(SOL_MINT);
+        let unrealizedSol = 0;
+        let pricedPositions = 0;
+        
+        let message = header;
+        
+        if (openPositions.length > 0) {
+            message += '**Open positions:**\n';
+            openPositions.forEach((position, index) => {
+                const tokenPrice = prices.get(position.mint);
+                let valueText = '';
+                if (tokenPrice !== undefined && solPrice) {
+                    const valueSol = position.amount * tokenPrice / solPrice;
+                    const pnlSol = valueSol - position.costSol;
+                    const percent = position.costSol > 0 ? ` (${this.formatSignedPercent(pnlSol / position.costSol * 100)})` : '';
+                    unrealizedSol += pnlSol;
+                    pricedPositions++;
+                    valueText = ` · now ${this.websocket.formatSOLAmountDirect(valueSol)} → ${this.formatSignedSol(pnlSol)}${percent}`;
+                }
+                // El no realizado suma todas las posiciones, también las que no se listan
+                if (index < this.PNL_MAX_LISTED) {
+                    message += `• ${tokenName(position)}: ${this.websocket.formatCompactAmount(position.amount)} · cost ${this.websocket.formatSOLAmountDirect(position.costSol)}${valueText}\n`;
+                }
+            });
+            message += moreLine(openPositions.length) + '\n';
+        }
+        
+        if (closedPositions.length > 0) {
+            message += '**Realized:**\n';
+            closedPositions.slice(0, this.PNL_MAX_LISTED).forEach(position => {
+                const sells = position.wins + position.losses;
+                message += `• ${tokenName(position)}: ${this.formatSignedSol(position.realizedSol)} (${sells} sell${sells === 1 ? '' : 's'})\n`;
+            });
+            message += moreLine(closedPositions.length) + '\n';
+        }
+        
+        message += '**Summary:**\n';
+        message += `• Realized: ${this.formatSignedSol(summary.realizedSol)}\n`;
+        if (pricedPositions > 0) {
+            message += `• Unrealized: ${this.formatSignedSol(unrealizedSol)}${pricedPositions < openPositions.length ? ' _(some tokens unpriced)_' : ''}\n`;
+        }
+        message += summary.winRate !== null
+            ? `• Win rate: ${summary.winRate.toFixed(0)}% (${summary.wins}/${summary.wins + summary.losses} sells)\n`
+            : '• Win rate: no closed trades yet\n';
+        message += '\n_Average cost, valued in SOL, from trades seen while tracking._';
+        
+        return message;
+    }
+    
+    // ========== HISTORIAL DE SWAPS ==========
+    
+    async handleHistoryRequest(chatId, walletAddress, requestedCount) {
+        if (this.historyRequests.has(chatId)) {
+            this.sendAndTrackMessage(chatId, '⏳ A history lookup is already running. Please wait for it to finish.');
+            return;
+        }
+        
+        const count = Math.min(Math.max(requestedCount || this.HISTORY_DEFAULT_COUNT, 1), this.HISTORY_MAX_COUNT);
+        this.historyRequests.add(chatId);
+        
+        let loadingMessage = null;
+        try {
+            loadingMessage = await this.sendAndTrackMessage(chatId,
+                `⏳ Loading the last ${count} swaps of ${this.formatWalletEntry(chatId, walletAddress)}...`,
+                { parse_mode: 'Markdown' }
+            );
+            
+            const trades = await this.websocket.getWalletHistory(walletAddress, count);
+            await this.bot.editMessageText(this.formatHistoryMessage(chatId, walletAddress, trades, count), {
+                chat_id: chatId,
+                message_id: loadingMessage.message_id,
+                parse_mode: 'Markdown',
+                disable_web_page_preview: true
+            });
+        } catch (error) {
+            console.error('❌ Error loading wallet history:', error);
+            const errorText = '❌ Could not load the wallet history. Please try again later.';
+            if (loadingMessage) {
+                this.bot.editMessageText(errorText, { chat_id: chatId, message_id: loadingMessage.message_id }).catch(() => {});
+            } else {
+                this.sendAndTrackMessage(chatId, errorText).catch(() => {});
+            }
+        } finally {
+            this.historyRequests.delete(chatId);
+        }
+    }
+    
+    // Una línea por swap con el mismo formato que las alertas, más un resumen de compras/ventas
+    formatHistoryMessage(chatId, walletAddress, trades, count) {
+        const header = `📜 **Last ${count} swaps** (${this.getAlertSettings(chatId).timezone})\n${this.formatWalletEntry(chatId, walletAddress)}\n\n`;
+        
+        if (trades.length === 0) {
+            return header + 'No swaps found in the recent history of this wallet.';
+        }
+        
+        const lines = trades.map((trade, index) => {
+            const time = this.formatUserTime(chatId, trade.timestamp, {
+                timeZoneName: undefined,
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            return `${index + 1}. ${this.formatSwapLine(trade)} · ${time} · [tx](${this.getExplorer(chatId).txUrl(trade.signature)})`;
+        });
+        
+        const buys = trades.filter(trade => trade.buySell === 'BUY');
+        const sells = trades.filter(trade => trade.buySell === 'SELL');
+        const solVolume = trades.reduce((sum, trade) => sum + (trade.solAmount || 0), 0);
+        const tokens = new Set(trades.map(trade => trade.mintAddress));
+        
+        let summary = `\n\n📊 ${buys.length} buys · ${sells.length} sells · ${tokens.size} token${tokens.size === 1 ? '' : 's'}`;
+        if (solVolume > 0) {
+            summary += ` · ${this.websocket.formatSOLAmountDirect(solVolume)} volume`;
+        }
+        if (trades.length < count) {
+            summary += `\n_Only ${trades.length} swap${trades.length === 1 ? '' : 's'} found in the wallet's recent transactions._`;
+        }
+        
+        return header + lines.join('\n') + summary;
+    }
+    
+    // ========== IMPORTAR / EXPORTAR ==========
+    
+    getImportUsage(chatId) {
+        return `📥 **Import Wallets**\n\n` +
+               `Send a \`.json\` or \`.csv\` file from \`/export\` now, or paste one wallet per line:\n` +
+               `\`\`\`\n/import\n<wallet_address> [label]\n<wallet_address> [label]\n\`\`\`\n` +
+               `• Up to ${this.IMPORT_MAX_LINES} lines; lines starting with \`#\` are ignored\n` +
+               `• Wallets beyond your quota (${this.getWalletLimit(chatId)}) are skipped\n` +
+               `• Wallets you already track keep tracking; their label and filter are updated`;
+    }
+    
+    // Filtro guardado de una wallet (solo lo que difiere del valor por defecto) o null
+    getExportFilter(chatId, target) {
+        const stored = this.userFilters.get(chatId)?.get(target);
+        return stored ? { ...stored } : null;
+    }
+    
+    buildExportJson(chatId, wallets) {
+        return JSON.stringify({
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            wallets: wallets.map(address => ({
+                address,
+                label: this.getWalletLabel(chatId, address),
+                filter: this.getExportFilter(chatId, address)
+            })),
+            allWalletsFilter: this.getExportFilter(chatId, '*')
+        }, null, 2);
+    }
+    
+    // Una fila por wallet con los campos que fija su propio filtro (vacío = hereda de "todas");
+    // las listas de mints van separadas por espacios y "off" quita un límite de "todas"
+    buildExportCsv(chatId, wallets) {
+        const limit = (filter, key) => !(key in filter) ? '' : (filter[key] ?? 'off');
+        const rows = wallets.map(address => {
+            const filter = this.userFilters.get(chatId)?.get(address) || {};
+            return [
+                address,
+                this.getWalletLabel(chatId, address) || '',
+                limit(filter, 'minSize'),
+                limit(filter, 'maxSize'),
+                filter.sizeUnit || '',
+                filter.side || '',
+                (filter.allowMints || []).join(' '),
+                (filter.denyMints || []).join(' '),
+                'firstBuyOnly' in filter ? (filter.firstBuyOnly ? 'yes' : 'no') : '',
+                limit(filter, 'maxTokenAgeMin')
+            ];
+        });
+        
+        return [this.CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeCsvValue(value)).join(','))
+            .join('\n') + '\n';
+    }
+    
+    escapeCsvValue(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    async handleExportCommand(chatId, format) {
+        if (!['json', 'csv'].includes(format)) {
+            this.sendAndTrackMessage(chatId, '📝 Use: `/export [json|csv]`', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const wallets = Array.from(this.userWallets.get(chatId) || []);
+        if (wallets.length === 0) {
+            this.sendAndTrackMessage(chatId, '📋 No wallets to export. Use `/track <wallet>` or `/import` first.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const content = format === 'json' ? this.buildExportJson(chatId, wallets) : this.buildExportCsv(chatId, wallets);
+        const caption = `📤 ${wallets.length} wallet${wallets.length === 1 ? '' : 's'} exported. Send this file with /import to load it in another chat.` +
+                        (format === 'csv' && this.userFilters.get(chatId)?.has('*') ? '\nThe all-wallets filter is only included in JSON exports.' : '');
+        
+        try {
+            const sentMessage = await this.bot.sendDocument(chatId, Buffer.from(content, 'utf8'), { caption }, {
+                filename: `onectra-wallets-${new Date().toISOString().slice(0, 10)}.${format}`,
+                contentType: format === 'json' ? 'application/json' : 'text/csv'
+            });
+            this.trackMessageId(chatId, sentMessage.message_id);
+            botLogger.info(`Chat ${chatId} exported ${wallets.length} wallet(s) as ${format}`);
+        } catch (error) {
+            botLogger.error(`Export for ${chatId} failed: ${error.message}`);
+            this.sendAndTrackMessage(chatId, '❌ Could not send the export file. Please try again.')
+                .catch(sendError => botLogger.error(`Export error notice for ${chatId} failed: ${sendError.message}`));
+        }
+    }
+    
+    // Archivo o lista pegada → { entries: [{ line, address, label, filter }], allWalletsFilter } o { error }
+    parseImport(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return this.parseImportJson(trimmed);
+        }
+        return this.parseImportLines(trimmed);
+    }
+    
+    // JSON de /export, o una lista de direcciones / objetos { address, label, filter }
+    parseImportJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { error: 'The file is not valid JSON.' };
+        }
+        
+        const wallets = Array.isArray(data) ? data : data?.wallets;
+        if (!Array.isArray(wallets)) {
+            return { error: 'JSON imports need a `wallets` list.' };
+        }
+        
+        const entries = wallets.map((item, index) => ({
+            line: index + 1,
+            address: String((typeof item === 'string' ? item : item?.address) || '').trim(),
+            label: typeof item === 'object' && item?.label ? String(item.label).trim() : null,
+            filter: typeof item === 'object' && item?.filter ? item.filter : null
+        }));
+        return { entries, allWalletsFilter: Array.isArray(data) ? null : data.allWalletsFilter || null };
+    }
+    
+    // Texto plano ("<wallet> [label]" por línea) o CSV con cabecera como el de /export
+    parseImportLines(text) {
+        const lines = text.split(/\r?\n/)
+            .map((content, index) => ({ line: index + 1, content: content.trim() }))
+            .filter(item => item.content && !item.content.startsWith('#'));
+        
+        let columns = null;
+        if (lines.length > 0 && /^"?address"?\s*,/i.test(lines[0].content)) {
+            columns = this.parseCsvLine(lines.shift().content).map(column => column.trim().toLowerCase());
+        }
+        
+        const entries = lines.map(({ line, content }) => {
+            if (!columns && !content.includes(',')) {
+                const [address, ...labelParts] = content.split(/\s+/);
+                return { line, address, label: labelParts.join(' ') || null, filter: null };
+            }
+            
+            const values = this.parseCsvLine(content);
+            const row = {};
+            (columns || ['address', 'label']).forEach((column, index) => {
+                row[column] = (values[index] || '').trim();
+            });
+            return { line, address: row.address || '', label: row.label || null, filter: columns ? this.csvRowToFilter(row) : null };
+        });
+        
+        return { entries, allWalletsFilter: null };
+    }
+    
+    csvRowToFilter(row) {
+        const filter = {};
+        if (row.min_size) filter.minSize = row.min_size;
+        if (row.max_size) filter.maxSize = row.max_size;
+        if (row.size_unit) filter.sizeUnit = row.size_unit;
+        if (row.side) filter.side = row.side;
+        if (row.allow_mints) filter.allowMints = row.allow_mints.split(/\s+/);
+        if (row.deny_mints) filter.denyMints = row.deny_mints.split(/\s+/);
+        if (row.first_buy_only) filter.firstBuyOnly = row.first_buy_only;
+        if (row.max_token_age_min) filter.maxTokenAgeMin = row.max_token_age_min;
+        return Object.keys(filter).length > 0 ? filter : null;
+    }
+    
+    // Separar una línea CSV respetando comillas ("a,b" y "" como comilla escapada)
+    parseCsvLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current);
+        return values;
+    }
+    
+    // Validar un filtro importado con las mismas reglas que /filter. Devuelve { filter } o { error }
+    sanitizeImportedFilter(raw) {
+        if (!raw || typeof raw !== 'object') {
+            return { filter: null };
+        }
+        
+        const filter = { ...this.defaultFilter };
+        
+        for (const key of ['minSize', 'maxSize']) {
+            if (raw[key] === null || raw[key] === undefined || raw[key] === '' || raw[key] === 'off') continue;
+            const amount = parseFloat(raw[key]);
+            if (!isFinite(amount) || amount <= 0) {
+                return { error: `invalid ${key === 'minSize' ? 'min' : 'max'} size` };
+            }
+            filter[key] = amount;
+        }
+        
+        if (raw.sizeUnit !== undefined) {
+            filter.sizeUnit = String(raw.sizeUnit).toUpperCase();
+            if (!['SOL', 'USD'].includes(filter.sizeUnit)) {
+                return { error: 'invalid size unit' };
+            }
+        }
+        
+        if (raw.side !== undefined) {
+            filter.side = String(raw.side).toLowerCase();
+            if (!['all', 'buy', 'sell'].includes(filter.side)) {
+                return { error: 'invalid side' };
+            }
+        }
+        
+        for (const key of ['allowMints', 'denyMints']) {
+            if (raw[key] === undefined) continue;
+            if (!Array.isArray(raw[key]) || raw[key].some(mint => typeof mint !== 'string' || !this.websocket.validateWalletAddress(mint))) {
+                return { error: `invalid ${key === 'allowMints' ? 'allow' : 'deny'} list` };
+            }
+            filter[key] = [...new Set(raw[key])].slice(0, this.MAX_FILTER_MINTS);
+        }
+        
+        if (raw.firstBuyOnly !== undefined && raw.firstBuyOnly !== '') {
+            const value = String(raw.firstBuyOnly).toLowerCase();
+            if (!['true', 'false', 'yes', 'no', 'on', 'off'].includes(value)) {
+                return { error: 'invalid first buy flag' };
+            }
+            filter.firstBuyOnly = ['true', 'yes', 'on'].includes(value);
+        }
+        
+        if (raw.maxTokenAgeMin !== null && raw.maxTokenAgeMin !== undefined && raw.maxTokenAgeMin !== '' && raw.maxTokenAgeMin !== 'off') {
+            const minutes = parseInt(raw.maxTokenAgeMin, 10);
+            if (!(minutes >= 1 && minutes <= this.MAX_TOKEN_AGE_FILTER_MIN)) {
+                return { error: 'invalid max token age' };
+            }
+            filter.maxTokenAgeMin = minutes;
+        }
+        
+        // Igual que en /filter: un mint no puede estar en ambas listas
+        filter.allowMints = filter.allowMints.filter(mint => !filter.denyMints.includes(mint));
+        
+        if (filter.minSize !== null && filter.maxSize !== null && filter.minSize > filter.maxSize) {
+            return { error: 'min size above max size' };
+        }
+        
+        // Campos presentes en el archivo: en una wallet se guardan aunque sean el valor por defecto
+        const keys = Object.keys(this.defaultFilter).filter(key => raw[key] !== undefined && raw[key] !== '');
+        return { filter, keys };
+    }
+    
+    // Importar wallets, etiquetas y filtros respetando el cupo; informa el resultado de cada línea
+    handleImport(chatId, text) {
+        this.pendingImports.delete(chatId);
+        
+        const parsed = this.parseImport(text);
+        if (parsed.error) {
+            this.sendAndTrackMessage(chatId, `❌ ${parsed.error}\n\n${this.getImportUsage(chatId)}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        if (parsed.entries.length === 0) {
+            this.sendAndTrackMessage(chatId, '❌ No wallets found in the import.');
+            return;
+        }
+        if (parsed.entries.length > this.IMPORT_MAX_LINES) {
+            this.sendAndTrackMessage(chatId, `❌ Too many lines (${parsed.entries.length}). Import up to ${this.IMPORT_MAX_LINES} at a time.`);
+            return;
+        }
+        
+        if (!this.userWallets.has(chatId)) {
+            this.userWallets.set(chatId, new Set());
+        }
+        const userWalletSet = this.userWallets.get(chatId);
+        const limit = this.getWalletLimit(chatId);
+        const seen = new Set();
+        const added = [];
+        const results = [];
+        const counts = { added: 0, updated: 0, skipped: 0 };
+        
+        parsed.entries.forEach(({ line, address, label, filter }) => {
+            const skip = (reason) => {
+                counts.skipped++;
+                results.push(`❌ Line ${line}: ${reason}`);
+            };
+            
+            if (!address || !this.websocket.validateWalletAddress(address)) return skip('invalid address');
+            
+            const wallet = `\`${address.substring(0, 8)}...\``;
+            if (seen.has(address)) return skip(`${wallet} duplicated`);
+            seen.add(address);
+            
+            const labelError = label ? this.getLabelError(label) : null;
+            if (labelError) return skip(`${wallet} ${this.escapeMarkdown(labelError)}`);
+            
+            const filterResult = this.sanitizeImportedFilter(filter);
+            if (filterResult.error) return skip(`${wallet} ${filterResult.error}`);
+            
+            const alreadyTracked = userWalletSet.has(address);
+            if (!alreadyTracked && userWalletSet.size >= limit) return skip(`${wallet} wallet limit reached (${limit})`);
+            
+            if (!alreadyTracked) {
+                userWalletSet.add(address);
+                added.push(address);
+            }
+            if (label) {
+                this.setWalletLabel(chatId, address, label);
+            }
+            if (filterResult.filter) {
+                this.saveFilter(chatId, address, filterResult.filter, filterResult.keys);
+            }
+            
+            if (alreadyTracked) {
+                counts.updated++;
+                results.push(`↩️ Line ${line}: ${wallet} already tracked${label || filterResult.filter ? ', updated' : ''}`);
+            } else {
+                counts.added++;
+                results.push(`✅ Line ${line}: ${wallet} added`);
+            }
+        });
+        
+        if (parsed.allWalletsFilter) {
+            const filterResult = this.sanitizeImportedFilter(parsed.allWalletsFilter);
+            if (filterResult.error) {
+                results.push(`❌ All-wallets filter: ${filterResult.error}`);
+            } else {
+                this.saveFilter(chatId, '*', filterResult.filter);
+                results.push('✅ All-wallets filter imported');
+            }
+        }
+        
+        const walletCount = userWalletSet.size;
+        if (walletCount === 0) {
+            this.userWallets.delete(chatId);
+        }
+        
+        // Suscribir las nuevas wallets igual que /track
+        added.forEach(address => {
+            this.ensureSeenMints(address);
+            this.syncWalletCommitment(address);
+            this.websocket.addWallet(address);
+        });
+        this.persistState();
+        
+        const shown = results.slice(0, this.IMPORT_RESULTS_SHOWN);
+        const more = results.length > shown.length ? `\n…and ${results.length - shown.length} more` : '';
+        this.sendAndTrackMessage(chatId,
+            `📥 **Import Finished**\n\n` +
+            `✅ Added: ${counts.added} · ↩️ Updated: ${counts.updated} · ❌ Skipped: ${counts.skipped}\n` +
+            `📊 Wallets: ${walletCount}/${limit}\n\n` +
+            shown.join('\n') + more,
+            { parse_mode: 'Markdown' }
+        );
+        botLogger.info(`Chat ${chatId} imported ${counts.added} wallet(s), updated ${counts.updated}, skipped ${counts.skipped}`);
+    }
+    
+    // Documento recibido: solo se importa con "/import" como pie o si el chat acaba de pedir /import
+    async handleImportDocument(msg) {
+        const chatId = msg.chat.id;
+        const captioned = /^\/import(@\w+)?(\s|$)/.test(msg.caption || '');
+        const waiting = (this.pendingImports.get(chatId) || 0) > Date.now();
+        if (!captioned && !waiting) return;
+        
+        if (!(await this.canRunCommand({ ...msg, text: '/import' }))) return;
+        this.updateUserActivity(chatId);
+        
+        if (msg.document.file_size > this.IMPORT_MAX_FILE_BYTES) {
+            this.sendAndTrackMessage(chatId, `❌ File too large (max ${this.IMPORT_MAX_FILE_BYTES / 1024} KB).`);
+            return;
+        }
+        
+        try {
+            const fileLink = await this.bot.getFileLink(msg.document.file_id);
+            const response = await axios.get(fileLink, {
+                responseType: 'text',
+                timeout: 15000,
+                maxContentLength: this.IMPORT_MAX_FILE_BYTES
+            });
+            this.handleImport(chatId, String(response.data));
+        } catch (error) {
+            botLogger.error(`Import download for ${chatId} failed: ${error.message}`);
+            this.sendAndTrackMessage(chatId, '❌ Could not download the file. Please try again.');
+        }
+    }
+    
+    // ========== WATCHLISTS ==========
+    
+    getWatchlistUsage() {
+        return `📝 **Usage:**\n` +
+               `• \`/watchlist\` - Your watchlists\n` +
+               `• \`/watchlist create <name>\` - New list (you are subscribed to it)\n` +
+               `• \`/watchlist add <name> <wallet> [label]\` - Add a wallet\n` +
+               `• \`/watchlist remove <name> <wallet|label>\` - Remove a wallet\n` +
+               `• \`/watchlist share <name>\` - Link teammates can open to subscribe\n` +
+               `• \`/watchlist show <name>\` - Wallets of a list\n` +
+               `• \`/watchlist join <id>\` / \`leave <name>\` - Subscribe or unsubscribe\n` +
+               `• \`/watchlist delete <name>\` - Delete a list you own`;
+    }
+    
+    handleWatchlistCommand(chatId, args) {
+        const action = (args[0] || 'list').toLowerCase();
+        
+        switch (action) {
+            case 'list':
+                this.handleWatchlistOverview(chatId);
+                break;
+            case 'create':
+                this.handleWatchlistCreate(chatId, args[1]);
+                break;
+            case 'add':
+                this.handleWatchlistAdd(chatId, args[1], args[2], args.slice(3).join(' '));
+                break;
+            case 'remove':
+                this.handleWatchlistRemove(chatId, args[1], args.slice(2).join(' '));
+                break;
+            case 'share':
+            case 'show':
+                this.handleWatchlistShow(chatId, args[1]);
+                break;
+            case 'join':
+                this.handleWatchlistJoin(chatId, args[1]);
+                break;
+            case 'leave':
+                this.handleWatchlistLeave(chatId, args[1]);
+                break;
+            case 'delete':
+                this.handleWatchlistDelete(chatId, args[1]);
+                break;
+            default:
+                this.sendAndTrackMessage(chatId, `❌ Unknown watchlist option.\n\n${this.getWatchlistUsage()}`, { parse_mode: 'Markdown' });
+        }
+    }
+    
+    formatWatchlistName(list) {
+        return `*${this.escapeMarkdown(list.name)}*`;
+    }
+    
+    getWatchlistLink(list) {
+        return this.botUsername ? `https://t.me/${this.botUsername}?start=wl_${list.id}` : null;
+    }
+    
+    // Lista propia por nombre o id; si no existe o no es del chat, avisa y devuelve null
+    getOwnedWatchlist(chatId, ref) {
+        const list = this.watchlists.resolve(chatId, ref);
+        if (!list) {
+            this.sendAndTrackMessage(chatId, ref ? '❌ Watchlist not found. Use `/watchlist` to see yours.' : `❌ Specify a watchlist.\n\n${this.getWatchlistUsage()}`, { parse_mode: 'Markdown' });
+            return null;
+        }
+        if (list.ownerId !== chatId) {
+            this.sendAndTrackMessage(chatId, `⛔ Only the owner can change ${this.formatWatchlistName(list)}.`, { parse_mode: 'Markdown' });
+            return null;
+        }
+        return list;
+    }
+    
+    // Avisar a los suscriptores (menos a quien hizo el cambio) de que la lista ha cambiado
+    notifyWatchlistSubscribers(list, exceptChatId, buildMessage) {
+        list.subscribers.forEach((provided, subscriberId) => {
+            if (subscriberId === exceptChatId) return;
+            const message = buildMessage(subscriberId);
+            if (!message) return;
+            this.sendAndTrackMessage(subscriberId, message, { parse_mode: 'Markdown' })
+                .catch(error => botLogger.warn(`Could not notify watchlist subscriber ${subscriberId}: ${error.message}`));
+        });
+    }
+    
+    // Añadir al chat una wallet aportada por la lista. Devuelve 'added', 'present' o 'limit'
+    attachWatchlistWallet(chatId, list, wallet) {
+        if (!this.userWallets.has(chatId)) {
+            this.userWallets.set(chatId, new Set());
+        }
+        const walletSet = this.userWallets.get(chatId);
+        
+        if (walletSet.has(wallet)) {
+            // Si otra lista la aportó, esta también la mantiene; si el chat la rastrea por su cuenta, no se toca
+            if (this.watchlists.isProvided(chatId, wallet)) {
+                this.watchlists.markProvided(list, chatId, wallet);
+            }
+            return 'present';
+        }
+        if (walletSet.size >= this.getWalletLimit(chatId)) {
+            return 'limit';
+        }
+        
+        walletSet.add(wallet);
+        this.watchlists.markProvided(list, chatId, wallet);
+        const label = list.wallets.get(wallet);
+        if (label && !this.getWalletLabel(chatId, wallet)) {
+            this.setWalletLabel(chatId, wallet, label);
+        }
+        this.ensureSeenMints(wallet);
+        this.syncWalletCommitment(wallet);
+        this.websocket.addWallet(wallet);
+        return 'added';
+    }
+    
+    // Quitar una wallet del chat y del WebSocket si ya nadie la rastrea
+    releaseChatWallet(chatId, wallet) {
+        this.userWallets.get(chatId)?.delete(wallet);
+        this.removeWalletLabel(chatId, wallet);
+        if (!this.isWalletTrackedByAnyUser(wallet)) {
+            this.websocket.removeWallet(wallet);
+            this.walletSeenMints.delete(wallet);
+        } else {
+            this.syncWalletCommitment(wallet);
+        }
+    }
+    
+    // Quitar las wallets que solo aportaba esta lista (tras salir de ella o al borrarla)
+    releaseWatchlistWallets(chatId, list) {
+        const released = this.watchlists.unsubscribe(list, chatId)
+            .filter(wallet => !this.watchlists.isProvided(chatId, wallet));
+        released.forEach(wallet => this.releaseChatWallet(chatId, wallet));
+        return released;
+    }
+    
+    handleWatchlistOverview(chatId) {
+        const owned = this.watchlists.getOwned(chatId);
+        const subscribed = this.watchlists.getSubscribed(chatId).filter(list => list.ownerId !== chatId);
+        
+        if (owned.length === 0 && subscribed.length === 0) {
+            this.sendAndTrackMessage(chatId,
+                `📋 **Watchlists**\n\nShare named wallet lists with your team: subscribers get alerts for every wallet in the list and follow its changes.\n\n${this.getWatchlistUsage()}`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        let message = `📋 **Watchlists**\n\n`;
+        if (owned.length > 0) {
+            message += `**Owned:**\n` + owned.map(list =>
+                `• ${this.formatWatchlistName(list)} - ${list.wallets.size} wallet${list.wallets.size === 1 ? '' : 's'}, ` +
+                `${list.subscribers.size} subscriber${list.subscribers.size === 1 ? '' : 's'}` +
+                (list.subscribers.has(chatId) ? '' : ' (not subscribed)')
+            ).join('\n') + '\n\n';
+        }
+        if (subscribed.length > 0) {
+            message += `**Subscribed:**\n` + subscribed.map(list =>
+                `• ${this.formatWatchlistName(list)} - ${list.wallets.size} wallet${list.wallets.size === 1 ? '' : 's'}`
+            ).join('\n') + '\n\n';
+        }
+        message += `💡 \`/watchlist show <name>\` for details, \`/watchlist share <name>\` for the invite link.`;
+        
+        this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
+    }
+    
+    handleWatchlistCreate(chatId, name) {
+        if (!this.watchlists.isValidName(name)) {
+            this.sendAndTrackMessage(chatId, '❌ Invalid name: use up to 24 letters, numbers, `-` or `_`.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const owned = this.watchlists.getOwned(chatId);
+        if (owned.some(list => list.name.toLowerCase() === name.toLowerCase())) {
+            this.sendAndTrackMessage(chatId, '⚠️ You already have a watchlist with that name.');
+            return;
+        }
+        if (owned.length >= this.MAX_WATCHLISTS_PER_CHAT) {
+            this.sendAndTrackMessage(chatId, `🚫 You can own up to ${this.MAX_WATCHLISTS_PER_CHAT} watchlists.`);
+            return;
+        }
+        
+        const list = this.watchlists.create(chatId, name);
+        this.watchlists.subscribe(list, chatId);
+        this.persistState();
+        
+        this.sendAndTrackMessage(chatId,
+            `✅ Watchlist ${this.formatWatchlistName(list)} created.\n\n` +
+            `Add wallets with \`/watchlist add ${name} <wallet> [label]\` and invite teammates with \`/watchlist share ${name}\`.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    handleWatchlistAdd(chatId, ref, walletAddress, label) {
+        const list = this.getOwnedWatchlist(chatId, ref);
+        if (!list) return;
+        
+        if (!walletAddress || !this.websocket.validateWalletAddress(walletAddress)) {
+            this.sendAndTrackMessage(chatId, '❌ Invalid Solana wallet address. Please check and try again.');
+            return;
+        }
+        const labelError = label ? this.getLabelError(label) : null;
+        if (labelError) {
+            this.sendAndTrackMessage(chatId, `❌ ${labelError}`);
+            return;
+        }
+        
+        const isNew = !list.wallets.has(walletAddress);
+        const listLimit = this.getWalletLimit(chatId);
+        if (isNew && list.wallets.size >= listLimit) {
+            this.sendAndTrackMessage(chatId, `🚫 ${this.formatWatchlistName(list)} is full (max ${listLimit} wallets on your tier).`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        list.wallets.set(walletAddress, label ? label.replace(/\s+/g, ' ').trim() : list.wallets.get(walletAddress) || null);
+        
+        const results = new Map();
+        list.subscribers.forEach((provided, subscriberId) => {
+            results.set(subscriberId, this.attachWatchlistWallet(subscriberId, list, walletAddress));
+        });
+        this.persistState();
+        
+        const entry = `\`${walletAddress}\`${label ? ` (${this.escapeMarkdown(label)})` : ''}`;
+        const full = Array.from(results.values()).filter(result => result === 'limit').length;
+        let message = `✅ ${isNew ? 'Added' : 'Updated'} ${entry} ${isNew ? 'to' : 'in'} ${this.formatWatchlistName(list)}.\n` +
+                      `📊 ${list.wallets.size} wallet${list.wallets.size === 1 ? '' : 's'} · ${list.subscribers.size} subscriber${list.subscribers.size === 1 ? '' : 's'}`;
+        if (full > 0) {
+            message += `\n⚠️ ${full} subscriber${full === 1 ? ' is' : 's are'} at their wallet limit and won't get alerts for it.`;
+        }
+        this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
+        
+        if (isNew) {
+            this.notifyWatchlistSubscribers(list, chatId, subscriberId => results.get(subscriberId) === 'limit'
+                ? `⚠️ Watchlist ${this.formatWatchlistName(list)} added ${entry}, but you are at your wallet limit (${this.getWalletLimit(subscriberId)}).`
+                : `📋 Watchlist ${this.formatWatchlistName(list)} added ${entry}.`);
+        }
+        botLogger.info(`Watchlist ${list.id}: ${walletAddress} ${isNew ? 'added' : 'updated'} by ${chatId}`);
+    }
+    
+    handleWatchlistRemove(chatId, ref, walletRef) {
+        const list = this.getOwnedWatchlist(chatId, ref);
+        if (!list) return;
+        
+        // Por dirección o por la etiqueta guardada en la lista
+        const walletAddress = list.wallets.has(walletRef)
+            ? walletRef
+            : Array.from(list.wallets.keys()).find(wallet => (list.wallets.get(wallet) || '').toLowerCase() === (walletRef || '').toLowerCase());
+        if (!walletRef || !walletAddress) {
+            this.sendAndTrackMessage(chatId, `❌ That wallet is not in ${this.formatWatchlistName(list)}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        list.wallets.delete(walletAddress);
+        const removedFrom = new Set();
+        list.subscribers.forEach((provided, subscriberId) => {
+            if (!this.watchlists.unmarkProvided(list, subscriberId, walletAddress)) return;
+            if (!this.watchlists.isProvided(subscriberId, walletAddress)) {
+                this.releaseChatWallet(subscriberId, walletAddress);
+                removedFrom.add(subscriberId);
+            }
+        });
+        this.persistState();
+        
+        this.sendAndTrackMessage(chatId,
+            `✅ Removed \`${walletAddress}\` from ${this.formatWatchlistName(list)}.\n📊 ${list.wallets.size} wallet${list.wallets.size === 1 ? '' : 's'} left`,
+            { parse_mode: 'Markdown' }
+        );
+        this.notifyWatchlistSubscribers(list, chatId, subscriberId => removedFrom.has(subscriberId)
+            ? `📋 Watchlist ${this.formatWatchlistName(list)} removed \`${walletAddress}\`; you no longer get its alerts.`
+            : null);
+        botLogger.info(`Watchlist ${list.id}: ${walletAddress} removed by ${chatId}`);
+    }
+    
+    handleWatchlistShow(chatId, ref) {
+        const list = this.watchlists.resolve(chatId, ref);
+        if (!list) {
+            this.sendAndTrackMessage(chatId, ref ? '❌ Watchlist not found. Use `/watchlist` to see yours.' : `❌ Specify a watchlist.\n\n${this.getWatchlistUsage()}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const wallets = Array.from(list.wallets.entries()).map(([wallet, label], index) =>
+            `${index + 1}. ${label ? `*${this.escapeMarkdown(label)}* - ` : ''}\`${wallet}\``
+        );
+        const link = this.getWatchlistLink(list);
+        
+        let message = `📋 **Watchlist** ${this.formatWatchlistName(list)}\n\n` +
+                      (wallets.length > 0 ? wallets.join('\n') : '_No wallets yet._') + '\n\n' +
+                      `👥 ${list.subscribers.size} subscriber${list.subscribers.size === 1 ? '' : 's'}` +
+                      (list.subscribers.has(chatId) ? ' (including you)' : '') + '\n\n';
+        message += link
+            ? `🔗 Invite link:\n${link}\n\nOr in a group: \`/watchlist join ${list.id}\``
+            : `🔗 Subscribe with \`/watchlist join ${list.id}\``;
+        
+        this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+    }
+    
+    // Suscribir el chat (enlace t.me/<bot>?start=wl_<id> o /watchlist join <id>)
+    handleWatchlistJoin(chatId, id) {
+        const list = this.watchlists.get(id);
+        if (!list) {
+            this.sendAndTrackMessage(chatId, '❌ This watchlist does not exist anymore.');
+            return;
+        }
+        if (list.subscribers.has(chatId)) {
+            this.sendAndTrackMessage(chatId, `⚠️ You are already subscribed to ${this.formatWatchlistName(list)}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        this.watchlists.subscribe(list, chatId);
+        const counts = { added: 0, present: 0, limit: 0 };
+        list.wallets.forEach((label, wallet) => {
+            counts[this.attachWatchlistWallet(chatId, list, wallet)]++;
+        });
+        this.persistState();
+        
+        let message = `✅ Subscribed to ${this.formatWatchlistName(list)}\n\n` +
+                      `➕ ${counts.added} wallet${counts.added === 1 ? '' : 's'} added to your tracking\n`;
+        if (counts.present > 0) {
+            message += `↩️ ${counts.present} already tracked\n`;
+        }
+        if (counts.limit > 0) {
+            message += `🚫 ${counts.limit} skipped: wallet limit reached (${this.getWalletLimit(chatId)})\n`;
+        }
+        message += `\nYou'll follow the owner's changes. Leave with \`/watchlist leave ${list.name}\`.`;
+        
+        this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
+        botLogger.info(`Chat ${chatId} subscribed to watchlist ${list.id} (${counts.added} added)`);
+    }
+    
+    handleWatchlistLeave(chatId, ref) {
+        const list = this.watchlists.resolve(chatId, ref);
+        if (!list || !list.subscribers.has(chatId)) {
+            this.sendAndTrackMessage(chatId, '❌ You are not subscribed to that watchlist.');
+            return;
+        }
+        
+        const released = this.releaseWatchlistWallets(chatId, list);
+        this.persistState();
+        
+        this.sendAndTrackMessage(chatId,
+            `✅ Left ${this.formatWatchlistName(list)}. ${released.length} wallet${released.length === 1 ? '' : 's'} removed from your tracking.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    handleWatchlistDelete(chatId, ref) {
+        const list = this.getOwnedWatchlist(chatId, ref);
+        if (!list) return;
+        
+        const subscribers = Array.from(list.subscribers.keys());
+        subscribers.forEach(subscriberId => {
+            this.releaseWatchlistWallets(subscriberId, list);
+            if (subscriberId !== chatId) {
+                this.sendAndTrackMessage(subscriberId, `📋 Watchlist ${this.formatWatchlistName(list)} was deleted by its owner; its wallets were removed from your tracking.`, { parse_mode: 'Markdown' })
+                    .catch(error => botLogger.warn(`Could not notify watchlist subscriber ${subscriberId}: ${error.message}`));
+            }
+        });
+        this.watchlists.delete(list.id);
+        this.persistState();
+        
+        this.sendAndTrackMessage(chatId, `🗑️ Watchlist ${this.formatWatchlistName(list)} deleted (${subscribers.length} subscriber${subscribers.length === 1 ? '' : 's'} removed).`, { parse_mode: 'Markdown' });
+        botLogger.info(`Watchlist ${list.id} deleted by ${chatId}`);
+    }
+    
+    // ========== CONVERGENCIA ==========
+    
+    getConvergenceConfig(chatId) {
+        return { ...this.defaultConvergence, ...(this.userConvergence.get(chatId) || {}) };
+    }
+    
+    getConvergenceUsage() {
+        return `📝 **Usage:**\n` +
+               `• \`/convergence on|off\` - Enable or disable the alerts\n` +
+               `• \`/convergence wallets <${this.CONVERGENCE_LIMITS.minWallets[0]}-${this.CONVERGENCE_LIMITS.minWallets[1]}>\` - Distinct wallets needed\n` +
+               `• \`/convergence window <${this.CONVERGENCE_LIMITS.windowMinutes[0]}-${this.CONVERGENCE_LIMITS.windowMinutes[1]}>\` - Time window in minutes\n` +
+               `• \`/convergence min <sol|off>\` - Ignore buys smaller than this`;
+    }
+    
+    // Cambiar una opción de /convergence. Devuelve { message } o { error }
+    updateConvergence(chatId, option, value) {
+        const config = this.getConvergenceConfig(chatId);
+        
+        switch (option) {
+            case 'on':
+            case 'off':
+                config.enabled = option === 'on';
+                break;
+            case 'wallets':
+            case 'window': {
+                const key = option === 'wallets' ? 'minWallets' : 'windowMinutes';
+                const [min, max] = this.CONVERGENCE_LIMITS[key];
+                const number = parseInt(value, 10);
+                if (!(number >= min && number <= max)) {
+                    return { error: `${option === 'wallets' ? 'Wallets' : 'Window'} must be between ${min} and ${max}` };
+                }
+                config[key] = number;
+                break;
+            }
+            case 'min': {
+                if (['off', 'none', '0'].includes(value)) {
+                    config.minBuySol = 0;
+                    break;
+                }
+                const amount = parseFloat(value);
+                if (!isFinite(amount) || amount <= 0) {
+                    return { error: 'Minimum buy must be a positive SOL amount or `off`' };
+                }
+                config.minBuySol = amount;
+                break;
+            }
+            default:
+                return { error: `Unknown option \`${this.escapeMarkdown(option)}\`` };
         }
+        
+        this.userConvergence.set(chatId, config);
+        this.persistState();
+        return { message: option === 'off' ? 'Convergence alerts disabled' : 'Convergence alerts updated' };
     }
-
-    // Formatear mensaje de transacción
-    formatTransactionMessage(data) {
-        botLogger.debug(`Formatting message: ${data.token} ${data.buySell} ${data.amount}`);
+    
+    handleConvergenceStatus(chatId, notice = null) {
+        const config = this.getConvergenceConfig(chatId);
         
-        try {
-            const timestamp = new Date(data.timestamp).toLocaleString('en-US', {
-                timeZone: 'UTC',
-                hour12: false
-            });
+        this.sendAndTrackMessage(chatId,
+            (notice ? `${notice}\n\n` : '') +
+            `🧠 **Smart-Money Convergence**\n\n` +
+            `Alerts when several wallets tracked by anyone using the bot buy the same token within a short window.\n\n` +
+            `${config.enabled ? '🟢' : '🔴'} **Status:** ${config.enabled ? 'ON' : 'OFF'}\n` +
+            `👥 **Wallets:** ${config.minWallets}+ distinct buyers\n` +
+            `⏱ **Window:** ${config.windowMinutes} min\n` +
+            `💰 **Min buy:** ${config.minBuySol > 0 ? this.websocket.formatSOLAmountDirect(config.minBuySol) : 'any size'}\n\n` +
+            this.getConvergenceUsage(),
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    // Tras cada compra: ¿alcanza el umbral de algún chat? Cada chat tiene su propia ventana y número de wallets
+    checkConvergence(transactionData) {
+        const mint = transactionData.mintAddress;
+        if (transactionData.buySell !== 'BUY' || !mint) return;
+        
+        const now = Date.now();
+        this.userConvergence.forEach((config, chatId) => {
+            if (!config.enabled) return;
             
-            // Determinar el wallet address desde la signature o usar placeholder
-            console.log('🔧 [DEBUG] Getting wallet from transaction...');
-            const walletAddress = this.getWalletFromTransaction(data) || 'Unknown';
-            console.log('🔧 [DEBUG] Wallet address obtained:', walletAddress);
-            const shortWallet = walletAddress.length > 8 ? walletAddress.substring(0, 8) + '...' : walletAddress;
+            const windowMs = config.windowMinutes * 60000;
+            const buyers = this.signalEngine.getBuyers(mint, windowMs, now)
+                .filter(buyer => buyer.valueSol >= (config.minBuySol || 0));
+            if (buyers.length < config.minWallets || !buyers.some(buyer => buyer.wallet === transactionData.wallet)) {
+                return;
+            }
+            
+            this.deliverConvergenceAlert(chatId, mint, buyers, windowMs, now)
+                .catch(error => notificationLogger.error(`Convergence alert for ${chatId} failed: ${error.message}`));
+        });
         
-            // Formatear según el tipo de transacción - SIEMPRE usar el formato mejorado
-            if (data.token && data.token !== 'Unknown' && data.amount && data.amount !== 'N/A SOL') {
-                // Transacción con datos válidos - usar formato mejorado
-                const tokenSymbol = data.token.startsWith('$') ? data.token : `$${data.token}`;
-                const buySellText = data.buySell === 'BUY' ? 'bought' : 'sold';
-                
-                // Extraer emoji del amount y formatear
-                let amountText = data.amount || '0 SOL';
-                let emoji = '';
-                
-                // Determinar emoji basado en BUY/SELL si no está en el amount
-                if (amountText.includes('🟢')) {
-                    emoji = '🟢 ';
-                    amountText = amountText.replace('🟢 ', '').trim();
-                } else if (amountText.includes('🔴')) {
-                    emoji = '🔴 ';
-                    amountText = amountText.replace('🔴 ', '').trim();
-                } else {
-                    // Asignar emoji basado en tipo de transacción
-                    emoji = data.buySell === 'BUY' ? '🟢 ' : '🔴 ';
-                }
-                
-                const message = `🔔 *New Transaction*\n\n` +
-                       `👛 Wallet \`${shortWallet}\` ${emoji}${buySellText} ${amountText} in ${tokenSymbol}\n\n` +
-                       `📝 *Signature:* \`${data.signature}\`\n` +
-                       `⏰ *Time:* ${timestamp}\n\n` +
-                       `[View on Solscan](https://solscan.io/tx/${data.signature})`;
-                
-                botLogger.debug('Enhanced message formatted successfully');
-                return message;
+        // Olvidar alertas cuya ventana ya terminó
+        this.convergenceAlerts.forEach((alert, key) => {
+            if (alert.expiresAt <= now) {
+                this.convergenceAlerts.delete(key);
+            }
+        });
+    }
+    
+    // Una alerta por chat y token mientras dure la ventana: si se suman wallets se edita el mismo mensaje.
+    // Con un envío o edición en curso se guarda solo el estado más reciente y se aplica al terminar
+    async deliverConvergenceAlert(chatId, mint, buyers, windowMs, now) {
+        const key = `${chatId}:${mint}`;
+        const existing = this.convergenceAlerts.get(key);
+        if (existing && existing.sending) {
+            if (buyers.length > (existing.queued ? existing.queued.buyers.length : existing.count)) {
+                existing.queued = { buyers, windowMs, now };
+            }
+            return;
+        }
+        if (existing && existing.count >= buyers.length) {
+            return;
+        }
+        
+        const expiresAt = buyers[0].firstAt + windowMs;
+        const alert = existing || { messageId: null, count: 0, expiresAt, sending: false, queued: null };
+        alert.sending = true;
+        this.convergenceAlerts.set(key, alert);
+        
+        try {
+            const text = this.formatConvergenceMessage(chatId, mint, buyers);
+            if (alert.messageId) {
+                await this.bot.editMessageText(text, { chat_id: chatId, message_id: alert.messageId, parse_mode: 'Markdown' });
             } else {
-                // Fallback mejorado - mantener formato limpio pero con datos disponibles
-                const tokenDisplay = data.token && data.token !== 'Unknown' ? data.token : 'Unknown Token';
-                const amountDisplay = data.amount && data.amount !== 'N/A SOL' ? data.amount : '0 SOL';
-                const buySellText = data.buySell === 'BUY' ? 'bought' : data.buySell === 'SELL' ? 'sold' : 'transacted';
-                const emoji = data.buySell === 'BUY' ? '🟢 ' : data.buySell === 'SELL' ? '🔴 ' : '';
-                
-                const message = `🔔 *New Transaction*\n\n` +
-                       `👛 Wallet \`${shortWallet}\` ${emoji}${buySellText} ${amountDisplay} in ${tokenDisplay}\n\n` +
-                       `📝 *Signature:* \`${data.signature}\`\n` +
-                       `⏰ *Time:* ${timestamp}\n\n` +
-                       `[View on Solscan](https://solscan.io/tx/${data.signature})`;
-                
-                botLogger.debug('Fallback message formatted successfully');
-                return message;
+                const sentMessage = await this.sendAndTrackMessage(chatId, text, { parse_mode: 'Markdown' });
+                alert.messageId = sentMessage.message_id;
+                notificationLogger.info(`🧠 Convergence on ${mint.substring(0, 8)}... (${buyers.length} wallets) sent to ${chatId}`);
             }
+            alert.count = buyers.length;
+            alert.expiresAt = Math.max(alert.expiresAt, expiresAt);
         } catch (error) {
-            console.error('❌ [ERROR] Error in formatTransactionMessage:', error);
-            console.error('❌ [ERROR] Data that caused error:', data);
-            
-            // Mensaje de fallback en caso de error - mantener formato consistente
-            const shortWallet = 'Unknown';
-            return `🔔 *New Transaction*\n\n` +
-                   `👛 Wallet \`${shortWallet}\` transacted in Unknown Token\n\n` +
-                   `📝 *Signature:* \`${data.signature || 'Unknown'}\`\n` +
-                   `⏰ *Time:* ${new Date().toLocaleString('en-US', { timeZone: 'UTC', hour12: false })}\n\n` +
-                   `[View on Solscan](https://solscan.io/tx/${data.signature || ''})`;
+            notificationLogger.error(`Failed to send convergence alert to ${chatId}: ${error.message}`);
+            this.convergenceAlerts.delete(key);
+        } finally {
+            alert.sending = false;
+        }
+        
+        const queued = alert.queued;
+        alert.queued = null;
+        if (queued) {
+            await this.deliverConvergenceAlert(chatId, mint, queued.buyers, queued.windowMs, queued.now);
         }
     }
     
-    // Obtener wallet address de la transacción
-    getWalletFromTransaction(transactionData) {
-        // 🎯 CORRECCIÓN: Usar la wallet específica que viene en los datos de transacción
-        // El WebSocket ahora identifica correctamente la wallet involucrada
-        if (transactionData.wallet && typeof transactionData.wallet === 'string' && transactionData.wallet.length > 20) {
-            return transactionData.wallet;
+    formatConvergenceMessage(chatId, mint, buyers) {
+        const symbol = this.signalEngine.getSymbol(mint);
+        const token = symbol ? `$${this.escapeMarkdown(symbol)}` : `\`${mint.substring(0, 8)}...\``;
+        const ownWallets = this.userWallets.get(chatId) || new Set();
+        const first = buyers[0];
+        const spanMinutes = Math.max(1, Math.round((buyers[buyers.length - 1].firstAt - first.firstAt) / 60000));
+        const totalSol = buyers.reduce((sum, buyer) => sum + buyer.valueSol, 0);
+        
+        // Las wallets del chat con su etiqueta; las de otros usuarios abreviadas
+        const formatBuyer = (buyer) => ownWallets.has(buyer.wallet)
+            ? this.formatWalletEntry(chatId, buyer.wallet)
+            : `\`${buyer.wallet.substring(0, 4)}...${buyer.wallet.slice(-4)}\``;
+        
+        const shown = buyers.slice(0, this.CONVERGENCE_MAX_LISTED);
+        const lines = shown.map((buyer, index) => {
+            const delayMs = buyer.firstAt - first.firstAt;
+            const timing = index === 0 ? 'first' : delayMs < 60000 ? `+${Math.round(delayMs / 1000)}s` : `+${Math.round(delayMs / 60000)}m`;
+            return `${index === 0 ? '🥇' : '•'} ${formatBuyer(buyer)} - ${this.websocket.formatSOLAmountDirect(buyer.valueSol)} (${timing})`;
+        });
+        if (buyers.length > shown.length) {
+            lines.push(`…and ${buyers.length - shown.length} more`);
         }
         
-        // Fallback: usar la primera wallet rastreada si no se puede identificar
-        const firstWallet = Array.from(this.websocket.trackedWallets)[0];
-        return firstWallet || 'Unknown Wallet';
+        return `🧠 **Smart-Money Convergence** - ${token}\n\n` +
+               `**${buyers.length} tracked wallets** bought within ${spanMinutes} min\n\n` +
+               lines.join('\n') + '\n\n' +
+               `💰 Total bought: ${this.websocket.formatSOLAmountDirect(totalSol)}\n` +
+               `📍 \`${mint}\``;
+    }
+    
+    // ========== ETIQUETAS DE WALLETS ==========
+    
+    getWalletLabel(chatId, walletAddress) {
+        return this.userLabels.get(chatId)?.get(walletAddress) || null;
+    }
+    
+    // Motivo por el que una etiqueta no vale, o null. El Markdown antiguo de Telegram no permite escapar dentro
+    // de *negrita*, así que una etiqueta con * _ ` [ rompería (o ensuciaría) cada alerta de la wallet
+    getLabelError(label) {
+        if (label.length > this.MAX_LABEL_LENGTH) {
+            return `Label too long (max ${this.MAX_LABEL_LENGTH} characters).`;
+        }
+        if (this.LABEL_FORBIDDEN_CHARS.test(label)) {
+            return 'Labels cannot contain * _ ` or [ characters.';
+        }
+        return null;
+    }
+    
+    setWalletLabel(chatId, walletAddress, label) {
+        if (!this.userLabels.has(chatId)) {
+            this.userLabels.set(chatId, new Map());
+        }
+        // Una sola línea: los saltos rompen el formato de los mensajes
+        this.userLabels.get(chatId).set(walletAddress, label.replace(/\s+/g, ' ').trim());
+        this.persistState();
+    }
+    
+    removeWalletLabel(chatId, walletAddress) {
+        const labels = this.userLabels.get(chatId);
+        if (!labels || !labels.delete(walletAddress)) {
+            return false;
+        }
+        if (labels.size === 0) {
+            this.userLabels.delete(chatId);
+        }
+        this.persistState();
+        return true;
+    }
+    
+    // Escapar caracteres especiales de Markdown (modo legacy de Telegram)
+    escapeMarkdown(text) {
+        return String(text).replace(/([_*`\[])/g, '\\$1');
+    }
+    
+    // Wallet con su etiqueta (si tiene) para mensajes en Markdown
+    formatWalletEntry(chatId, walletAddress) {
+        const label = this.getWalletLabel(chatId, walletAddress);
+        return label
+            ? `*${this.escapeMarkdown(label)}* — \`${walletAddress}\``
+            : `\`${walletAddress}\``;
+    }
+    
+    // Lista numerada de wallets con etiquetas
+    formatWalletList(chatId, wallets) {
+        return wallets.map((wallet, index) => `${index + 1}. ${this.formatWalletEntry(chatId, wallet)}`).join('\n');
     }
     
     // Configurar el menú de comandos persistente (botón MENU)
@@ -807,10 +4045,21 @@ AI signals are provided for informational purposes only. Past performance does n
             { command: 'track', description: '➕ Track a Solana wallet' },
             { command: 'untrack', description: '➖ Stop tracking a wallet' },
             { command: 'list', description: '📋 Show tracked wallets' },
+            { command: 'label', description: '🏷️ Nickname a wallet' },
             { command: 'status', description: '📊 Check bot status' },
             { command: 'settings', description: '⚙️ Advanced technical settings' },
             { command: 'signals', description: '🤖 AI trading signals' },
             { command: 'clear', description: '🗑️ Clear bot messages' },
+            { command: 'keepalive', description: '⏰ Inactivity auto-cleanup' },
+            { command: 'events', description: '🔔 Choose alert types' },
+            { command: 'pnl', description: '📈 Wallet PnL and positions' },
+            { command: 'history', description: '📜 Recent swaps of a wallet' },
+            { command: 'filter', description: '🎚️ Per-wallet alert filters' },
+            { command: 'watchlist', description: '📋 Shared watchlists' },
+            { command: 'convergence', description: '🧠 Smart-money convergence alerts' },
+            { command: 'mutes', description: '🔕 Muted tokens and wallets' },
+            { command: 'export', description: '📤 Export wallets as JSON/CSV' },
+            { command: 'import', description: '📥 Import a wallet list' },
             { command: 'help', description: '❓ Get help and info' }
         ];
         
@@ -827,15 +4076,17 @@ AI signals are provided for informational purposes only. Past performance does n
     handleStatusButton(chatId) {
         const status = this.websocket.getStatus();
         const userWalletCount = this.userWallets.get(chatId)?.size || 0;
-        const remainingSlots = this.MAX_WALLETS_PER_USER - userWalletCount;
+        const remainingSlots = this.getWalletLimit(chatId) - userWalletCount;
         
         const statusMessage = `
 📊 **Bot Status:**
 
 🔌 WebSocket: ${status.connected ? '✅ Connected' : '❌ Disconnected'}
+📡 Subscriptions: ${status.subscriptions.active} active (${status.subscriptionMode} mode)
 👥 Total Tracked Wallets: ${status.trackedWallets}
-📱 Your Wallets: ${userWalletCount}/${this.MAX_WALLETS_PER_USER}
-🎯 Available Slots: ${remainingSlots}
+🏷 Tier: ${this.formatTier(chatId)}
+📱 Your Wallets: ${userWalletCount}/${this.getWalletLimit(chatId)}
+🎯 Available Slots: ${Math.max(remainingSlots, 0)}
         `;
         this.sendAndTrackMessage(chatId, statusMessage, { parse_mode: 'Markdown' });
     }
@@ -844,15 +4095,13 @@ AI signals are provided for informational purposes only. Past performance does n
         if (this.userWallets.has(chatId) && this.userWallets.get(chatId).size > 0) {
             const wallets = Array.from(this.userWallets.get(chatId));
             const currentCount = wallets.length;
-            const remainingSlots = this.MAX_WALLETS_PER_USER - currentCount;
+            const remainingSlots = this.getWalletLimit(chatId) - currentCount;
             
             let message = `📋 **Your Tracked Wallets**\n\n`;
             
-            wallets.forEach((wallet, index) => {
-                message += `${index + 1}. \`${wallet}\`\n`;
-            });
+            message += this.formatWalletList(chatId, wallets) + '\n';
             
-            message += `\n📊 **Status:** ${currentCount}/${this.MAX_WALLETS_PER_USER} slots used\n`;
+            message += `\n📊 **Status:** ${currentCount}/${this.getWalletLimit(chatId)} slots used (${this.tierManager.getTier(chatId).name} tier)\n`;
             
             if (remainingSlots > 0) {
                 message += `✅ You can track ${remainingSlots} more wallet${remainingSlots > 1 ? 's' : ''}\n`;
@@ -865,7 +4114,7 @@ AI signals are provided for informational purposes only. Past performance does n
             this.sendAndTrackMessage(chatId, 
                 `📋 **No Wallets Tracked**\n\n` +
                 `You are not tracking any wallets yet.\n\n` +
-                `📊 Available slots: ${this.MAX_WALLETS_PER_USER}\n\n` +
+                `📊 Available slots: ${this.getWalletLimit(chatId)} (${this.tierManager.getTier(chatId).name} tier)\n\n` +
                 `Use \`/track <wallet>\` to start tracking!`, 
                 { parse_mode: 'Markdown' }
             );
@@ -877,7 +4126,7 @@ AI signals are provided for informational purposes only. Past performance does n
 ➕ **Track a Wallet**
 
 📝 To track a Solana wallet, use this command:
-\`/track [wallet_address]\`
+\`/track [wallet_address] [label]\`
 
 🔍 **Example:**
 \`/track JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN\`
@@ -888,14 +4137,20 @@ AI signals are provided for informational purposes only. Past performance does n
     }
     
     handleUntrackHelpButton(chatId) {
+        const wallets = Array.from(this.userWallets.get(chatId) || []);
+        const walletsSection = wallets.length > 0
+            ? `📋 **Your tracked wallets:**\n${this.formatWalletList(chatId, wallets)}\n\n`
+            : '';
+        const exampleWallet = wallets[0] || 'JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN';
+        
         const untrackMessage = `
 ➖ **Untrack a Wallet**
 
-📝 To stop tracking a wallet, use:
+${walletsSection}📝 To stop tracking a wallet, use:
 \`/untrack [wallet_address]\`
 
 🔍 **Example:**
-\`/untrack JDd3hy3gQn2V982mi1zqhNqUw1GfV2UL6g76STojCJPN\`
+\`/untrack ${exampleWallet}\`
 
 🚫 You'll stop receiving notifications for that wallet.
         `;
@@ -927,11 +4182,15 @@ AI signals are provided for informational purposes only. Past performance does n
 🔧 **Available Commands:**
 
 • \`/start\` - Show main menu
-• \`/track <wallet>\` - Track a wallet
+• \`/track <wallet> [label]\` - Track a wallet
 • \`/untrack <wallet>\` - Stop tracking
 • \`/list\` - Show tracked wallets
+• \`/label <wallet> <name>\` - Nickname a wallet
+• \`/unlabel <wallet>\` - Remove a nickname
 • \`/status\` - Check bot status
 • \`/clear\` - Clear bot messages
+• \`/keepalive\` - Inactivity auto-cleanup
+• \`/events\` - Choose alert types
 • \`/help\` - Show help information
 
 💡 **Tip:** You can also use the buttons above for quick access!
@@ -944,7 +4203,7 @@ AI signals are provided for informational purposes only. Past performance does n
     }
     
     // Handle Settings Configuration
-    handleSettingsConfig(chatId, setting, value) {
+    handleSettingsConfig(chatId, setting, value, rawValue = value) {
         // Initialize user settings if not exists
         if (!this.userSettings.has(chatId)) {
             this.userSettings.set(chatId, { ...this.defaultSettings });
@@ -961,12 +4220,16 @@ AI signals are provided for informational purposes only. Past performance does n
                     isValidConfig = true;
                     responseMessage = `⚡ **Latency Optimization Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Mode:**\n`;
                     if (value === 'low') {
-                        responseMessage += '• Network priority: Maximum\n• Buffer size: Minimal\n• Processing: Real-time\n• Latency: <50ms average';
+                        responseMessage += '• Commitment: `processed`\n• Alert delay: ~0.5s after the transaction lands\n• Trade-off: a small share of alerts may later be dropped';
                     } else if (value === 'standard') {
-                        responseMessage += '• Network priority: Balanced\n• Buffer size: Optimized\n• Processing: Efficient\n• Latency: 50-100ms average';
+                        responseMessage += '• Commitment: `confirmed`\n• Alert delay: ~1-2s\n• Trade-off: voted by a supermajority, rollbacks are extremely rare';
                     } else {
-                        responseMessage += '• Network priority: Stability\n• Buffer size: Extended\n• Processing: Comprehensive\n• Latency: 100-200ms average';
+                        responseMessage += '• Commitment: `finalized`\n• Alert delay: ~13s or more\n• Trade-off: slowest, but the transaction can no longer be rolled back';
+                    }
+                    if (value !== 'high') {
+                        responseMessage += '\n\n💡 Use `/settings finality on` to get a ✅/❌ follow-up when these alerts finalize or are dropped.';
                     }
+                    this.syncUserCommitments(chatId);
                 } else {
                     responseMessage = '❌ **Invalid Latency Setting**\n\nValid options: `low`, `standard`, `high`';
                 }
@@ -1028,65 +4291,133 @@ AI signals are provided for informational purposes only. Past performance does n
                     isValidConfig = true;
                     responseMessage = `⚠️ **Risk Calibration Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Risk Profile:**\n`;
                     if (value === 'conservative') {
-                        responseMessage += '• Alert threshold: High\n• False alarm rate: <2%\n• Signal confidence: >85%\n• Suitable for: Long-term tracking';
+                        responseMessage += '• Buy alerts shown: 🟢 low risk tokens only\n• Hidden: 🟡 medium and 🔴 high risk';
                     } else if (value === 'moderate') {
-                        responseMessage += '• Alert threshold: Medium\n• False alarm rate: 2-5%\n• Signal confidence: >75%\n• Suitable for: Balanced monitoring';
+                        responseMessage += '• Buy alerts shown: 🟢 low and 🟡 medium risk tokens\n• Hidden: 🔴 high risk';
+                    } else {
+                        responseMessage += '• Buy alerts shown: every token, with its risk badge\n• Hidden: nothing';
+                    }
+                    responseMessage += '\n\nSells and tokens that could not be checked are always shown.';
+                } else {
+                    responseMessage = '❌ **Invalid Risk Setting**\n\nValid options: `conservative`, `moderate`, `aggressive`';
+                }
+                break;
+                
+            case 'sensitivity':
+                if (['low', 'balanced', 'high', 'extreme'].includes(value)) {
+                    userConfig.signalSensitivity = value;
+                    isValidConfig = true;
+                    responseMessage = `🔄 **Signal Sensitivity Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Sensitivity:**\n`;
+                    if (value === 'low') {
+                        responseMessage += '• Detection range: Major movements only\n• Noise filtering: Maximum\n• Signal frequency: Low\n• Best for: Long-term positions';
+                    } else if (value === 'balanced') {
+                        responseMessage += '• Detection range: Moderate movements\n• Noise filtering: Optimized\n• Signal frequency: Medium\n• Best for: Swing trading';
+                    } else if (value === 'high') {
+                        responseMessage += '• Detection range: Small movements\n• Noise filtering: Minimal\n• Signal frequency: High\n• Best for: Day trading';
+                    } else {
+                        responseMessage += '• Detection range: Micro movements\n• Noise filtering: Disabled\n• Signal frequency: Maximum\n• Best for: Scalping';
+                    }
+                } else {
+                    responseMessage = '❌ **Invalid Sensitivity Setting**\n\nValid options: `low`, `balanced`, `high`, `extreme`';
+                }
+                break;
+                
+            case 'noise':
+                if (['enabled', 'disabled'].includes(value)) {
+                    userConfig.noiseReduction = value;
+                    isValidConfig = true;
+                    responseMessage = `🔇 **Noise Reduction Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Mode:**\n`;
+                    if (value === 'enabled') {
+                        responseMessage += '• Filter interference: Active\n• Signal clarity: Enhanced\n• Processing overhead: +15%\n• Recommended for: Most users';
+                    } else {
+                        responseMessage += '• Filter interference: Disabled\n• Raw signal data: Unfiltered\n• Processing overhead: None\n• Recommended for: Advanced users';
+                    }
+                } else {
+                    responseMessage = '❌ **Invalid Noise Setting**\n\nValid options: `enabled`, `disabled`';
+                }
+                break;
+                
+            case 'finality':
+                if (['on', 'off', 'enabled', 'disabled'].includes(value)) {
+                    userConfig.finalityUpdates = ['on', 'enabled'].includes(value) ? 'enabled' : 'disabled';
+                    isValidConfig = true;
+                    responseMessage = `✅ **Finality Updates ${userConfig.finalityUpdates === 'enabled' ? 'Enabled' : 'Disabled'}**\n\n`;
+                    if (userConfig.finalityUpdates === 'enabled') {
+                        responseMessage += 'Alerts sent before finalization will be edited to show *finalized ✅*, *failed ⚠️* or *dropped ❌*.';
+                        if (userConfig.latencyOptimization === 'high') {
+                            responseMessage += '\n\nℹ️ Your latency is `high` (finalized), so your alerts are already final.';
+                        }
                     } else {
-                        responseMessage += '• Alert threshold: Low\n• False alarm rate: 5-10%\n• Signal confidence: >65%\n• Suitable for: Active trading';
+                        responseMessage += 'Alerts will no longer be edited after they are sent.';
                     }
                 } else {
-                    responseMessage = '❌ **Invalid Risk Setting**\n\nValid options: `conservative`, `moderate`, `aggressive`';
+                    responseMessage = '❌ **Invalid Finality Setting**\n\nValid options: `on`, `off`';
+                }
+                break;
+                
+            case 'explorer':
+                if (this.EXPLORERS[value]) {
+                    userConfig.explorer = value;
+                    isValidConfig = true;
+                    responseMessage = `🔗 **Explorer Updated**\n\nAlert links now open in *${this.EXPLORERS[value].name}*.`;
+                } else {
+                    responseMessage = `❌ **Invalid Explorer Setting**\n\nValid options: ${Object.keys(this.EXPLORERS).map(id => `\`${id}\``).join(', ')}`;
                 }
                 break;
                 
-            case 'sensitivity':
-                if (['low', 'balanced', 'high', 'extreme'].includes(value)) {
-                    userConfig.signalSensitivity = value;
+            case 'layout':
+                if (['detailed', 'compact'].includes(value)) {
+                    userConfig.alertLayout = value;
                     isValidConfig = true;
-                    responseMessage = `🔄 **Signal Sensitivity Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Sensitivity:**\n`;
-                    if (value === 'low') {
-                        responseMessage += '• Detection range: Major movements only\n• Noise filtering: Maximum\n• Signal frequency: Low\n• Best for: Long-term positions';
-                    } else if (value === 'balanced') {
-                        responseMessage += '• Detection range: Moderate movements\n• Noise filtering: Optimized\n• Signal frequency: Medium\n• Best for: Swing trading';
-                    } else if (value === 'high') {
-                        responseMessage += '• Detection range: Small movements\n• Noise filtering: Minimal\n• Signal frequency: High\n• Best for: Day trading';
+                    responseMessage = `📐 **Alert Layout Updated**\n\nNew setting: \`${value}\`\n\n`;
+                    if (value === 'compact') {
+                        responseMessage += '• Wallet, trade, time and explorer link in a couple of lines\n• Mint, price and signature lines are left out';
                     } else {
-                        responseMessage += '• Detection range: Micro movements\n• Noise filtering: Disabled\n• Signal frequency: Maximum\n• Best for: Scalping';
+                        responseMessage += '• Full alerts with mint, price, signature and time';
+                    }
+                    if (userConfig.alertTemplate) {
+                        responseMessage += '\n\nℹ️ Your custom template still replaces the layout for swaps (`/settings template off` to remove it).';
                     }
                 } else {
-                    responseMessage = '❌ **Invalid Sensitivity Setting**\n\nValid options: `low`, `balanced`, `high`, `extreme`';
+                    responseMessage = '❌ **Invalid Layout Setting**\n\nValid options: `detailed`, `compact`';
                 }
                 break;
                 
-            case 'noise':
-                if (['enabled', 'disabled'].includes(value)) {
-                    userConfig.noiseReduction = value;
+            case 'timezone': {
+                const timezone = this.resolveTimezone(rawValue);
+                if (timezone) {
+                    userConfig.timezone = timezone;
                     isValidConfig = true;
-                    responseMessage = `🔇 **Noise Reduction Updated**\n\nNew setting: \`${value}\`\n\n**${value.toUpperCase()} Mode:**\n`;
-                    if (value === 'enabled') {
-                        responseMessage += '• Filter interference: Active\n• Signal clarity: Enhanced\n• Processing overhead: +15%\n• Recommended for: Most users';
-                    } else {
-                        responseMessage += '• Filter interference: Disabled\n• Raw signal data: Unfiltered\n• Processing overhead: None\n• Recommended for: Advanced users';
-                    }
+                    responseMessage = `🕐 **Timezone Updated**\n\nAlert times now use \`${timezone}\`.\nCurrent time: ${this.formatUserTime(chatId, Date.now())}`;
                 } else {
-                    responseMessage = '❌ **Invalid Noise Setting**\n\nValid options: `enabled`, `disabled`';
+                    responseMessage = '❌ **Invalid Timezone**\n\nUse an IANA name such as `UTC`, `America/New_York` or `Europe/Madrid`.';
                 }
                 break;
+            }
+                
+            case 'template':
+                this.handleTemplateSetting(chatId, value, rawValue);
+                return;
                 
             case 'reset':
                 this.userSettings.set(chatId, { ...this.defaultSettings });
+                this.syncUserCommitments(chatId);
                 isValidConfig = true;
-                responseMessage = '🔄 **Settings Reset Complete**\n\nAll configuration parameters have been restored to default values:\n\n• Latency Optimization: `standard`\n• Precision Filter: `medium`\n• WebSocket Buffer: `8KB`\n• Analytics Depth: `standard`\n• Risk Calibration: `moderate`\n• Signal Sensitivity: `balanced`\n• Noise Reduction: `enabled`\n• Algorithm Version: `v2.1.4`';
+                responseMessage = '🔄 **Settings Reset Complete**\n\nAll configuration parameters have been restored to default values:\n\n• Latency Optimization: `standard`\n• Precision Filter: `medium`\n• WebSocket Buffer: `8KB`\n• Analytics Depth: `standard`\n• Risk Calibration: `aggressive`\n• Signal Sensitivity: `balanced`\n• Noise Reduction: `enabled`\n• Algorithm Version: `v2.1.4`\n• Finality Updates: `disabled`\n• Explorer: `solscan`\n• Alert Layout: `detailed`\n• Timezone: `UTC`\n• Template: `off`';
                 break;
                 
             default:
-                responseMessage = '❌ **Unknown Configuration Parameter**\n\nAvailable settings: `latency`, `precision`, `buffer`, `analytics`, `risk`, `sensitivity`, `noise`, `reset`';
+                responseMessage = '❌ **Unknown Configuration Parameter**\n\nAvailable settings: `latency`, `precision`, `buffer`, `analytics`, `risk`, `sensitivity`, `noise`, `finality`, `explorer`, `layout`, `timezone`, `template`, `reset`';
         }
         
         if (isValidConfig && setting !== 'reset') {
             responseMessage += '\n\n✅ **Configuration saved successfully**\nChanges will take effect on next transaction processing cycle.';
         }
         
+        if (isValidConfig) {
+            this.persistState();
+        }
+        
         this.sendAndTrackMessage(chatId, responseMessage, { parse_mode: 'Markdown' });
     }
     
@@ -1107,18 +4438,19 @@ AI signals are provided for informational purposes only. Past performance does n
                 message = `⚡ **Latency Optimization Configuration**\n\n` +
                          `🔧 **Current Setting:** \`${userConfig.latencyOptimization}\`\n\n` +
                          `📋 **Available Options:**\n\n` +
-                         `🟢 **Low** - Maximum speed, minimal latency (<50ms)\n` +
-                         `   • Network priority: Maximum\n` +
-                         `   • Buffer size: Minimal\n` +
-                         `   • Best for: High-frequency trading\n\n` +
-                         `🟡 **Standard** - Balanced performance (50-100ms)\n` +
-                         `   • Network priority: Balanced\n` +
-                         `   • Buffer size: Optimized\n` +
+                         `🟢 **Low** - \`processed\` commitment (~0.5s)\n` +
+                         `   • Alerts as soon as the transaction lands\n` +
+                         `   • A small share may later be dropped\n` +
+                         `   • Best for: Copy trading and snipes\n\n` +
+                         `🟡 **Standard** - \`confirmed\` commitment (~1-2s)\n` +
+                         `   • Voted by a supermajority of validators\n` +
+                         `   • Rollbacks are extremely rare\n` +
                          `   • Best for: General usage\n\n` +
-                         `🔴 **High** - Stability focus (100-200ms)\n` +
-                         `   • Network priority: Stability\n` +
-                         `   • Buffer size: Extended\n` +
+                         `🔴 **High** - \`finalized\` commitment (~13s+)\n` +
+                         `   • Irreversible transactions only\n` +
+                         `   • Slowest alerts\n` +
                          `   • Best for: Reliable monitoring\n\n` +
+                         `✅ Finality follow-ups: \`${userConfig.finalityUpdates}\` (\`/settings finality on|off\`)\n\n` +
                          `💡 **Select your desired latency level:**`;
                 
                 keyboard = {
@@ -1204,21 +4536,13 @@ AI signals are provided for informational purposes only. Past performance does n
                 message = `⚠️ **Risk Calibration Configuration**\n\n` +
                          `🔧 **Current Setting:** \`${userConfig.riskCalibration}\`\n\n` +
                          `📋 **Available Options:**\n\n` +
-                         `🟢 **Conservative** - High safety, low false alarms\n` +
-                         `   • Alert threshold: High\n` +
-                         `   • False alarm rate: <2%\n` +
-                         `   • Signal confidence: >85%\n` +
-                         `   • Suitable for: Long-term tracking\n\n` +
-                         `🟡 **Moderate** - Balanced approach\n` +
-                         `   • Alert threshold: Medium\n` +
-                         `   • False alarm rate: 2-5%\n` +
-                         `   • Signal confidence: >75%\n` +
-                         `   • Suitable for: Balanced monitoring\n\n` +
-                         `🔴 **Aggressive** - High sensitivity, more alerts\n` +
-                         `   • Alert threshold: Low\n` +
-                         `   • False alarm rate: 5-10%\n` +
-                         `   • Signal confidence: >65%\n` +
-                         `   • Suitable for: Active trading\n\n` +
+                         `Buy alerts carry a token risk badge (🟢/🟡/🔴) from the mint and freeze authorities, top-holder concentration and LP burn/lock status. This level decides which buys are hidden.\n\n` +
+                         `🟢 **Conservative** - Only low risk buys\n` +
+                         `   • Hides 🟡 medium and 🔴 high risk tokens\n\n` +
+                         `🟡 **Moderate** - Skip likely rugs\n` +
+                         `   • Hides 🔴 high risk tokens\n\n` +
+                         `🔴 **Aggressive** - Every buy (default)\n` +
+                         `   • Nothing hidden, badges still shown\n\n` +
                          `💡 **Select your desired risk level:**`;
                 
                 keyboard = {
@@ -1232,6 +4556,84 @@ AI signals are provided for informational purposes only. Past performance does n
                 };
                 break;
                 
+            case 'explorer':
+                message = `🔗 **Explorer Configuration**\n\n` +
+                         `🔧 **Current Setting:** \`${userConfig.explorer}\`\n\n` +
+                         `Transaction links in your alerts and \`/history\` open in this explorer.\n\n` +
+                         `💡 **Select your explorer:**`;
+                
+                keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: 'Solscan', callback_data: 'explorer_solscan' },
+                            { text: 'SolanaFM', callback_data: 'explorer_solanafm' }
+                        ],
+                        [
+                            { text: 'XRAY', callback_data: 'explorer_xray' },
+                            { text: 'Solana Explorer', callback_data: 'explorer_solana' }
+                        ]
+                    ]
+                };
+                break;
+                
+            case 'layout':
+                message = `📐 **Alert Layout Configuration**\n\n` +
+                         `🔧 **Current Setting:** \`${userConfig.alertLayout}\`\n\n` +
+                         `📋 **Available Options:**\n\n` +
+                         `📄 **Detailed** - Full alert\n` +
+                         `   • Mint, price, signature and time on their own lines\n\n` +
+                         `📏 **Compact** - Short alert\n` +
+                         `   • Wallet, trade, time and explorer link only\n\n` +
+                         `A custom template (\`/settings template\`) replaces the layout for swaps.\n\n` +
+                         `💡 **Select your layout:**`;
+                
+                keyboard = {
+                    inline_keyboard: [
+                        [
+                            { text: '📄 Detailed', callback_data: 'layout_detailed' },
+                            { text: '📏 Compact', callback_data: 'layout_compact' }
+                        ]
+                    ]
+                };
+                break;
+                
+            case 'timezone': {
+                message = `🕐 **Timezone Configuration**\n\n` +
+                         `🔧 **Current Setting:** \`${userConfig.timezone}\`\n` +
+                         `Current time: ${this.formatUserTime(chatId, Date.now())}\n\n` +
+                         `Pick one below or send any IANA zone:\n\`/settings timezone America/Sao_Paulo\`\n\n` +
+                         `💡 **Select your timezone:**`;
+                
+                const buttons = this.TIMEZONE_PRESETS.map(zone => ({
+                    text: `${zone === userConfig.timezone ? '✅ ' : ''}${zone}`,
+                    callback_data: `tz_${zone}`
+                }));
+                keyboard = { inline_keyboard: [] };
+                for (let i = 0; i < buttons.length; i += 2) {
+                    keyboard.inline_keyboard.push(buttons.slice(i, i + 2));
+                }
+                break;
+            }
+                
+            case 'template': {
+                const placeholders = Object.entries(this.TEMPLATE_PLACEHOLDERS)
+                    .map(([name, description]) => `\`{${name}}\` - ${description}`)
+                    .join('\n');
+                message = `📝 **Alert Template Configuration**\n\n` +
+                         `🔧 **Current Template:** ${userConfig.alertTemplate ? this.escapeMarkdown(userConfig.alertTemplate) : '`off`'}\n\n` +
+                         `A template replaces the layout of swap alerts. Other events keep the normal layout.\n\n` +
+                         `📋 **Placeholders:**\n${placeholders}\n\n` +
+                         `**Example:**\n\`/settings template {emoji} *{wallet}* {side} {amount} {token} for {sol} · [tx]({link})\`\n\n` +
+                         `Markdown is allowed (max ${this.MAX_TEMPLATE_LENGTH} characters). \`/settings template off\` restores the layout.`;
+                
+                keyboard = {
+                    inline_keyboard: userConfig.alertTemplate
+                        ? [[{ text: '🗑 Remove template', callback_data: 'template_off' }]]
+                        : []
+                };
+                break;
+            }
+                
             default:
                 message = '❌ **Unknown Setting**\n\nPlease select a valid configuration option.';
                 keyboard = {
@@ -1261,7 +4663,8 @@ AI signals are provided for informational purposes only. Past performance does n
 
 🔧 **Current System Settings:**
 
-• **Latency Optimization:** \`${userConfig.latencyOptimization}\`
+• **Latency Optimization:** \`${userConfig.latencyOptimization}\` (\`${this.LATENCY_COMMITMENTS[userConfig.latencyOptimization]}\` commitment)
+• **Finality Updates:** \`${userConfig.finalityUpdates}\`
 • **Precision Filter:** \`${userConfig.precisionFilter}\`
 • **WebSocket Buffer:** \`${userConfig.websocketBuffer}\`
 • **Analytics Depth:** \`${userConfig.analyticsDepth}\`
@@ -1269,15 +4672,24 @@ AI signals are provided for informational purposes only. Past performance does n
 • **Signal Sensitivity:** \`${userConfig.signalSensitivity}\`
 • **Noise Reduction:** \`${userConfig.noiseReduction}\`
 • **Algorithm Version:** \`${userConfig.algorithmVersion}\`
+• **Explorer:** \`${this.getExplorer(chatId).name}\`
+• **Alert Layout:** \`${userConfig.alertLayout}\`
+• **Timezone:** \`${userConfig.timezone}\`
+• **Alert Template:** \`${userConfig.alertTemplate ? 'custom' : 'off'}\`
 
 📋 **Configuration Options:**
-\`/settings latency [low|standard|high]\` - Network optimization
+\`/settings latency [low|standard|high]\` - Alert speed (processed / confirmed / finalized)
+\`/settings finality [on|off]\` - Mark alerts as finalized ✅, failed ⚠️ or dropped ❌
 \`/settings precision [low|medium|high|ultra]\` - Data filtering
 \`/settings buffer [4KB|8KB|16KB|32KB]\` - Memory allocation
 \`/settings analytics [basic|standard|advanced|pro]\` - Processing depth
-\`/settings risk [conservative|moderate|aggressive]\` - Risk parameters
+\`/settings risk [conservative|moderate|aggressive]\` - Hide risky token buys
 \`/settings sensitivity [low|balanced|high|extreme]\` - Signal detection
 \`/settings noise [enabled|disabled]\` - Filter interference
+\`/settings explorer [solscan|solanafm|xray|solana]\` - Transaction links
+\`/settings layout [detailed|compact]\` - Alert layout
+\`/settings timezone <zone>\` - Alert times, e.g. \`Europe/Madrid\`
+\`/settings template <text>|off\` - Your own swap alert text
 \`/settings reset\` - Restore default configuration
         `;
         
@@ -1291,6 +4703,14 @@ AI signals are provided for informational purposes only. Past performance does n
                     { text: '📊 Analytics', callback_data: 'settings_analytics' },
                     { text: '⚠️ Risk', callback_data: 'settings_risk' }
                 ],
+                [
+                    { text: '🔗 Explorer', callback_data: 'settings_explorer' },
+                    { text: '📐 Layout', callback_data: 'settings_layout' }
+                ],
+                [
+                    { text: '🕐 Timezone', callback_data: 'settings_timezone' },
+                    { text: '📝 Template', callback_data: 'settings_template' }
+                ],
                 [
                     { text: '🔄 Reset All', callback_data: 'settings_reset' },
                     { text: '💾 Save Config', callback_data: 'settings_save' }
@@ -1304,46 +4724,44 @@ AI signals are provided for informational purposes only. Past performance does n
         });
     }
     
-    // Handle Signals Button
-    handleSignalsButton(chatId) {
-        // Initialize user signals if not exists
+    // Config de señales del chat (categories se copia: el objeto por defecto no se comparte entre usuarios)
+    getSignalConfig(chatId) {
         if (!this.userSignals.has(chatId)) {
-            this.userSignals.set(chatId, { ...this.defaultSignalConfig });
+            this.userSignals.set(chatId, {
+                ...this.defaultSignalConfig,
+                categories: { ...this.defaultSignalConfig.categories }
+            });
         }
-        
-        const signalsConfig = this.userSignals.get(chatId);
+        return this.userSignals.get(chatId);
+    }
+    
+    // Handle Signals Button
+    handleSignalsButton(chatId) {
+        const signalsConfig = this.getSignalConfig(chatId);
         const statusIcon = signalsConfig.enabled ? '🟢' : '🔴';
         const statusText = signalsConfig.enabled ? 'ACTIVE' : 'INACTIVE';
+        const { momentumWindowMs, momentumMinWallets, volumeWindowMs, volumeSpikeMultiplier } = this.signalEngine.options;
         
-        let activeCategories = 0;
-        Object.values(signalsConfig.categories).forEach(active => {
-            if (active) activeCategories++;
-        });
+        const activeCategories = this.LIVE_SIGNAL_CATEGORIES.filter(category => signalsConfig.categories[category]).length;
         
         const signalsMessage = `
 🤖 **AI Trading Signals System**
 
 ${statusIcon} **Status:** ${statusText}
-📈 **Active Categories:** ${activeCategories}/5
+📈 **Active Categories:** ${activeCategories}/${this.LIVE_SIGNAL_CATEGORIES.length}
 🎯 **Confidence Threshold:** ${signalsConfig.minConfidence}%
 ⚠️ **Risk Level:** ${signalsConfig.riskLevel.toUpperCase()}
 
 📊 **Signal Categories:**
-${signalsConfig.categories.momentum ? '🟢' : '🔴'} **Momentum Analysis** - Trend-based signals using price velocity and acceleration patterns
-${signalsConfig.categories.volumeSpikes ? '🟢' : '🔴'} **Volume Spike Detection** - Unusual trading volume patterns indicating potential breakouts
-${signalsConfig.categories.patternRecognition ? '🟢' : '🔴'} **Pattern Recognition** - Technical analysis patterns (triangles, flags, head & shoulders)
-${signalsConfig.categories.sentimentAnalysis ? '🟢' : '🔴'} **Sentiment Analysis** - Social media and news sentiment correlation with price movements
-${signalsConfig.categories.technicalIndicators ? '🟢' : '🔴'} **Technical Indicators** - RSI, MACD, Bollinger Bands convergence signals
-
-⚙️ **System Configuration:**
-• **Algorithm:** Proprietary ML model trained on 2M+ transactions
-• **Latency:** Sub-100ms signal generation and delivery
-• **Accuracy:** 73.2% historical success rate (last 30 days)
-• **Coverage:** All major Solana tokens with >$10K daily volume
-• **Updates:** Real-time signal refinement based on market conditions
+${signalsConfig.categories.momentum ? '🟢' : '🔴'} **Momentum** - ${momentumMinWallets}+ tracked wallets buying the same token within ${momentumWindowMs / 60000} minutes
+${signalsConfig.categories.volumeSpikes ? '🟢' : '🔴'} **Volume Spikes** - SOL volume of a token in ${volumeWindowMs / 60000} minutes at ${volumeSpikeMultiplier}x+ its recent average
+⚪ **Patterns, Sentiment, Indicators** - Not available yet
+
+⚙️ **How it works:**
+Signals are computed from the swaps of every wallet tracked by the bot, as they arrive. Each signal gets a confidence score and is only sent when it reaches your threshold.
 
 ⚠️ **Risk Disclosure:**
-AI signals are provided for informational purposes only. Past performance does not guarantee future results. Always conduct your own research and consider your risk tolerance. Trading involves substantial risk of loss.
+Signals are provided for informational purposes only. Past performance does not guarantee future results. Always conduct your own research and consider your risk tolerance. Trading involves substantial risk of loss.
         `;
         
         const keyboard = {
@@ -1353,15 +4771,10 @@ AI signals are provided for informational purposes only. Past performance does n
                       callback_data: 'signals_toggle' }
                 ],
                 [
-                    { text: '📈 Momentum', callback_data: 'signals_momentum' },
-                    { text: '📊 Volume', callback_data: 'signals_volume' }
-                ],
-                [
-                    { text: '🔍 Patterns', callback_data: 'signals_patterns' },
-                    { text: '💭 Sentiment', callback_data: 'signals_sentiment' }
+                    { text: `${signalsConfig.categories.momentum ? '🟢' : '🔴'} Momentum`, callback_data: 'signals_momentum' },
+                    { text: `${signalsConfig.categories.volumeSpikes ? '🟢' : '🔴'} Volume`, callback_data: 'signals_volume' }
                 ],
                 [
-                    { text: '📉 Indicators', callback_data: 'signals_indicators' },
                     { text: '⚙️ Configure', callback_data: 'signals_config' }
                 ]
             ]
@@ -1374,81 +4787,65 @@ AI signals are provided for informational purposes only. Past performance does n
     }
     
     // Handle Signals Toggle
-    handleSignalsToggle(chatId) {
-        if (!this.userSignals.has(chatId)) {
-            this.userSignals.set(chatId, { ...this.defaultSignalConfig });
-        }
-        
-        const signalsConfig = this.userSignals.get(chatId);
-        signalsConfig.enabled = !signalsConfig.enabled;
+    handleSignalsToggle(chatId, enabled) {
+        const signalsConfig = this.getSignalConfig(chatId);
+        signalsConfig.enabled = enabled === undefined ? !signalsConfig.enabled : enabled;
         signalsConfig.lastActivation = signalsConfig.enabled ? Date.now() : null;
+        this.persistState();
         
         const statusIcon = signalsConfig.enabled ? '🟢' : '🔴';
         const statusText = signalsConfig.enabled ? 'ENABLED' : 'DISABLED';
+        const activeCategories = this.LIVE_SIGNAL_CATEGORIES.filter(category => signalsConfig.categories[category]);
         
         const message = `${statusIcon} **AI Signals ${statusText}**\n\n` +
                        `The AI Trading Signals system has been **${statusText.toLowerCase()}**.\n\n` +
                        (signalsConfig.enabled ? 
-                        `🚀 **System Active**\n• Real-time signal processing initiated\n• Machine learning algorithms engaged\n• Market analysis in progress\n\n💡 Configure individual signal categories to customize your experience.` :
-                        `⏸️ **System Inactive**\n• Signal processing paused\n• No trading alerts will be sent\n• Your settings have been preserved\n\n💡 Enable signals anytime to resume AI-powered market analysis.`);
+                        `🚀 **System Active**\n• Signals with ${signalsConfig.minConfidence}%+ confidence will be sent here\n` +
+                        (activeCategories.length > 0
+                            ? `• Active categories: ${activeCategories.length}/${this.LIVE_SIGNAL_CATEGORIES.length}`
+                            : `• ⚠️ No category enabled yet: turn on Momentum or Volume in \`/signals\``) :
+                        `⏸️ **System Inactive**\n• No signal alerts will be sent\n• Your settings have been preserved`);
         
         this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
     }
     
     // Handle Signals Category Toggle
     handleSignalsCategory(chatId, category) {
-        if (!this.userSignals.has(chatId)) {
-            this.userSignals.set(chatId, { ...this.defaultSignalConfig });
+        // Botones de mensajes antiguos para categorías que el motor no calcula
+        if (!this.LIVE_SIGNAL_CATEGORIES.includes(category)) {
+            this.sendAndTrackMessage(chatId, '⚪ This signal category is not available yet. Momentum and Volume Spikes are live.');
+            return;
         }
         
-        const signalsConfig = this.userSignals.get(chatId);
+        const signalsConfig = this.getSignalConfig(chatId);
         signalsConfig.categories[category] = !signalsConfig.categories[category];
+        this.persistState();
         
         const isEnabled = signalsConfig.categories[category];
         const statusIcon = isEnabled ? '🟢' : '🔴';
         const statusText = isEnabled ? 'ENABLED' : 'DISABLED';
+        const { momentumWindowMs, momentumMinWallets, volumeWindowMs, volumeSpikeMultiplier } = this.signalEngine.options;
         
         let categoryName = '';
         let description = '';
         
         switch(category) {
             case 'momentum':
-                categoryName = 'Momentum Analysis';
+                categoryName = 'Momentum';
                 description = isEnabled ? 
-                    'Now tracking price velocity patterns, acceleration trends, and momentum shifts to identify potential breakout opportunities.' :
-                    'Momentum-based signals have been disabled. Price velocity and acceleration analysis is paused.';
+                    `You'll be alerted when ${momentumMinWallets} or more tracked wallets buy the same token within ${momentumWindowMs / 60000} minutes.` :
+                    'Momentum signals have been disabled.';
                 break;
             case 'volumeSpikes':
-                categoryName = 'Volume Spike Detection';
-                description = isEnabled ? 
-                    'Now monitoring unusual trading volume patterns that often precede significant price movements and breakouts.' :
-                    'Volume spike detection has been disabled. Unusual trading volume alerts are paused.';
-                break;
-            case 'patternRecognition':
-                categoryName = 'Pattern Recognition';
-                description = isEnabled ? 
-                    'Now analyzing technical patterns including triangles, flags, head & shoulders, and other chart formations for trading opportunities.' :
-                    'Pattern recognition has been disabled. Technical chart pattern analysis is paused.';
-                break;
-            case 'sentimentAnalysis':
-                categoryName = 'Sentiment Analysis';
-                description = isEnabled ? 
-                    'Now processing social media sentiment, news analysis, and market psychology indicators to predict price movements.' :
-                    'Sentiment analysis has been disabled. Social media and news sentiment tracking is paused.';
-                break;
-            case 'technicalIndicators':
-                categoryName = 'Technical Indicators';
+                categoryName = 'Volume Spikes';
                 description = isEnabled ? 
-                    'Now monitoring RSI, MACD, Bollinger Bands, and other technical indicators for convergence signals and trading opportunities.' :
-                    'Technical indicators have been disabled. RSI, MACD, and Bollinger Bands analysis is paused.';
+                    `You'll be alerted when a token's SOL volume over ${volumeWindowMs / 60000} minutes reaches ${volumeSpikeMultiplier}x its recent average.` :
+                    'Volume spike signals have been disabled.';
                 break;
         }
         
         const message = `${statusIcon} **${categoryName} ${statusText}**\n\n${description}\n\n` +
-                       `⚙️ **Current Configuration:**\n` +
-                       `• Status: ${statusText}\n` +
-                       `• Processing Priority: ${isEnabled ? 'Active' : 'Inactive'}\n` +
-                       `• Signal Generation: ${isEnabled ? 'Live' : 'Paused'}\n\n` +
+                       (isEnabled && !signalsConfig.enabled ? `⚠️ Signals are off: enable them in \`/signals\` to receive alerts.\n\n` : '') +
                        `💡 Use \`/signals\` to view all categories and system status.`;
         
         this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown' });
@@ -1456,11 +4853,9 @@ AI signals are provided for informational purposes only. Past performance does n
     
     // Handle Signals Configuration
     handleSignalsConfig(chatId) {
-        if (!this.userSignals.has(chatId)) {
-            this.userSignals.set(chatId, { ...this.defaultSignalConfig });
-        }
-        
-        const signalsConfig = this.userSignals.get(chatId);
+        const signalsConfig = this.getSignalConfig(chatId);
+        const options = this.signalEngine.options;
+        const stats = this.signalEngine.getStats();
         
         const configMessage = `
 ⚙️ **AI Signals Configuration**
@@ -1471,29 +4866,147 @@ AI signals are provided for informational purposes only. Past performance does n
 • **Confidence Threshold:** ${signalsConfig.minConfidence}%
 • **Last Activation:** ${signalsConfig.lastActivation ? new Date(signalsConfig.lastActivation).toLocaleDateString() : 'Never'}
 
-📊 **Advanced Configuration:**
-
 **Risk Level Settings:**
-• \`Low\` - Conservative signals, higher confidence required (85%+)
-• \`Medium\` - Balanced approach, moderate confidence (75%+)
-• \`High\` - Aggressive signals, lower confidence threshold (65%+)
-
-**Confidence Threshold:**
-• Minimum AI confidence level required for signal generation
-• Higher values = fewer but more reliable signals
-• Lower values = more signals but potentially higher false positives
-
-**Performance Metrics:**
-• **Accuracy Rate:** 73.2% (last 30 days)
-• **Total Signals Generated:** 2,847 (this month)
-• **Average Response Time:** <100ms
-• **Model Version:** Neural Network v2.1.4
-
-⚠️ **Note:** These are simulated professional features for demonstration purposes. Adjust settings based on your risk tolerance and trading strategy.
+• \`low\` - Conservative, only 85%+ confidence
+• \`medium\` - Balanced, 75%+ confidence
+• \`high\` - Aggressive, 65%+ confidence
+
+**Commands:**
+• \`/signals on|off\` - Enable or disable signals
+• \`/signals risk low|medium|high\` - Set the risk level
+• \`/signals confidence <50-99>\` - Custom confidence threshold
+• \`/signals momentum|volume\` - Toggle a category
+
+**Detection Parameters:**
+• Momentum: ${options.momentumMinWallets}+ wallets in ${options.momentumWindowMs / 60000} min
+• Volume: ${options.volumeSpikeMultiplier}x the average of the last ${options.volumeBaselineWindows} windows of ${options.volumeWindowMs / 60000} min (min ${options.volumeMinSol} SOL)
+• Same signal per token at most every ${options.cooldownMs / 60000} min
+
+📊 **Live Data:** ${stats.trades} recent swap${stats.trades === 1 ? '' : 's'} across ${stats.mints} token${stats.mints === 1 ? '' : 's'}
         `;
         
         this.sendAndTrackMessage(chatId, configMessage, { parse_mode: 'Markdown' });
     }
+    
+    // /signals <opción> [valor]
+    handleSignalsOption(chatId, option, value) {
+        const signalsConfig = this.getSignalConfig(chatId);
+        
+        switch (option) {
+            case 'on':
+            case 'off':
+                this.handleSignalsToggle(chatId, option === 'on');
+                return;
+            case 'momentum':
+                this.handleSignalsCategory(chatId, 'momentum');
+                return;
+            case 'volume':
+                this.handleSignalsCategory(chatId, 'volumeSpikes');
+                return;
+            case 'config':
+                this.handleSignalsConfig(chatId);
+                return;
+            case 'risk':
+                if (!this.SIGNAL_RISK_CONFIDENCE[value]) {
+                    this.sendAndTrackMessage(chatId, '❌ Invalid risk level: use `low`, `medium` or `high`.', { parse_mode: 'Markdown' });
+                    return;
+                }
+                signalsConfig.riskLevel = value;
+                signalsConfig.minConfidence = this.SIGNAL_RISK_CONFIDENCE[value];
+                break;
+            case 'confidence': {
+                const confidence = parseInt(value, 10);
+                if (!(confidence >= 50 && confidence <= 99)) {
+                    this.sendAndTrackMessage(chatId, '❌ Confidence must be a number between 50 and 99.');
+                    return;
+                }
+                signalsConfig.minConfidence = confidence;
+                signalsConfig.riskLevel = Object.keys(this.SIGNAL_RISK_CONFIDENCE)
+                    .find(level => this.SIGNAL_RISK_CONFIDENCE[level] === confidence) || 'custom';
+                break;
+            }
+            default:
+                this.sendAndTrackMessage(chatId, '❌ Unknown option. Use `/signals config` to see the available commands.', { parse_mode: 'Markdown' });
+                return;
+        }
+        
+        this.persistState();
+        this.sendAndTrackMessage(chatId,
+            `✅ Signals will be sent at **${signalsConfig.minConfidence}%+** confidence (risk level: ${signalsConfig.riskLevel.toUpperCase()}).`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+    
+    // Pasar cada swap decodificado al motor de señales y repartir las que dispare
+    processSignals(transactionData) {
+        if ((transactionData.eventCategory || 'swaps') !== 'swaps') return;
+        
+        try {
+            const isNewTrade = !this.signalEngine.hasTrade(transactionData.signature, transactionData.wallet);
+            const signals = this.signalEngine.recordTrade({
+                signature: transactionData.signature,
+                wallet: transactionData.wallet,
+                mint: transactionData.mintAddress,
+                symbol: transactionData.token,
+                side: transactionData.buySell,
+                valueSol: this.pnlTracker.getTradeValueSol(transactionData)
+            });
+            signals.forEach(signal => this.deliverSignal(signal));
+            if (isNewTrade) {
+                this.checkConvergence(transactionData);
+            }
+        } catch (error) {
+            botLogger.error(`Signal processing failed for ${transactionData.signature}: ${error.message}`);
+        }
+    }
+    
+    // Solo a chats con señales activas, la categoría encendida y confianza suficiente
+    deliverSignal(signal) {
+        let delivered = 0;
+        
+        this.userSignals.forEach((signalsConfig, chatId) => {
+            if (!signalsConfig.enabled || !signalsConfig.categories[signal.type] || signal.confidence < signalsConfig.minConfidence) {
+                return;
+            }
+            
+            this.sendAndTrackMessage(chatId, this.formatSignalMessage(signal, chatId), { parse_mode: 'Markdown' })
+                .catch(error => notificationLogger.error(`Failed to send ${signal.type} signal to ${chatId}: ${error.message}`));
+            delivered++;
+        });
+        
+        notificationLogger.info(`📡 ${signal.type} signal on ${signal.mint.substring(0, 8)}... (${signal.confidence}%) sent to ${delivered} chat(s)`);
+    }
+    
+    formatSignalMessage(signal, chatId) {
+        const token = signal.symbol ? `$${this.escapeMarkdown(signal.symbol)}` : `\`${signal.mint.substring(0, 8)}...\``;
+        const sol = (value) => this.websocket.formatSOLAmountDirect(value);
+        let message;
+        
+        if (signal.type === 'momentum') {
+            // Solo se muestran las wallets que rastrea este chat; las de otros usuarios cuentan pero no se revelan
+            const ownWallets = this.userWallets.get(chatId) || new Set();
+            const own = signal.buyers.filter(buyer => ownWallets.has(buyer.wallet));
+            const others = signal.buyers.length - own.length;
+            const minutes = Math.max(1, Math.round(signal.spanMs / 60000));
+            
+            message = `📈 **Momentum Signal** - ${token}\n\n` +
+                      `${signal.buyers.length} tracked wallets bought within ${minutes} min\n` +
+                      own.map(buyer => `• ${this.formatWalletEntry(chatId, buyer.wallet)} - ${sol(buyer.valueSol)}`).join('\n') +
+                      (own.length > 0 ? '\n' : '') +
+                      (others > 0 ? `• +${others} wallet${others === 1 ? '' : 's'} tracked by other users\n` : '') +
+                      `\n💰 Bought: ${sol(signal.buySol)}` + (signal.sellSol > 0 ? ` · Sold: ${sol(signal.sellSol)}` : '') + '\n';
+        } else {
+            message = `📊 **Volume Spike** - ${token}\n\n` +
+                      `${sol(signal.volumeSol)} traded in the last ${signal.windowMs / 60000} min ` +
+                      `(${signal.ratio.toFixed(1)}x the usual ${sol(signal.baselineSol)})\n` +
+                      `🟢 Buys: ${sol(signal.buySol)}` + (signal.sellSol > 0 ? ` · 🔴 Sells: ${sol(signal.sellSol)}` : '') + '\n' +
+                      `🔄 ${signal.trades} swap${signal.trades === 1 ? '' : 's'} by ${signal.wallets} wallet${signal.wallets === 1 ? '' : 's'}\n`;
+        }
+        
+        return message +
+               `🎯 Confidence: **${signal.confidence}%**\n` +
+               `📍 \`${signal.mint}\``;
+    }
 
     // Método para enviar mensajes y rastrear sus IDs
     async sendAndTrackMessage(chatId, message, options = {}) {
@@ -1501,16 +5014,7 @@ AI signals are provided for informational purposes only. Past performance does n
             const sentMessage = await this.bot.sendMessage(chatId, message, options);
             
             // Guardar el ID del mensaje para poder eliminarlo después
-            if (!this.botMessageIds.has(chatId)) {
-                this.botMessageIds.set(chatId, []);
-            }
-            this.botMessageIds.get(chatId).push(sentMessage.message_id);
-            
-            // Limitar a los últimos 50 mensajes para evitar usar demasiada memoria
-            const messageIds = this.botMessageIds.get(chatId);
-            if (messageIds.length > 50) {
-                messageIds.splice(0, messageIds.length - 50);
-            }
+            this.trackMessageId(chatId, sentMessage.message_id);
             
             return sentMessage;
         } catch (error) {
@@ -1519,6 +5023,20 @@ AI signals are provided for informational purposes only. Past performance does n
         }
     }
 
+    trackMessageId(chatId, messageId) {
+        if (!this.botMessageIds.has(chatId)) {
+            this.botMessageIds.set(chatId, []);
+        }
+        this.botMessageIds.get(chatId).push(messageId);
+        
+        // Limitar a los últimos 50 mensajes para evitar usar demasiada memoria
+        const messageIds = this.botMessageIds.get(chatId);
+        if (messageIds.length > 50) {
+            messageIds.splice(0, messageIds.length - 50);
+        }
+        this.persistState();
+    }
+
     // Método para limpiar todos los mensajes del bot en un chat
     async clearBotMessages(chatId) {
         try {
@@ -1545,8 +5063,10 @@ AI signals are provided for informational purposes only. Past performance does n
                 }
             }
 
-            // Limpiar la lista de IDs
+            // Limpiar la lista de IDs (las alertas borradas ya no se pueden editar)
             this.botMessageIds.set(chatId, []);
+            this.alertMessages.delete(chatId);
+            this.persistState();
 
             // Send confirmation message
             const confirmMessage = `🗑️ **Messages cleared:**\n\n✅ Deleted: ${deletedCount}\n${failedCount > 0 ? `⚠️ Could not delete: ${failedCount}` : ''}\n\n💡 Very old messages cannot be deleted.`;
@@ -1560,6 +5080,151 @@ AI signals are provided for informational purposes only. Past performance does n
         }
     }
 
+    // ========== PERSISTENCIA ==========
+    
+    // Cargar wallets, settings, señales y mensajes guardados
+    loadPersistedState() {
+        try {
+            const snapshot = this.storage.load();
+            
+            // Las claves JSON son strings; los chatId de Telegram son numéricos
+            Object.entries(snapshot.userWallets || {}).forEach(([chatId, wallets]) => {
+                this.userWallets.set(Number(chatId), new Set(wallets));
+            });
+            // Estados anteriores a la v2 guardaban 'moderate' sin que ocultara nada: se conserva el comportamiento
+            const legacySettings = !(snapshot.settingsVersion >= 2);
+            Object.entries(snapshot.userSettings || {}).forEach(([chatId, settings]) => {
+                const restored = { ...this.defaultSettings, ...settings };
+                if (legacySettings) {
+                    restored.riskCalibration = 'aggressive';
+                }
+                this.userSettings.set(Number(chatId), restored);
+            });
+            Object.entries(snapshot.userSignals || {}).forEach(([chatId, signals]) => {
+                this.userSignals.set(Number(chatId), {
+                    ...this.defaultSignalConfig,
+                    ...signals,
+                    categories: { ...this.defaultSignalConfig.categories, ...(signals.categories || {}) }
+                });
+            });
+            Object.entries(snapshot.userConvergence || {}).forEach(([chatId, config]) => {
+                this.userConvergence.set(Number(chatId), { ...this.defaultConvergence, ...config });
+            });
+            Object.entries(snapshot.userEvents || {}).forEach(([chatId, categories]) => {
+                this.userEvents.set(Number(chatId), { ...this.defaultEventCategories, ...categories });
+            });
+            Object.entries(snapshot.userFilters || {}).forEach(([chatId, filters]) => {
+                this.userFilters.set(Number(chatId), new Map(Object.entries(filters)));
+            });
+            Object.entries(snapshot.botMessageIds || {}).forEach(([chatId, messageIds]) => {
+                this.botMessageIds.set(Number(chatId), messageIds);
+            });
+            // Etiquetas guardadas antes de prohibir los caracteres de Markdown: se quitan esos caracteres
+            const cleanLabel = (label) => label && label.replace(new RegExp(this.LABEL_FORBIDDEN_CHARS.source, 'g'), '').trim();
+            const cleanLabels = (labels) => new Map(Object.entries(labels)
+                .map(([wallet, label]) => [wallet, cleanLabel(label)])
+                .filter(([, label]) => label));
+            Object.entries(snapshot.userLabels || {}).forEach(([chatId, labels]) => {
+                this.userLabels.set(Number(chatId), cleanLabels(labels));
+            });
+            Object.entries(snapshot.userActivity || {}).forEach(([chatId, timestamp]) => {
+                this.userActivity.set(Number(chatId), timestamp);
+            });
+            Object.entries(snapshot.userInactivityPolicy || {}).forEach(([chatId, policy]) => {
+                this.userInactivityPolicy.set(Number(chatId), policy);
+            });
+            this.pnlTracker.load(snapshot.pnlLedger);
+            Object.entries(snapshot.tokenMutes || {}).forEach(([chatId, mints]) => {
+                this.tokenMutes.set(Number(chatId), new Set(mints));
+            });
+            Object.entries(snapshot.walletMutes || {}).forEach(([chatId, mutes]) => {
+                const active = Object.entries(mutes).filter(([, until]) => until > Date.now());
+                if (active.length > 0) {
+                    this.walletMutes.set(Number(chatId), new Map(active));
+                }
+            });
+            Object.entries(snapshot.walletSeenMints || {}).forEach(([wallet, mints]) => {
+                // Estados antiguos guardaban un objeto mint -> firma; solo importan los mints
+                this.walletSeenMints.set(wallet, new Set(Array.isArray(mints) ? mints : Object.keys(mints)));
+            });
+            this.tierManager.load(snapshot.userTiers);
+            this.watchlists.load(snapshot.watchlists);
+            this.watchlists.lists.forEach(list => {
+                list.wallets.forEach((label, wallet) => list.wallets.set(wallet, cleanLabel(label) || null));
+            });
+            if (snapshot.globalFilters) {
+                this.websocket.filters.importRules(snapshot.globalFilters);
+            }
+            
+            // Chats sin registro de actividad empiezan a contar desde el arranque
+            this.userWallets.forEach((walletSet, chatId) => {
+                if (!this.userActivity.has(chatId)) {
+                    this.userActivity.set(chatId, Date.now());
+                }
+            });
+            
+            botLogger.success(`State restored: ${this.userWallets.size} users, ${this.getTotalTrackedWallets()} wallets`);
+        } catch (error) {
+            botLogger.error(`Failed to restore persisted state: ${error.message}`);
+        }
+    }
+    
+    // Convertir los Maps en un objeto plano serializable
+    serializeState() {
+        const toObject = (map, transform = value => value) => {
+            const result = {};
+            map.forEach((value, key) => {
+                result[key] = transform(value);
+            });
+            return result;
+        };
+        
+        return {
+            settingsVersion: this.SETTINGS_VERSION,
+            userWallets: toObject(this.userWallets, walletSet => Array.from(walletSet)),
+            userLabels: toObject(this.userLabels, labels => Object.fromEntries(labels)),
+            userSettings: toObject(this.userSettings),
+            userSignals: toObject(this.userSignals),
+            userEvents: toObject(this.userEvents),
+            userConvergence: toObject(this.userConvergence),
+            userFilters: toObject(this.userFilters, filters => Object.fromEntries(filters)),
+            botMessageIds: toObject(this.botMessageIds),
+            userActivity: toObject(this.userActivity),
+            userInactivityPolicy: toObject(this.userInactivityPolicy),
+            pnlLedger: this.pnlTracker.serialize(),
+            tokenMutes: toObject(this.tokenMutes, mints => Array.from(mints)),
+            walletMutes: toObject(this.walletMutes, mutes => Object.fromEntries(mutes)),
+            walletSeenMints: toObject(this.walletSeenMints, mints => Array.from(mints)),
+            userTiers: this.tierManager.serialize(),
+            watchlists: this.watchlists.serialize(),
+            globalFilters: this.websocket.filters.exportRules()
+        };
+    }
+    
+    // Programar un guardado (agrupa cambios seguidos en una sola escritura)
+    persistState() {
+        if (this.saveTimeout) return;
+        
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.flushState();
+        }, this.SAVE_DEBOUNCE_MS);
+    }
+    
+    // Guardar inmediatamente
+    flushState() {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+        }
+        
+        try {
+            this.storage.save(this.serializeState());
+        } catch (error) {
+            botLogger.error(`Failed to persist state: ${error.message}`);
+        }
+    }
+
     // Manejo de errores
     handleError(error) {
         console.error('🚨 Bot error:', error);
@@ -1580,30 +5245,134 @@ AI signals are provided for informational purposes only. Past performance does n
             console.error('🚨 Polling error:', error.message);
         });
 
+        // Guardar el estado pendiente antes de salir (reinicios de Replit, deploys)
+        const shutdown = (signal) => {
+            console.log(`🛑 ${signal} received, saving state...`);
+            this.flushState();
+            this.storage.close();
+            process.exit(0);
+        };
+        process.once('SIGINT', () => shutdown('SIGINT'));
+        process.once('SIGTERM', () => shutdown('SIGTERM'));
+
         console.log('✅ Bot is now running and listening for messages!');
         console.log('💬 Try sending /start to the bot in Telegram');
     }
     
-    // Sistema de monitoreo de inactividad
+    // Sistema de monitoreo de inactividad (cada chat tiene su propio temporizador)
     startInactivityMonitor() {
         // Revisar cada 5 segundos si hay inactividad
         setInterval(() => {
-            const timeSinceLastActivity = Date.now() - this.lastUserActivity;
-            const timeRemaining = Math.max(0, this.INACTIVITY_LIMIT - timeSinceLastActivity);
+            const now = Date.now();
             
-            if (timeRemaining === 0 && this.getTotalTrackedWallets() > 0) {
-                this.handleInactivityCleanup();
-            } else if (this.getTotalTrackedWallets() > 0 && timeRemaining > 0) {
-                // Log silencioso del tiempo restante (solo para debug)
-                // console.log(`⏱️ Time until auto-cleanup: ${Math.ceil(timeRemaining / 1000)}s`);
-            }
+            this.userWallets.forEach((walletSet, chatId) => {
+                if (walletSet.size === 0) return;
+                
+                const policy = this.getInactivityPolicy(chatId);
+                if (!policy.autoCleanup) return;
+                
+                const lastActivity = this.userActivity.get(chatId) || now;
+                const expiresAt = lastActivity + policy.timeoutMs;
+                const warnedAt = this.inactivityWarnings.get(chatId);
+                
+                if (!warnedAt) {
+                    if (now >= expiresAt - this.INACTIVITY_WARNING) {
+                        this.sendInactivityWarning(chatId, Math.max(expiresAt, now + this.INACTIVITY_WARNING));
+                    }
+                    return;
+                }
+                
+                // Siempre dejar al usuario el margen completo del aviso antes de limpiar
+                if (now >= Math.max(expiresAt, warnedAt + this.INACTIVITY_WARNING)) {
+                    this.handleInactivityCleanup(chatId);
+                }
+            });
         }, 5000);
     }
     
-    // Actualizar la última actividad del usuario
-    updateUserActivity() {
-        this.lastUserActivity = Date.now();
-        // console.log('👤 User activity detected, timer reset');
+    // Actualizar la última actividad del chat
+    updateUserActivity(chatId) {
+        this.userActivity.set(chatId, Date.now());
+        this.inactivityWarnings.delete(chatId);
+        this.persistState();
+    }
+    
+    // Obtener la política de inactividad del chat (o la por defecto)
+    getInactivityPolicy(chatId) {
+        return {
+            // En grupos y canales recibir alertas es el uso normal: sin auto-limpieza salvo que se active
+            autoCleanup: !this.isGroupChat(chatId),
+            timeoutMs: this.INACTIVITY_LIMIT,
+            ...(this.userInactivityPolicy.get(chatId) || {})
+        };
+    }
+    
+    // Actualizar la política de inactividad del chat
+    setInactivityPolicy(chatId, changes) {
+        const policy = { ...this.getInactivityPolicy(chatId), ...changes };
+        this.userInactivityPolicy.set(chatId, policy);
+        this.inactivityWarnings.delete(chatId);
+        this.persistState();
+        return policy;
+    }
+    
+    // Mostrar el estado de auto-limpieza del chat
+    handleKeepAliveStatus(chatId) {
+        const policy = this.getInactivityPolicy(chatId);
+        const lastActivity = this.userActivity.get(chatId) || Date.now();
+        const minutesLeft = Math.max(0, Math.ceil((lastActivity + policy.timeoutMs - Date.now()) / 60000));
+        
+        const statusMessage = `
+⏰ **Inactivity Auto-Cleanup**
+
+• **Status:** ${policy.autoCleanup ? '🟢 Enabled' : '♾️ Disabled (keep-alive)'}
+• **Timeout:** ${policy.timeoutMs / 60000} minutes
+${policy.autoCleanup ? `• **Time left:** ${minutesLeft} minutes\n` : ''}
+📋 **Options:**
+\`/keepalive on\` - Never remove my wallets
+\`/keepalive off\` - Remove my wallets when inactive
+\`/keepalive <minutes>\` - Set my timeout (${this.MIN_INACTIVITY_MINUTES}-${this.MAX_INACTIVITY_MINUTES})
+        `;
+        
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    policy.autoCleanup
+                        ? { text: '♾️ Disable Auto-Cleanup', callback_data: 'keepalive_on' }
+                        : { text: '⏰ Enable Auto-Cleanup', callback_data: 'keepalive_off' }
+                ]
+            ]
+        };
+        
+        this.sendAndTrackMessage(chatId, statusMessage, { 
+            parse_mode: 'Markdown',
+            reply_markup: keyboard
+        });
+    }
+    
+    // Avisar al usuario antes de eliminar sus wallets
+    sendInactivityWarning(chatId, cleanupAt) {
+        this.inactivityWarnings.set(chatId, Date.now());
+        
+        const walletCount = this.userWallets.get(chatId)?.size || 0;
+        const minutesLeft = Math.max(1, Math.round((cleanupAt - Date.now()) / 60000));
+        
+        const message = `⏰ **Inactivity Warning**\n\n` +
+                       `Your ${walletCount} wallet(s) will stop being tracked in **${minutesLeft} minutes** due to inactivity.\n\n` +
+                       `Tap below to keep tracking, or use \`/keepalive on\` to disable auto-cleanup.`;
+        
+        const keyboard = {
+            inline_keyboard: [
+                [
+                    { text: '✅ Keep Tracking', callback_data: 'keepalive_ping' },
+                    { text: '♾️ Always Keep', callback_data: 'keepalive_on' }
+                ]
+            ]
+        };
+        
+        this.sendAndTrackMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard })
+            .catch(err => console.error(`Failed to warn user ${chatId}:`, err.message));
+        console.log(`⏰ Inactivity warning sent to user ${chatId} (${walletCount} wallets)`);
     }
     
     // Obtener el total de wallets trackeadas
@@ -1615,74 +5384,53 @@ AI signals are provided for informational purposes only. Past performance does n
         return total;
     }
     
-    // Manejar la limpieza por inactividad
-    handleInactivityCleanup() {
-        console.log('\n');
-        console.log('╔════════════════════════════════════════════════════════════════════╗');
-        console.log('║                                                                    ║');
-        console.log('║  ██╗███╗   ██╗ █████╗  ██████╗████████╗██╗██╗   ██╗██╗████████╗██╗   ██╗  ║');
-        console.log('║  ██║████╗  ██║██╔══██╗██╔════╝╚══██╔══╝██║██║   ██║██║╚══██╔══╝╚██╗ ██╔╝  ║');
-        console.log('║  ██║██╔██╗ ██║███████║██║        ██║   ██║██║   ██║██║   ██║    ╚████╔╝   ║');
-        console.log('║  ██║██║╚██╗██║██╔══██║██║        ██║   ██║╚██╗ ██╔╝██║   ██║     ╚██╔╝    ║');
-        console.log('║  ██║██║ ╚████║██║  ██║╚██████╗   ██║   ██║ ╚████╔╝ ██║   ██║      ██║     ║');
-        console.log('║  ╚═╝╚═╝  ╚═══╝╚═╝  ╚═╝ ╚═════╝   ╚═╝   ╚═╝  ╚═══╝  ╚═╝   ╚═╝      ╚═╝     ║');
-        console.log('║                                                                    ║');
-        console.log('║   ██████╗██╗     ███████╗ █████╗ ███╗   ██╗██╗   ██╗██████╗      ║');
-        console.log('║  ██╔════╝██║     ██╔════╝██╔══██╗████╗  ██║██║   ██║██╔══██╗     ║');
-        console.log('║  ██║     ██║     █████╗  ███████║██╔██╗ ██║██║   ██║██████╔╝     ║');
-        console.log('║  ██║     ██║     ██╔══╝  ██╔══██║██║╚██╗██║██║   ██║██╔═══╝      ║');
-        console.log('║  ╚██████╗███████╗███████╗██║  ██║██║ ╚████║╚██████╔╝██║          ║');
-        console.log('║   ╚═════╝╚══════╝╚══════╝╚═╝  ╚═╝╚═╝  ╚═══╝ ╚═════╝ ╚═╝          ║');
-        console.log('║                                                                    ║');
-        console.log('╚════════════════════════════════════════════════════════════════════╝');
-        console.log('\n');
-        console.log('🔴 AUTO-CLEANUP TRIGGERED - NO USER ACTIVITY DETECTED');
-        console.log(`⏰ Inactivity timeout: ${this.INACTIVITY_LIMIT / 1000} seconds`);
-        console.log('🗑️ Removing all tracked wallets to save API tokens...');
-        
-        // Contar wallets antes de limpiar
-        const totalWallets = this.getTotalTrackedWallets();
-        const userCount = this.userWallets.size;
-        
-        // Notificar a todos los usuarios activos
-        this.userWallets.forEach((walletSet, chatId) => {
-            if (walletSet.size > 0) {
-                const message = `⏰ **Auto-Cleanup Alert**\n\n` +
-                               `Due to ${this.INACTIVITY_LIMIT / 1000} seconds of inactivity, all wallet tracking has been stopped to conserve resources.\n\n` +
-                               `Your ${walletSet.size} wallet(s) have been removed from tracking.\n\n` +
-                               `Use \`/track\` to resume monitoring when needed.`;
-                
-                this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' })
-                    .catch(err => console.error(`Failed to notify user ${chatId}:`, err.message));
+    // Verificar si algún chat sigue rastreando la wallet
+    isWalletTrackedByAnyUser(walletAddress) {
+        for (const walletSet of this.userWallets.values()) {
+            if (walletSet.has(walletAddress)) {
+                return true;
             }
-        });
+        }
+        return false;
+    }
+    
+    // Manejar la limpieza por inactividad de un chat concreto
+    handleInactivityCleanup(chatId) {
+        const walletSet = this.userWallets.get(chatId);
+        if (!walletSet || walletSet.size === 0) return;
         
-        // Limpiar todas las wallets del WebSocket
-        const allWallets = new Set();
-        this.userWallets.forEach(walletSet => {
-            walletSet.forEach(wallet => allWallets.add(wallet));
-        });
+        const policy = this.getInactivityPolicy(chatId);
+        const removedWallets = Array.from(walletSet);
         
-        allWallets.forEach(wallet => {
-            this.websocket.removeWallet(wallet);
+        console.log(`🔴 AUTO-CLEANUP: user ${chatId} inactive for ${policy.timeoutMs / 1000}s, removing ${removedWallets.length} wallet(s)`);
+        
+        this.userWallets.delete(chatId);
+        this.inactivityWarnings.delete(chatId);
+        // Sin wallets tampoco sigue en sus watchlists (puede volver con el enlace)
+        this.watchlists.getSubscribed(chatId).forEach(list => this.watchlists.unsubscribe(list, chatId));
+        
+        // Solo remover del WebSocket las wallets que ningún otro chat rastrea
+        removedWallets.forEach(wallet => {
+            if (!this.isWalletTrackedByAnyUser(wallet)) {
+                this.websocket.removeWallet(wallet);
+                this.walletSeenMints.delete(wallet);
+            } else {
+                this.syncWalletCommitment(wallet);
+            }
         });
         
-        // Limpiar los mapas de usuarios
-        this.userWallets.clear();
-        
-        console.log('\n');
-        console.log('╔════════════════════════════════════════════════════════════════════╗');
-        console.log('║                    CLEANUP COMPLETE                               ║');
-        console.log('╠════════════════════════════════════════════════════════════════════╣');
-        console.log(`║  📊 Total Wallets Removed: ${String(totalWallets).padEnd(39)}║`);
-        console.log(`║  👥 Users Affected: ${String(userCount).padEnd(47)}║`);
-        console.log('║  💤 Bot Status: STANDBY MODE                                      ║');
-        console.log('║  🔌 WebSocket: DISCONNECTED                                       ║');
-        console.log('║  💰 API Tokens: PRESERVED                                         ║');
-        console.log('╚════════════════════════════════════════════════════════════════════╝');
-        console.log('\n');
-        console.log('💤 Bot entering standby mode - waiting for user commands...');
-        console.log('\n');
+        this.persistState();
+        
+        const message = `⏰ **Auto-Cleanup Alert**\n\n` +
+                       `Due to ${policy.timeoutMs / 60000} minutes of inactivity, your wallet tracking has been stopped to conserve resources.\n\n` +
+                       `Your ${removedWallets.length} wallet(s) have been removed from tracking.\n\n` +
+                       `Use \`/track\` to resume monitoring, or \`/keepalive on\` to prevent this in the future.`;
+        
+        this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' })
+            .catch(err => console.error(`Failed to notify user ${chatId}:`, err.message));
+        
+        const wsStatus = this.websocket.getStatus();
+        console.log(`🧹 Cleanup complete for user ${chatId} - ${wsStatus.trackedWallets} wallet(s) still tracked globally`);
     }
 }
 
@@ -0,0 +1,91 @@
+// Comprobaciones del libro de posiciones: ventas parciales, firmas repetidas y límite de posiciones
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PnLTracker = require('../utils/PnLTracker');
+
+const WALLET = 'Wallet1111111111111111111111111111111111111';
+
+function trade(overrides = {}) {
+    return {
+        buySell: 'BUY',
+        wallet: WALLET,
+        mintAddress: 'MintA',
+        token: 'AAA',
+        tokenAmount: 100,
+        solAmount: 1,
+        signature: 'sig-buy',
+        timestamp: '2026-01-01T00:00:00.000Z',
+        ...overrides
+    };
+}
+
+test('partial sell realizes PnL on the sold part and keeps the rest of the cost', () => {
+    const tracker = new PnLTracker();
+    tracker.recordTrade(trade());
+
+    const pnl = tracker.recordTrade(trade({ buySell: 'SELL', tokenAmount: 40, solAmount: 0.6, signature: 'sig-sell' }));
+
+    assert.equal(pnl.matchedAmount, 40);
+    assert.equal(pnl.partial, false);
+    assert.ok(Math.abs(pnl.realizedSol - 0.2) < 1e-9);
+    assert.ok(Math.abs(pnl.percent - 50) < 1e-9);
+
+    const [position] = tracker.getPositions(WALLET);
+    assert.equal(position.amount, 60);
+    assert.ok(Math.abs(position.costSol - 0.6) < 1e-9);
+    assert.equal(position.wins, 1);
+});
+
+test('selling more than was bought while tracking only matches the known amount', () => {
+    const tracker = new PnLTracker();
+    tracker.recordTrade(trade());
+
+    const pnl = tracker.recordTrade(trade({ buySell: 'SELL', tokenAmount: 200, solAmount: 4, signature: 'sig-sell' }));
+
+    assert.equal(pnl.matchedAmount, 100);
+    assert.equal(pnl.partial, true);
+    assert.ok(Math.abs(pnl.realizedSol - 1) < 1e-9);
+    assert.equal(tracker.getPositions(WALLET)[0].amount, 0);
+});
+
+test('a repeated signature is recorded once, also after a save and load', () => {
+    const tracker = new PnLTracker();
+    tracker.recordTrade(trade());
+    tracker.recordTrade(trade());
+    assert.equal(tracker.getPositions(WALLET)[0].amount, 100);
+
+    const restored = new PnLTracker();
+    restored.load(JSON.parse(JSON.stringify(tracker.serialize())));
+    restored.recordTrade(trade());
+
+    const [position] = restored.getPositions(WALLET);
+    assert.equal(position.amount, 100);
+    assert.equal(position.boughtSol, 1);
+    assert.equal('signatures' in position, false);
+});
+
+test('the position limit drops closed positions before open ones', () => {
+    const tracker = new PnLTracker();
+    tracker.recordTrade(trade({ mintAddress: 'Closed', signature: 'closed-buy' }));
+    tracker.recordTrade(trade({ mintAddress: 'Closed', buySell: 'SELL', signature: 'closed-sell' }));
+
+    for (let i = 0; i < 200; i++) {
+        tracker.recordTrade(trade({
+            mintAddress: `Open${i}`,
+            signature: `open-${i}`,
+            timestamp: new Date(Date.UTC(2026, 0, 2, 0, 0, i)).toISOString()
+        }));
+    }
+
+    const mints = tracker.getPositions(WALLET).map(position => position.mint);
+    assert.equal(mints.length, 200);
+    assert.equal(mints.includes('Closed'), false);
+    assert.equal(mints.includes('Open0'), true);
+
+    // Sin cerradas, se va la abierta con el trade más antiguo
+    tracker.recordTrade(trade({ mintAddress: 'Newest', signature: 'newest', timestamp: '2026-02-01T00:00:00.000Z' }));
+    const after = tracker.getPositions(WALLET).map(position => position.mint);
+    assert.equal(after.length, 200);
+    assert.equal(after.includes('Open0'), false);
+    assert.equal(after.includes('Newest'), true);
+});
@@ -0,0 +1,189 @@
+// Libro de posiciones por wallet y mint con coste medio (average cost)
+// Se alimenta de los BUY/SELL decodificados; todo se valora en SOL (los trades en USDC/USDT
+// se convierten con el precio SOL/USD del momento del trade).
+
+const { createLogger } = require('./Logger');
+
+const pnlLogger = createLogger('PNL');
+
+const MAX_POSITION_SIGNATURES = 5;   // firmas recientes por posición, guardadas con ella para no contar dos veces un trade
+const MAX_POSITIONS_PER_WALLET = 200; // al pasarse se descartan primero las posiciones cerradas más antiguas
+
+class PnLTracker {
+    constructor() {
+        this.ledger = new Map(); // wallet -> Map(mint -> position)
+    }
+
+    createPosition(symbol) {
+        return {
+            symbol,
+            amount: 0,         // tokens en cartera según los trades vistos
+            costSol: 0,        // coste de esos tokens
+            boughtSol: 0,
+            soldSol: 0,
+            realizedSol: 0,
+            wins: 0,
+            losses: 0,
+            lastTradeAt: null,
+            signatures: []     // últimas firmas registradas (re-notificaciones y reinicios)
+        };
+    }
+
+    getPosition(wallet, mint, symbol) {
+        if (!this.ledger.has(wallet)) {
+            this.ledger.set(wallet, new Map());
+        }
+        const positions = this.ledger.get(wallet);
+        if (!positions.has(mint)) {
+            if (positions.size >= MAX_POSITIONS_PER_WALLET) {
+                this.evictPosition(positions);
+            }
+            positions.set(mint, this.createPosition(symbol));
+        }
+        const position = positions.get(mint);
+        if (symbol && symbol !== 'N/A') {
+            position.symbol = symbol;
+        }
+        return position;
+    }
+
+    // Descartar la posición cerrada con el trade más antiguo; si todas siguen abiertas, la más antigua
+    evictPosition(positions) {
+        let oldestMint = null;
+        let oldestTime = Infinity;
+        let oldestClosed = false;
+        positions.forEach((position, mint) => {
+            const closed = position.amount === 0;
+            const time = position.lastTradeAt ? new Date(position.lastTradeAt).getTime() : 0;
+            if ((closed && !oldestClosed) || (closed === oldestClosed && time < oldestTime)) {
+                oldestMint = mint;
+                oldestTime = time;
+                oldestClosed = closed;
+            }
+        });
+        positions.delete(oldestMint);
+        pnlLogger.debug(`Position limit reached, dropped ${oldestMint.substring(0, 8)}...`);
+    }
+
+    // Valor en SOL de un trade: la contrapartida en SOL o el importe en stables / precio SOL
+    getTradeValueSol(data) {
+        if (data.solAmount > 0) {
+            return data.solAmount;
+        }
+        if (data.quoteAmount > 0 && data.quoteSymbol !== 'SOL' && data.solPriceUsd > 0) {
+            return data.quoteAmount / data.solPriceUsd;
+        }
+        return null;
+    }
+
+    // Registrar un swap. Devuelve { realizedSol, percent, matchedAmount, partial } en ventas con coste conocido
+    recordTrade(data) {
+        if (!['BUY', 'SELL'].includes(data.buySell) || !data.mintAddress || !(data.tokenAmount > 0)) {
+            return null;
+        }
+        const existing = this.ledger.get(data.wallet)?.get(data.mintAddress);
+        if (existing && existing.signatures.includes(data.signature)) {
+            return data.pnl || null;
+        }
+
+        const valueSol = this.getTradeValueSol(data);
+        if (valueSol === null) {
+            pnlLogger.debug(`No SOL value for ${data.signature.substring(0, 8)}..., trade not recorded`);
+            return null;
+        }
+
+        const position = this.getPosition(data.wallet, data.mintAddress, data.token);
+        this.rememberSignature(position, data.signature);
+        position.lastTradeAt = data.timestamp || new Date().toISOString();
+
+        if (data.buySell === 'BUY') {
+            position.amount += data.tokenAmount;
+            position.costSol += valueSol;
+            position.boughtSol += valueSol;
+            return null;
+        }
+
+        position.soldSol += valueSol;
+
+        // Solo la parte comprada mientras se rastreaba tiene coste; el resto no genera PnL
+        const matchedAmount = Math.min(data.tokenAmount, position.amount);
+        if (matchedAmount <= 0) {
+            return null;
+        }
+
+        const costBasis = position.costSol * (matchedAmount / position.amount);
+        const proceeds = valueSol * (matchedAmount / data.tokenAmount);
+        const realizedSol = proceeds - costBasis;
+
+        position.amount -= matchedAmount;
+        position.costSol -= costBasis;
+        // Posición cerrada: limpiar restos de coma flotante
+        if (position.amount <= matchedAmount * 1e-9) {
+            position.amount = 0;
+            position.costSol = 0;
+        }
+        position.realizedSol += realizedSol;
+        if (realizedSol >= 0) {
+            position.wins++;
+        } else {
+            position.losses++;
+        }
+
+        return {
+            realizedSol,
+            percent: costBasis > 0 ? (realizedSol / costBasis) * 100 : null,
+            matchedAmount,
+            partial: matchedAmount < data.tokenAmount
+        };
+    }
+
+    rememberSignature(position, signature) {
+        position.signatures.push(signature);
+        if (position.signatures.length > MAX_POSITION_SIGNATURES) {
+            position.signatures.shift();
+        }
+    }
+
+    getPositions(wallet) {
+        return Array.from((this.ledger.get(wallet) || new Map()).entries())
+            .map(([mint, { signatures, ...position }]) => ({ mint, ...position }));
+    }
+
+    // Totales de una wallet: PnL realizado y ventas ganadoras/perdedoras
+    getSummary(wallet) {
+        const positions = this.getPositions(wallet);
+        const wins = positions.reduce((sum, position) => sum + position.wins, 0);
+        const losses = positions.reduce((sum, position) => sum + position.losses, 0);
+
+        return {
+            positions: positions.length,
+            openPositions: positions.filter(position => position.amount > 0).length,
+            realizedSol: positions.reduce((sum, position) => sum + position.realizedSol, 0),
+            openCostSol: positions.reduce((sum, position) => sum + position.costSol, 0),
+            wins,
+            losses,
+            winRate: wins + losses > 0 ? (wins / (wins + losses)) * 100 : null
+        };
+    }
+
+    // { wallet: { mint: position } } para el almacenamiento
+    serialize() {
+        const result = {};
+        this.ledger.forEach((positions, wallet) => {
+            result[wallet] = Object.fromEntries(positions);
+        });
+        return result;
+    }
+
+    load(snapshot = {}) {
+        Object.entries(snapshot).forEach(([wallet, positions]) => {
+            const walletPositions = new Map();
+            Object.entries(positions || {}).forEach(([mint, position]) => {
+                walletPositions.set(mint, { ...this.createPosition(position.symbol), ...position });
+            });
+            this.ledger.set(wallet, walletPositions);
+        });
+    }
+}
+
+module.exports = PnLTracker;
@@ -0,0 +1,184 @@
+// Servicio de precios USD de tokens con proveedor intercambiable
+// Proveedores disponibles: Jupiter Price API (por defecto), Birdeye o un mock local (PRICE_PROVIDER)
+
+const axios = require('axios');
+const { createLogger } = require('./Logger');
+
+const priceLogger = createLogger('PRICES');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB';
+
+const DEFAULT_PRICE_TTL = 30 * 1000; // 30 segundos: un precio de trade no debe quedarse viejo
+
+// Interfaz común: fetchPrices(mints) devuelve { mint: precioUSD } solo con los mints que conoce
+class BasePriceProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async fetchPrices(mints) {
+        throw new Error('fetchPrices() not implemented');
+    }
+}
+
+class JupiterPriceProvider extends BasePriceProvider {
+    constructor(baseUrl = process.env.JUPITER_PRICE_URL || 'https://lite-api.jup.ag/price/v3') {
+        super('jupiter');
+        this.baseUrl = baseUrl;
+    }
+
+    async fetchPrices(mints) {
+        const response = await axios.get(this.baseUrl, {
+            params: { ids: mints.join(',') },
+            timeout: 10000
+        });
+
+        const prices = {};
+        Object.entries(response.data || {}).forEach(([mint, entry]) => {
+            if (entry && typeof entry.usdPrice === 'number') {
+                prices[mint] = entry.usdPrice;
+            }
+        });
+        return prices;
+    }
+}
+
+class BirdeyePriceProvider extends BasePriceProvider {
+    constructor(apiKey = process.env.BIRDEYE_API_KEY) {
+        super('birdeye');
+        if (!apiKey) {
+            throw new Error('BIRDEYE_API_KEY is not set');
+        }
+        this.apiKey = apiKey;
+    }
+
+    async fetchPrices(mints) {
+        const response = await axios.get('https://public-api.birdeye.so/defi/multi_price', {
+            params: { list_address: mints.join(',') },
+            headers: { 'X-API-KEY': this.apiKey, 'x-chain': 'solana' },
+            timeout: 10000
+        });
+
+        const prices = {};
+        Object.entries(response.data?.data || {}).forEach(([mint, entry]) => {
+            if (entry && typeof entry.value === 'number') {
+                prices[mint] = entry.value;
+            }
+        });
+        return prices;
+    }
+}
+
+// Precios fijos para desarrollo; MOCK_PRICES='{"<mint>": 0.00002}' añade o sobrescribe
+class MockPriceProvider extends BasePriceProvider {
+    constructor(overrides = process.env.MOCK_PRICES) {
+        super('mock');
+        this.prices = {
+            [SOL_MINT]: 150,
+            [USDC_MINT]: 1,
+            [USDT_MINT]: 1
+        };
+
+        if (overrides) {
+            try {
+                Object.assign(this.prices, typeof overrides === 'string' ? JSON.parse(overrides) : overrides);
+            } catch (error) {
+                priceLogger.warn(`Ignoring invalid MOCK_PRICES: ${error.message}`);
+            }
+        }
+    }
+
+    async fetchPrices(mints) {
+        const prices = {};
+        mints.forEach(mint => {
+            if (this.prices[mint] !== undefined) {
+                prices[mint] = this.prices[mint];
+            }
+        });
+        return prices;
+    }
+}
+
+class PriceService {
+    // cache: Map compartido con el backend (mint -> { price, expiry }) para purgarlo junto a tokenInfoCache
+    constructor(provider, cache = new Map(), ttl = DEFAULT_PRICE_TTL) {
+        this.provider = provider;
+        this.cache = cache;
+        this.ttl = ttl;
+    }
+
+    // Precios USD de varios mints: Map mint -> precio (sin entrada si el proveedor no lo conoce)
+    async getPrices(mints) {
+        const now = Date.now();
+        const uniqueMints = [...new Set(mints.filter(Boolean))];
+        const prices = new Map();
+        const missing = [];
+
+        uniqueMints.forEach(mint => {
+            const cached = this.cache.get(mint);
+            if (cached && cached.expiry > now) {
+                prices.set(mint, cached.price);
+            } else {
+                missing.push(mint);
+            }
+        });
+
+        if (missing.length === 0) {
+            return prices;
+        }
+
+        try {
+            const fetched = await this.provider.fetchPrices(missing);
+            Object.entries(fetched).forEach(([mint, price]) => {
+                this.cache.set(mint, { price, expiry: now + this.ttl });
+                prices.set(mint, price);
+            });
+            priceLogger.debug(`${this.provider.name}: priced ${Object.keys(fetched).length}/${missing.length} token(s)`);
+        } catch (error) {
+            priceLogger.error(`${this.provider.name} price request failed: ${error.message}`);
+        }
+
+        return prices;
+    }
+
+    async getPrice(mint) {
+        const prices = await this.getPrices([mint]);
+        return prices.has(mint) ? prices.get(mint) : null;
+    }
+}
+
+// Elegir proveedor según PRICE_PROVIDER (jupiter | birdeye | mock)
+const createPriceService = (providerName = process.env.PRICE_PROVIDER || 'jupiter', cache = new Map()) => {
+    const normalizedName = providerName.toLowerCase();
+    let provider;
+
+    try {
+        if (normalizedName === 'birdeye') {
+            provider = new BirdeyePriceProvider();
+        } else if (normalizedName === 'mock') {
+            provider = new MockPriceProvider();
+        } else {
+            if (normalizedName !== 'jupiter') {
+                priceLogger.warn(`Unknown price provider '${providerName}', using Jupiter`);
+            }
+            provider = new JupiterPriceProvider();
+        }
+    } catch (error) {
+        priceLogger.error(`${normalizedName} price provider unavailable (${error.message}), falling back to Jupiter`);
+        provider = new JupiterPriceProvider();
+    }
+
+    priceLogger.success(`Price provider ready: ${provider.name}`);
+    return new PriceService(provider, cache);
+};
+
+module.exports = {
+    BasePriceProvider,
+    JupiterPriceProvider,
+    BirdeyePriceProvider,
+    MockPriceProvider,
+    PriceService,
+    createPriceService
+};
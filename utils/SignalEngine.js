@@ -0,0 +1,223 @@
+// Motor de señales a partir de los swaps observados en todas las wallets rastreadas
+// - Momentum: varias wallets distintas comprando el mismo mint dentro de una ventana
+// - Volume spike: volumen en SOL de un token en la ventana actual frente a su media reciente
+// Todo se calcula en memoria con ventanas deslizantes; no hace llamadas externas.
+
+const { createLogger } = require('./Logger');
+
+const signalLogger = createLogger('SIGNALS');
+
+const MINUTE = 60 * 1000;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return value > 0 ? value : fallback;
+};
+
+const DEFAULT_OPTIONS = {
+    momentumWindowMs: envNumber('SIGNAL_MOMENTUM_WINDOW_MIN', 10) * MINUTE,
+    momentumMinWallets: envNumber('SIGNAL_MOMENTUM_WALLETS', 3),
+    volumeWindowMs: envNumber('SIGNAL_VOLUME_WINDOW_MIN', 5) * MINUTE,
+    volumeBaselineWindows: 12,          // la media se toma de las 12 ventanas anteriores (1 hora por defecto)
+    volumeSpikeMultiplier: envNumber('SIGNAL_VOLUME_MULTIPLIER', 3),
+    volumeMinSol: envNumber('SIGNAL_VOLUME_MIN_SOL', 5),
+    volumeBaselineFloorSol: 1,          // tokens sin historial: no disparar con cualquier primera compra
+    cooldownMs: 15 * MINUTE,            // misma señal del mismo token como mucho una vez por periodo
+    maxTradesPerMint: 500
+};
+
+const MAX_RECORDED_SIGNATURES = 2000;
+
+const clampConfidence = (value) => Math.max(1, Math.min(99, Math.round(value)));
+
+class SignalEngine {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.trades = new Map(); // mint -> [{ wallet, side, valueSol, timestamp }] en orden de llegada
+        this.symbols = new Map(); // mint -> último símbolo conocido
+        this.lastSignals = new Map(); // `${tipo}:${mint}` -> timestamp de la última señal
+        this.recordedSignatures = new Set();
+    }
+
+    // Horizonte de historial necesario para la señal que mira más atrás
+    getRetentionMs() {
+        return Math.max(
+            this.options.momentumWindowMs,
+            this.options.volumeWindowMs * (this.options.volumeBaselineWindows + 1)
+        );
+    }
+
+    // Registrar un swap normalizado ({ signature, wallet, mint, symbol, side, valueSol }) y devolver las señales que dispara
+    recordTrade(trade, now = Date.now()) {
+        if (!['BUY', 'SELL'].includes(trade.side) || !trade.mint || !(trade.valueSol > 0)) {
+            return [];
+        }
+
+        const key = `${trade.signature}:${trade.wallet}`;
+        if (this.recordedSignatures.has(key)) {
+            return [];
+        }
+        this.recordedSignatures.add(key);
+        if (this.recordedSignatures.size > MAX_RECORDED_SIGNATURES) {
+            this.recordedSignatures.delete(this.recordedSignatures.values().next().value);
+        }
+
+        if (!this.trades.has(trade.mint)) {
+            this.trades.set(trade.mint, []);
+        }
+        const trades = this.trades.get(trade.mint);
+        trades.push({ wallet: trade.wallet, side: trade.side, valueSol: trade.valueSol, timestamp: now });
+        if (trades.length > this.options.maxTradesPerMint) {
+            trades.splice(0, trades.length - this.options.maxTradesPerMint);
+        }
+        if (trade.symbol && trade.symbol !== 'N/A') {
+            this.symbols.set(trade.mint, trade.symbol);
+        }
+
+        this.prune(now);
+
+        return [
+            trade.side === 'BUY' ? this.detectMomentum(trade.mint, now) : null,
+            this.detectVolumeSpike(trade.mint, now)
+        ].filter(Boolean);
+    }
+
+    hasTrade(signature, wallet) {
+        return this.recordedSignatures.has(`${signature}:${wallet}`);
+    }
+
+    getTrades(mint, windowMs, now = Date.now()) {
+        return (this.trades.get(mint) || []).filter(trade => now - trade.timestamp <= windowMs);
+    }
+
+    // Compradores distintos del mint en la ventana: { wallet, valueSol (suma), firstAt } ordenados por la primera compra
+    getBuyers(mint, windowMs, now = Date.now()) {
+        const buyers = new Map();
+        this.getTrades(mint, windowMs, now)
+            .filter(trade => trade.side === 'BUY')
+            .forEach(trade => {
+                const buyer = buyers.get(trade.wallet) || { wallet: trade.wallet, valueSol: 0, firstAt: trade.timestamp };
+                buyer.valueSol += trade.valueSol;
+                buyers.set(trade.wallet, buyer);
+            });
+        return Array.from(buyers.values()).sort((a, b) => a.firstAt - b.firstAt);
+    }
+
+    getSymbol(mint) {
+        return this.symbols.get(mint) || null;
+    }
+
+    // Máximo una señal de cada tipo por token en cada periodo de cooldown
+    claimSignal(type, mint, now) {
+        const key = `${type}:${mint}`;
+        if (now - (this.lastSignals.get(key) || 0) < this.options.cooldownMs) {
+            return false;
+        }
+        this.lastSignals.set(key, now);
+        return true;
+    }
+
+    detectMomentum(mint, now) {
+        const { momentumWindowMs, momentumMinWallets } = this.options;
+        const buyers = this.getBuyers(mint, momentumWindowMs, now);
+        if (buyers.length < momentumMinWallets || !this.claimSignal('momentum', mint, now)) {
+            return null;
+        }
+
+        const trades = this.getTrades(mint, momentumWindowMs, now);
+        const buySol = trades.filter(trade => trade.side === 'BUY').reduce((sum, trade) => sum + trade.valueSol, 0);
+        const sellSol = trades.filter(trade => trade.side === 'SELL').reduce((sum, trade) => sum + trade.valueSol, 0);
+        const spanMs = now - buyers[0].firstAt;
+
+        // Más compradores, más juntos en el tiempo y menos ventas en la misma ventana → más confianza
+        const extraBuyers = buyers.length - momentumMinWallets + 1;
+        const speed = 1 - spanMs / momentumWindowMs;
+        const sellShare = sellSol / (buySol + sellSol);
+        const confidence = clampConfidence(45 + 12 * extraBuyers + 15 * speed - 40 * sellShare);
+
+        signalLogger.info(`Momentum on ${mint.substring(0, 8)}...: ${buyers.length} wallets in ${Math.round(spanMs / 1000)}s (${confidence}%)`);
+        return {
+            type: 'momentum',
+            mint,
+            symbol: this.getSymbol(mint),
+            buyers,
+            buySol,
+            sellSol,
+            spanMs,
+            confidence
+        };
+    }
+
+    detectVolumeSpike(mint, now) {
+        const { volumeWindowMs, volumeBaselineWindows, volumeSpikeMultiplier, volumeMinSol, volumeBaselineFloorSol } = this.options;
+        const trades = this.trades.get(mint) || [];
+
+        const current = trades.filter(trade => now - trade.timestamp <= volumeWindowMs);
+        const volumeSol = current.reduce((sum, trade) => sum + trade.valueSol, 0);
+        if (volumeSol < volumeMinSol) {
+            return null;
+        }
+
+        // Media por ventana de las anteriores (las ventanas sin operaciones cuentan como cero)
+        const baselineHorizon = volumeWindowMs * (volumeBaselineWindows + 1);
+        const previousSol = trades
+            .filter(trade => now - trade.timestamp > volumeWindowMs && now - trade.timestamp <= baselineHorizon)
+            .reduce((sum, trade) => sum + trade.valueSol, 0);
+        const baselineSol = Math.max(previousSol / volumeBaselineWindows, volumeBaselineFloorSol);
+        const ratio = volumeSol / baselineSol;
+
+        if (ratio < volumeSpikeMultiplier || !this.claimSignal('volumeSpikes', mint, now)) {
+            return null;
+        }
+
+        // 50% justo en el umbral; cada vez que se duplica el exceso suma 20 puntos. Varias wallets pesan más que una sola
+        const wallets = new Set(current.map(trade => trade.wallet)).size;
+        const confidence = clampConfidence(50 + 20 * Math.log2(ratio / volumeSpikeMultiplier) + (wallets > 1 ? 10 : -10));
+        const buySol = current.filter(trade => trade.side === 'BUY').reduce((sum, trade) => sum + trade.valueSol, 0);
+        const sellSol = current.filter(trade => trade.side === 'SELL').reduce((sum, trade) => sum + trade.valueSol, 0);
+
+        signalLogger.info(`Volume spike on ${mint.substring(0, 8)}...: ${volumeSol.toFixed(2)} SOL vs ${baselineSol.toFixed(2)} baseline (${confidence}%)`);
+        return {
+            type: 'volumeSpikes',
+            mint,
+            symbol: this.getSymbol(mint),
+            volumeSol,
+            baselineSol,
+            ratio,
+            buySol,
+            sellSol,
+            trades: current.length,
+            wallets,
+            windowMs: volumeWindowMs,
+            confidence
+        };
+    }
+
+    // Olvidar operaciones fuera del horizonte y tokens sin actividad
+    prune(now = Date.now()) {
+        const retentionMs = this.getRetentionMs();
+        this.trades.forEach((trades, mint) => {
+            const firstKept = trades.findIndex(trade => now - trade.timestamp <= retentionMs);
+            if (firstKept === -1) {
+                this.trades.delete(mint);
+                this.symbols.delete(mint);
+            } else if (firstKept > 0) {
+                trades.splice(0, firstKept);
+            }
+        });
+        this.lastSignals.forEach((timestamp, key) => {
+            if (now - timestamp > this.options.cooldownMs) {
+                this.lastSignals.delete(key);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            mints: this.trades.size,
+            trades: Array.from(this.trades.values()).reduce((sum, trades) => sum + trades.length, 0)
+        };
+    }
+}
+
+module.exports = SignalEngine;
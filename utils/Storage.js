@@ -0,0 +1,148 @@
+// Capa de persistencia para el estado del bot (wallets, settings, señales...)
+// Backends disponibles: archivo JSON (por defecto) o SQLite (requiere better-sqlite3)
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./Logger');
+
+const storageLogger = createLogger('STORAGE');
+
+const DEFAULT_JSON_PATH = path.join(__dirname, '..', 'data', 'bot-state.json');
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'data', 'bot-state.db');
+
+// Interfaz común: load() devuelve { coleccion: { clave: valor } } y save() la reemplaza completa
+class BaseStorage {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    ensureDirectory() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    load() {
+        throw new Error('load() not implemented');
+    }
+
+    save(snapshot) {
+        throw new Error('save() not implemented');
+    }
+
+    close() {}
+}
+
+class JsonFileStorage extends BaseStorage {
+    constructor(filePath = DEFAULT_JSON_PATH) {
+        super(filePath);
+        this.ensureDirectory();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return {};
+        }
+
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            return raw.trim() ? JSON.parse(raw) : {};
+        } catch (error) {
+            storageLogger.error(`Could not read ${this.filePath}: ${error.message}`);
+            return {};
+        }
+    }
+
+    save(snapshot) {
+        // Escribir en un archivo temporal y renombrar para no dejar el JSON a medias si el proceso muere
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+class SQLiteStorage extends BaseStorage {
+    constructor(filePath = DEFAULT_SQLITE_PATH) {
+        super(filePath);
+        this.ensureDirectory();
+
+        // Dependencia opcional: solo se carga si se elige este backend
+        const Database = require('better-sqlite3');
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS bot_state (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (collection, key)
+            )
+        `);
+
+        this.selectAll = this.db.prepare('SELECT collection, key, value FROM bot_state');
+        this.deleteAll = this.db.prepare('DELETE FROM bot_state');
+        this.insertRow = this.db.prepare('INSERT INTO bot_state (collection, key, value) VALUES (?, ?, ?)');
+        this.replaceAll = this.db.transaction((snapshot) => {
+            this.deleteAll.run();
+            Object.entries(snapshot).forEach(([collection, entries]) => {
+                Object.entries(entries || {}).forEach(([key, value]) => {
+                    this.insertRow.run(collection, key, JSON.stringify(value));
+                });
+            });
+        });
+    }
+
+    load() {
+        const snapshot = {};
+
+        this.selectAll.all().forEach(row => {
+            if (!snapshot[row.collection]) {
+                snapshot[row.collection] = {};
+            }
+            try {
+                snapshot[row.collection][row.key] = JSON.parse(row.value);
+            } catch (error) {
+                storageLogger.warn(`Skipping corrupt row ${row.collection}/${row.key}`);
+            }
+        });
+
+        return snapshot;
+    }
+
+    save(snapshot) {
+        this.replaceAll(snapshot);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Elegir backend según STORAGE_BACKEND (json | sqlite) y STORAGE_PATH
+const createStorage = (backend = process.env.STORAGE_BACKEND || 'json', filePath = process.env.STORAGE_PATH) => {
+    const normalizedBackend = backend.toLowerCase();
+
+    if (normalizedBackend === 'sqlite') {
+        try {
+            const storage = new SQLiteStorage(filePath || DEFAULT_SQLITE_PATH);
+            storageLogger.success(`SQLite storage ready: ${storage.filePath}`);
+            return storage;
+        } catch (error) {
+            storageLogger.error(`SQLite storage unavailable (${error.message}), falling back to JSON file`);
+            return new JsonFileStorage(filePath ? filePath.replace(/\.db$/, '.json') : DEFAULT_JSON_PATH);
+        }
+    }
+
+    if (normalizedBackend !== 'json') {
+        storageLogger.warn(`Unknown storage backend '${backend}', using JSON file`);
+    }
+
+    const storage = new JsonFileStorage(filePath || DEFAULT_JSON_PATH);
+    storageLogger.success(`JSON storage ready: ${storage.filePath}`);
+    return storage;
+};
+
+module.exports = {
+    BaseStorage,
+    JsonFileStorage,
+    SQLiteStorage,
+    createStorage
+};
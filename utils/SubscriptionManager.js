@@ -0,0 +1,126 @@
+// Gestor de suscripciones JSON-RPC del WebSocket de Helius
+// Cada petición lleva un id único; al confirmarse se guarda subscriptionId → wallets
+// para poder cancelar una sola suscripción sin reconectar el socket.
+
+const { createLogger } = require('./Logger');
+
+const subscriptionLogger = createLogger('SUBSCRIPTIONS');
+
+// Método de baja correspondiente a cada método de alta
+const UNSUBSCRIBE_METHODS = {
+    logsSubscribe: 'logsUnsubscribe',
+    accountSubscribe: 'accountUnsubscribe',
+    transactionSubscribe: 'transactionUnsubscribe'
+};
+
+class SubscriptionManager {
+    constructor() {
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map(); // requestId -> { type, method, wallets, commitment, replaces, subscriptionId }
+        this.subscriptions = new Map(); // subscriptionId -> { method, wallets, commitment }
+        this.walletSubscriptions = new Map(); // wallet -> subscriptionId
+    }
+
+    // Mensaje de alta para una o varias wallets; queda pendiente hasta la respuesta del servidor.
+    // options.commitment se guarda con la suscripción; options.replaces es la suscripción que sustituye.
+    createSubscribeRequest(method, params, wallets, options = {}) {
+        const id = this.nextRequestId++;
+        this.pendingRequests.set(id, {
+            type: 'subscribe',
+            method,
+            wallets: [...wallets],
+            commitment: options.commitment || null,
+            replaces: options.replaces !== undefined ? options.replaces : null
+        });
+        return { jsonrpc: '2.0', id, method, params };
+    }
+
+    // Mensaje de baja para una suscripción confirmada
+    createUnsubscribeRequest(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return null;
+
+        const id = this.nextRequestId++;
+        const method = UNSUBSCRIBE_METHODS[subscription.method];
+        this.pendingRequests.set(id, { type: 'unsubscribe', method, wallets: subscription.wallets, subscriptionId });
+        this.forget(subscriptionId);
+        return { jsonrpc: '2.0', id, method, params: [subscriptionId] };
+    }
+
+    // Procesar la respuesta a una petición nuestra. Devuelve la petición resuelta (o null si no es nuestra)
+    handleResponse(data) {
+        if (data.id === undefined || !this.pendingRequests.has(data.id)) {
+            return null;
+        }
+
+        const request = this.pendingRequests.get(data.id);
+        this.pendingRequests.delete(data.id);
+
+        if (data.error) {
+            subscriptionLogger.error(`${request.method} #${data.id} failed: ${data.error.message || JSON.stringify(data.error)}`);
+            return { ...request, error: data.error };
+        }
+
+        if (request.type === 'subscribe') {
+            const subscriptionId = data.result;
+            this.subscriptions.set(subscriptionId, { method: request.method, wallets: request.wallets, commitment: request.commitment });
+            request.wallets.forEach(wallet => this.walletSubscriptions.set(wallet, subscriptionId));
+            subscriptionLogger.success(`${request.method} #${data.id} → subscription ${subscriptionId} (${request.wallets.length} wallet(s))`);
+            return { ...request, subscriptionId };
+        }
+
+        subscriptionLogger.info(`${request.method} for subscription ${request.subscriptionId}: ${data.result}`);
+        return request;
+    }
+
+    forget(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return;
+
+        subscription.wallets.forEach(wallet => {
+            if (this.walletSubscriptions.get(wallet) === subscriptionId) {
+                this.walletSubscriptions.delete(wallet);
+            }
+        });
+        this.subscriptions.delete(subscriptionId);
+    }
+
+    getSubscription(subscriptionId) {
+        return this.subscriptions.get(subscriptionId) || null;
+    }
+
+    getWallets(subscriptionId) {
+        return this.subscriptions.get(subscriptionId)?.wallets || [];
+    }
+
+    getSubscriptionId(wallet) {
+        return this.walletSubscriptions.has(wallet) ? this.walletSubscriptions.get(wallet) : null;
+    }
+
+    // Wallets con un alta enviada pero todavía sin confirmar
+    isPending(wallet) {
+        return Array.from(this.pendingRequests.values())
+            .some(request => request.type === 'subscribe' && request.wallets.includes(wallet));
+    }
+
+    getSubscriptionIds() {
+        return Array.from(this.subscriptions.keys());
+    }
+
+    // Los ids de suscripción no sobreviven a la conexión: limpiar al cerrar el socket
+    reset() {
+        this.pendingRequests.clear();
+        this.subscriptions.clear();
+        this.walletSubscriptions.clear();
+    }
+
+    getStats() {
+        return {
+            active: this.subscriptions.size,
+            pending: this.pendingRequests.size,
+            wallets: this.walletSubscriptions.size
+        };
+    }
+}
+
+module.exports = SubscriptionManager;
@@ -0,0 +1,130 @@
+// Niveles de servicio (free / pro / team) y cupos de cada chat
+// Los niveles y asignaciones base salen de un archivo JSON (TIERS_CONFIG); los administradores
+// pueden asignar niveles en caliente y esas asignaciones se guardan con el estado del bot.
+//
+// Formato de TIERS_CONFIG:
+// {
+//   "defaultTier": "free",
+//   "groupTier": "pro",
+//   "tiers": { "pro": { "name": "Pro", "maxWallets": 15 }, "whale": { "name": "Whale", "maxWallets": 50 } },
+//   "assignments": { "123456789": "pro", "-100987654321": "team" }
+// }
+
+const fs = require('fs');
+const { createLogger } = require('./Logger');
+
+const tierLogger = createLogger('TIERS');
+
+const DEFAULT_TIERS = {
+    free: { name: 'Free', maxWallets: 3 },
+    pro: { name: 'Pro', maxWallets: 10 },
+    team: { name: 'Team', maxWallets: 25 }
+};
+
+// Leer el archivo de configuración; un archivo ausente o inválido deja los niveles por defecto
+const loadTierConfig = (filePath = process.env.TIERS_CONFIG) => {
+    if (!filePath) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        tierLogger.error(`Could not read tier config ${filePath}: ${error.message}`);
+        return {};
+    }
+};
+
+class TierManager {
+    constructor(config = loadTierConfig()) {
+        this.tiers = {};
+        Object.entries({ ...DEFAULT_TIERS, ...(config.tiers || {}) }).forEach(([id, tier]) => {
+            const maxWallets = parseInt(tier.maxWallets, 10);
+            if (!(maxWallets > 0)) {
+                tierLogger.warn(`Ignoring tier '${id}': maxWallets must be a positive number`);
+                return;
+            }
+            this.tiers[id.toLowerCase()] = { name: id, ...DEFAULT_TIERS[id], ...tier, maxWallets };
+        });
+
+        this.defaultTier = this.resolveConfiguredTier(config.defaultTier, 'free');
+        this.groupTier = this.resolveConfiguredTier(config.groupTier, 'pro');
+
+        this.configAssignments = new Map(); // chatId -> tier del archivo de configuración
+        Object.entries(config.assignments || {}).forEach(([chatId, tierId]) => {
+            if (this.hasTier(tierId)) {
+                this.configAssignments.set(Number(chatId), tierId.toLowerCase());
+            } else {
+                tierLogger.warn(`Ignoring assignment of ${chatId} to unknown tier '${tierId}'`);
+            }
+        });
+
+        this.assignments = new Map(); // chatId -> tier asignado por un administrador (tiene prioridad)
+    }
+
+    resolveConfiguredTier(tierId, fallback) {
+        if (!tierId) return fallback;
+        if (this.hasTier(tierId)) return tierId.toLowerCase();
+
+        tierLogger.warn(`Unknown tier '${tierId}', using '${fallback}'`);
+        return fallback;
+    }
+
+    hasTier(tierId) {
+        return typeof tierId === 'string' && Boolean(this.tiers[tierId.toLowerCase()]);
+    }
+
+    // Los chats con id negativo son grupos o canales
+    getTierId(chatId) {
+        return this.assignments.get(chatId) ||
+               this.configAssignments.get(chatId) ||
+               (chatId < 0 ? this.groupTier : this.defaultTier);
+    }
+
+    getTier(chatId) {
+        const id = this.getTierId(chatId);
+        return { id, ...this.tiers[id] };
+    }
+
+    getWalletLimit(chatId) {
+        return this.getTier(chatId).maxWallets;
+    }
+
+    setTier(chatId, tierId) {
+        if (!this.hasTier(tierId)) {
+            return false;
+        }
+        this.assignments.set(chatId, tierId.toLowerCase());
+        return true;
+    }
+
+    // Volver al nivel del archivo de configuración o al de por defecto
+    resetTier(chatId) {
+        return this.assignments.delete(chatId);
+    }
+
+    listTiers() {
+        return Object.entries(this.tiers).map(([id, tier]) => ({ id, ...tier }));
+    }
+
+    // Asignaciones efectivas (configuración + administradores) para listarlas
+    getAssignments() {
+        return new Map([...this.configAssignments, ...this.assignments]);
+    }
+
+    serialize() {
+        return Object.fromEntries(this.assignments);
+    }
+
+    load(snapshot = {}) {
+        Object.entries(snapshot).forEach(([chatId, tierId]) => {
+            if (this.hasTier(tierId)) {
+                this.assignments.set(Number(chatId), tierId);
+            } else {
+                tierLogger.warn(`Dropping stored assignment of ${chatId} to removed tier '${tierId}'`);
+            }
+        });
+    }
+}
+
+module.exports = TierManager;
@@ -0,0 +1,317 @@
+// Chequeo de seguridad de tokens (posible rug) para las alertas de compra
+// - Mint authority y freeze authority (getAsset)
+// - Concentración de los mayores holders, sin contar pools, bonding curves ni cuentas de quema (getTokenLargestAccounts + getAccountInfo)
+// - Liquidez: bonding curve de pump.fun o pool; si el pool expone su LP mint, si el LP está quemado, bloqueado o en manos de una wallet
+// Usa el mismo endpoint RPC de Helius que fetchAssetInfoDirect; el backend pasa la URL con la API key activa.
+
+const axios = require('axios');
+const { createLogger } = require('./Logger');
+
+const safetyLogger = createLogger('SAFETY');
+
+const MINUTE = 60 * 1000;
+
+// Stablecoins y SOL envuelto tienen autoridades activas por diseño: no se evalúan
+const TRUSTED_MINTS = new Set([
+    'So11111111111111111111111111111111111111112',
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+]);
+
+const BURN_ADDRESSES = new Set([
+    '1nc1nerator11111111111111111111111111111111'
+]);
+
+// Autoridades globales de AMMs (dueñas de los vaults de todos sus pools)
+const POOL_AUTHORITIES = {
+    '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': 'Raydium AMM',
+    'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxThL': 'Raydium CPMM'
+};
+
+// Programas dueños de la cuenta que controla los tokens. lpMintOffset: posición del LP mint en los datos del pool
+const LIQUIDITY_PROGRAMS = {
+    '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': { name: 'pump.fun', kind: 'curve' },
+    'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA': { name: 'PumpSwap', kind: 'pool', lpMintOffset: 107 },
+    'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': { name: 'Raydium CLMM', kind: 'pool' },
+    'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': { name: 'Orca', kind: 'pool' },
+    'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo': { name: 'Meteora DLMM', kind: 'pool' },
+    'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG': { name: 'Meteora DAMM', kind: 'pool' },
+    'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m': { name: 'Streamflow', kind: 'lock' },
+    'LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn': { name: 'Jupiter Lock', kind: 'lock' }
+};
+
+const DEFAULT_OPTIONS = {
+    cacheTtlMs: 10 * MINUTE,
+    requestTimeoutMs: 5000,
+    topHolders: 10,
+    topHoldersHighShare: 0.5,       // top 10 wallets con más del 50% → riesgo alto
+    topHoldersMediumShare: 0.25,
+    singleHolderMediumShare: 0.1,   // una sola wallet con más del 10% → riesgo medio
+    lpSafeShare: 0.95               // LP quemado/bloqueado en al menos un 95%
+};
+
+const LEVEL_ORDER = ['low', 'medium', 'high'];
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Clave pública (32 bytes) a base58, para leer direcciones de los datos de un pool
+const encodeBase58 = (bytes) => {
+    let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+    let result = '';
+    while (value > 0n) {
+        result = BASE58_ALPHABET[Number(value % 58n)] + result;
+        value /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        result = '1' + result;
+    }
+    return result;
+};
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+class TokenSafety {
+    // getRpcUrl: función que devuelve la URL de Helius con la API key activa (y cuenta el uso para la rotación)
+    constructor(getRpcUrl, options = {}) {
+        this.getRpcUrl = getRpcUrl;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.cache = new Map(); // mint -> { result, expiry }
+        this.pending = new Map(); // mint -> Promise del chequeo en curso
+    }
+
+    // Resultado ya en caché sin esperar: null si el token no se evalúa, undefined si hay que comprobarlo
+    getCached(mint) {
+        if (!mint || TRUSTED_MINTS.has(mint)) {
+            return null;
+        }
+        const cached = this.cache.get(mint);
+        return cached && cached.expiry > Date.now() ? cached.result : undefined;
+    }
+
+    // Resultado { level, reasons } o null si el token no se evalúa o no se pudo comprobar.
+    // Con timeoutMs se deja de esperar (null) pero el chequeo sigue y queda en caché para las alertas siguientes
+    async check(mint, timeoutMs = null) {
+        if (!mint || TRUSTED_MINTS.has(mint)) {
+            return null;
+        }
+
+        const cached = this.cache.get(mint);
+        if (cached && cached.expiry > Date.now()) {
+            return cached.result;
+        }
+
+        if (!this.pending.has(mint)) {
+            const request = this.screen(mint)
+                .catch(error => {
+                    safetyLogger.warn(`Could not screen ${mint.substring(0, 8)}...: ${error.message}`);
+                    return null;
+                })
+                .then(result => {
+                    this.pending.delete(mint);
+                    if (result) {
+                        this.cache.set(mint, { result, expiry: Date.now() + this.options.cacheTtlMs });
+                    }
+                    return result;
+                });
+            this.pending.set(mint, request);
+        }
+
+        const request = this.pending.get(mint);
+        if (!timeoutMs) {
+            return request;
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeoutMs);
+        });
+        const result = await Promise.race([request, timeout]);
+        clearTimeout(timer);
+        return result;
+    }
+
+    async screen(mint) {
+        const [asset, largest] = await Promise.all([
+            this.rpc('getAsset', { id: mint }),
+            this.rpc('getTokenLargestAccounts', [mint])
+        ]);
+
+        const tokenInfo = asset?.token_info;
+        if (!tokenInfo) {
+            throw new Error('no token info in getAsset');
+        }
+
+        const findings = [];
+        const add = (level, text) => findings.push({ level, text });
+
+        // Autoridades: con mint authority se puede inflar el supply; con freeze authority congelar a los holders
+        if (tokenInfo.mint_authority) {
+            add('high', 'Mint authority enabled');
+        }
+        if (tokenInfo.freeze_authority) {
+            add('high', 'Freeze authority enabled');
+        }
+        if (!tokenInfo.mint_authority && !tokenInfo.freeze_authority) {
+            add('low', 'Mint & freeze revoked');
+        }
+
+        // Holders: solo cuentan las wallets; pools, curves, locks y quemas no pueden vender por su cuenta
+        const supply = Number(tokenInfo.supply) || 0;
+        const holders = await this.classifyTokenAccounts((largest?.value || []).slice(0, this.options.topHolders));
+        const walletHolders = holders.filter(holder => holder.kind === 'wallet');
+
+        if (supply > 0) {
+            const walletsShare = walletHolders.reduce((sum, holder) => sum + holder.amount, 0) / supply;
+            const largestShare = walletHolders.length > 0 ? walletHolders[0].amount / supply : 0;
+
+            if (walletsShare > this.options.topHoldersHighShare) {
+                add('high', `Top ${this.options.topHolders} wallets hold ${formatShare(walletsShare)}`);
+            } else if (walletsShare > this.options.topHoldersMediumShare) {
+                add('medium', `Top ${this.options.topHolders} wallets hold ${formatShare(walletsShare)}`);
+            } else if (largestShare > this.options.singleHolderMediumShare) {
+                add('medium', `One wallet holds ${formatShare(largestShare)}`);
+            } else {
+                add('low', `Top ${this.options.topHolders} wallets hold ${formatShare(walletsShare)}`);
+            }
+        }
+
+        // Liquidez
+        const curve = holders.find(holder => holder.kind === 'curve');
+        const pool = holders.find(holder => holder.kind === 'pool');
+        if (curve) {
+            add('low', `Liquidity in ${curve.venue} bonding curve`);
+        } else if (pool && pool.lpMint) {
+            const lp = await this.checkLiquidityTokens(pool.lpMint);
+            if (lp.status === 'unlocked') {
+                add('high', `${formatShare(lp.walletShare)} of ${pool.venue} LP held by wallets`);
+            } else {
+                add('low', `${pool.venue} LP ${lp.status}`);
+            }
+        } else if (pool) {
+            // Sin LP mint (p. ej. Raydium AMM v4) no se puede comprobar la quema o el bloqueo: no cuenta como segura
+            add('medium', `${pool.venue} pool, LP status unknown`);
+        } else {
+            add('medium', 'LP status unknown');
+        }
+
+        const level = findings.reduce((worst, finding) =>
+            LEVEL_ORDER.indexOf(finding.level) > LEVEL_ORDER.indexOf(worst) ? finding.level : worst, 'low');
+        // Primero los motivos del nivel resultante, después el resto
+        const reasons = findings
+            .sort((a, b) => LEVEL_ORDER.indexOf(b.level) - LEVEL_ORDER.indexOf(a.level))
+            .map(finding => finding.text);
+
+        safetyLogger.info(`${mint.substring(0, 8)}...: ${level} risk (${reasons.join('; ')})`);
+        return { level, reasons };
+    }
+
+    // Cuentas de token → { address, amount, owner, kind: wallet|pool|curve|lock|burn, venue, lpMint }
+    async classifyTokenAccounts(accounts) {
+        const withBalance = accounts.filter(account => Number(account.amount) > 0);
+        if (withBalance.length === 0) {
+            return [];
+        }
+
+        const tokenAccounts = await this.getAccounts(withBalance.map(account => account.address), 'jsonParsed');
+        const owners = withBalance.map((account, index) => tokenAccounts[index]?.data?.parsed?.info?.owner || null);
+        const uniqueOwners = [...new Set(owners.filter(Boolean))];
+        const ownerAccounts = new Map();
+        (await this.getAccounts(uniqueOwners, 'base64')).forEach((account, index) => ownerAccounts.set(uniqueOwners[index], account));
+
+        return withBalance.map((account, index) => {
+            const owner = owners[index];
+            const holder = { address: account.address, amount: Number(account.amount), owner, kind: 'wallet', venue: null, lpMint: null };
+            if (!owner) {
+                return holder;
+            }
+
+            if (BURN_ADDRESSES.has(owner)) {
+                holder.kind = 'burn';
+            } else if (POOL_AUTHORITIES[owner]) {
+                holder.kind = 'pool';
+                holder.venue = POOL_AUTHORITIES[owner];
+            } else {
+                const ownerAccount = ownerAccounts.get(owner);
+                const program = ownerAccount && LIQUIDITY_PROGRAMS[ownerAccount.owner];
+                if (program) {
+                    holder.kind = program.kind;
+                    holder.venue = program.name;
+                    if (program.lpMintOffset !== undefined && Array.isArray(ownerAccount.data)) {
+                        const data = Buffer.from(ownerAccount.data[0], 'base64');
+                        if (data.length >= program.lpMintOffset + 32) {
+                            holder.lpMint = encodeBase58(data.subarray(program.lpMintOffset, program.lpMintOffset + 32));
+                        }
+                    }
+                }
+            }
+            return holder;
+        });
+    }
+
+    // Estado del LP: burned (supply a cero o en direcciones de quema), locked (en programas de bloqueo) o unlocked
+    async checkLiquidityTokens(lpMint) {
+        const largest = await this.rpc('getTokenLargestAccounts', [lpMint]);
+        const holders = await this.classifyTokenAccounts(largest?.value || []);
+        const total = holders.reduce((sum, holder) => sum + holder.amount, 0);
+        if (total === 0) {
+            return { status: 'burned', walletShare: 0 };
+        }
+
+        const share = (kind) => holders.filter(holder => holder.kind === kind).reduce((sum, holder) => sum + holder.amount, 0) / total;
+        const burnedShare = share('burn');
+        const lockedShare = share('lock');
+        if (burnedShare + lockedShare >= this.options.lpSafeShare) {
+            return { status: lockedShare > burnedShare ? 'locked' : 'burned', walletShare: 0 };
+        }
+        return { status: 'unlocked', walletShare: share('wallet') };
+    }
+
+    async rpc(method, params) {
+        const response = await axios.post(this.getRpcUrl(), {
+            jsonrpc: '2.0',
+            id: `safety-${method}`,
+            method,
+            params
+        }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: this.options.requestTimeoutMs
+        });
+
+        if (response.data?.error) {
+            throw new Error(`${method}: ${response.data.error.message}`);
+        }
+        return response.data?.result;
+    }
+
+    // Varias llamadas getAccountInfo en una sola petición batch; null para cuentas inexistentes o con error
+    async getAccounts(addresses, encoding) {
+        if (addresses.length === 0) {
+            return [];
+        }
+
+        const response = await axios.post(this.getRpcUrl(), addresses.map((address, index) => ({
+            jsonrpc: '2.0',
+            id: index,
+            method: 'getAccountInfo',
+            params: [address, { encoding }]
+        })), {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: this.options.requestTimeoutMs
+        });
+
+        const byId = new Map((Array.isArray(response.data) ? response.data : []).map(entry => [entry.id, entry.result?.value || null]));
+        return addresses.map((address, index) => byId.get(index) || null);
+    }
+
+    // Olvidar resultados caducados
+    purgeExpired(now = Date.now()) {
+        this.cache.forEach((entry, mint) => {
+            if (entry.expiry <= now) {
+                this.cache.delete(mint);
+            }
+        });
+    }
+}
+
+module.exports = TokenSafety;
@@ -0,0 +1,132 @@
+// Watchlists compartidas: listas de wallets con nombre a las que otros chats se suscriben
+// Este módulo solo guarda los datos; el bot aplica los cambios a userWallets y al WebSocket.
+// Por cada suscriptor se recuerda qué wallets añadió la lista, para no quitar al salir
+// una wallet que el chat ya rastreaba por su cuenta.
+
+const crypto = require('crypto');
+const { createLogger } = require('./Logger');
+
+const watchlistLogger = createLogger('WATCHLISTS');
+
+const NAME_PATTERN = /^[\w-]{1,24}$/;
+
+class WatchlistManager {
+    constructor() {
+        this.lists = new Map(); // id -> { id, name, ownerId, wallets: Map(wallet -> label), subscribers: Map(chatId -> Set(wallets aportadas)), createdAt }
+    }
+
+    isValidName(name) {
+        return NAME_PATTERN.test(name || '');
+    }
+
+    generateId() {
+        let id;
+        do {
+            id = crypto.randomBytes(5).toString('hex');
+        } while (this.lists.has(id));
+        return id;
+    }
+
+    create(ownerId, name) {
+        const list = {
+            id: this.generateId(),
+            name,
+            ownerId,
+            wallets: new Map(),
+            subscribers: new Map(),
+            createdAt: new Date().toISOString()
+        };
+        this.lists.set(list.id, list);
+        watchlistLogger.info(`Chat ${ownerId} created watchlist "${name}" (${list.id})`);
+        return list;
+    }
+
+    delete(id) {
+        return this.lists.delete(id);
+    }
+
+    get(id) {
+        return this.lists.get(id) || null;
+    }
+
+    getOwned(chatId) {
+        return Array.from(this.lists.values()).filter(list => list.ownerId === chatId);
+    }
+
+    getSubscribed(chatId) {
+        return Array.from(this.lists.values()).filter(list => list.subscribers.has(chatId));
+    }
+
+    // Buscar por id o por nombre (sin distinguir mayúsculas) entre las listas propias y después las suscritas
+    resolve(chatId, ref) {
+        if (!ref) return null;
+        if (this.lists.has(ref)) return this.lists.get(ref);
+
+        const name = ref.toLowerCase();
+        return this.getOwned(chatId).find(list => list.name.toLowerCase() === name) ||
+               this.getSubscribed(chatId).find(list => list.name.toLowerCase() === name) ||
+               null;
+    }
+
+    subscribe(list, chatId) {
+        if (!list.subscribers.has(chatId)) {
+            list.subscribers.set(chatId, new Set());
+        }
+    }
+
+    // Devuelve las wallets que la lista había aportado al chat
+    unsubscribe(list, chatId) {
+        const provided = list.subscribers.get(chatId);
+        list.subscribers.delete(chatId);
+        return provided ? Array.from(provided) : [];
+    }
+
+    markProvided(list, chatId, wallet) {
+        list.subscribers.get(chatId)?.add(wallet);
+    }
+
+    unmarkProvided(list, chatId, wallet) {
+        return Boolean(list.subscribers.get(chatId)?.delete(wallet));
+    }
+
+    // ¿Alguna lista suscrita sigue aportando esta wallet al chat?
+    isProvided(chatId, wallet) {
+        return this.getSubscribed(chatId).some(list => list.subscribers.get(chatId).has(wallet));
+    }
+
+    // El chat pasa a rastrear la wallet por su cuenta (/track) o la deja (/untrack): ninguna lista la gestiona ya
+    detachWallet(chatId, wallet) {
+        this.getSubscribed(chatId).forEach(list => list.subscribers.get(chatId).delete(wallet));
+    }
+
+    serialize() {
+        const result = {};
+        this.lists.forEach((list, id) => {
+            result[id] = {
+                name: list.name,
+                ownerId: list.ownerId,
+                wallets: Object.fromEntries(list.wallets),
+                subscribers: Object.fromEntries(Array.from(list.subscribers.entries())
+                    .map(([chatId, provided]) => [chatId, Array.from(provided)])),
+                createdAt: list.createdAt
+            };
+        });
+        return result;
+    }
+
+    load(snapshot = {}) {
+        Object.entries(snapshot).forEach(([id, list]) => {
+            this.lists.set(id, {
+                id,
+                name: list.name,
+                ownerId: list.ownerId,
+                wallets: new Map(Object.entries(list.wallets || {})),
+                subscribers: new Map(Object.entries(list.subscribers || {})
+                    .map(([chatId, provided]) => [Number(chatId), new Set(provided)])),
+                createdAt: list.createdAt
+            });
+        });
+    }
+}
+
+module.exports = WatchlistManager;
@@ -1,6 +1,58 @@
 const WebSocket = require('ws');
 const axios = require('axios');
 const { websocketLogger, apiLogger, filterLogger } = require('./utils/Logger');
+const SubscriptionManager = require('./utils/SubscriptionManager');
+const { createPriceService } = require('./utils/PriceService');
+const TokenSafety = require('./utils/TokenSafety');
+
+// Mint de SOL nativo / wrapped SOL
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Activos de cotización: el que la wallet entrega o recibe define la dirección BUY/SELL.
+// SOL nativo y WSOL comparten el mint de wrapped SOL; las transferencias nativas se normalizan a él.
+const QUOTE_ASSETS = {
+    [SOL_MINT]: { symbol: 'SOL', decimals: 9, minAmount: 0.001, isStable: false },
+    'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': { symbol: 'USDC', decimals: 6, minAmount: 0.1, isStable: true },
+    'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB': { symbol: 'USDT', decimals: 6, minAmount: 0.1, isStable: true }
+};
+
+// Categorías de eventos notificables según el tipo de transacción de Helius.
+// Cada usuario elige cuáles recibe (/events); los swaps están activos por defecto.
+const EVENT_CATEGORIES = {
+    swaps: ['SWAP'],
+    transfers: ['TRANSFER'],
+    nfts: ['NFT_SALE', 'NFT_MINT', 'COMPRESSED_NFT_MINT'],
+    liquidity: ['ADD_LIQUIDITY', 'WITHDRAW_LIQUIDITY'],
+    staking: ['STAKE_SOL', 'UNSTAKE_SOL', 'INIT_STAKE', 'WITHDRAW_STAKE', 'MERGE_STAKE', 'SPLIT_STAKE', 'STAKE_TOKEN', 'UNSTAKE_TOKEN', 'CLAIM_REWARDS'],
+    mints: ['TOKEN_MINT'],
+    burns: ['BURN', 'BURN_NFT']
+};
+
+// Modos de suscripción: 'logs' (logsSubscribe por wallet + Enhanced API) o
+// 'transaction' (transactionSubscribe de Helius, una sola suscripción con la transacción completa)
+const SUBSCRIPTION_MODES = ['logs', 'transaction'];
+
+// Niveles de commitment de Solana, del más rápido al más seguro
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// Programas de stake y tipos de instrucción parseada para clasificar transacciones crudas
+const STAKE_PROGRAM = 'Stake11111111111111111111111111111111111111';
+const PARSED_INSTRUCTION_TYPES = {
+    burn: 'BURN',
+    burnChecked: 'BURN',
+    mintTo: 'TOKEN_MINT',
+    mintToChecked: 'TOKEN_MINT',
+    transfer: 'TRANSFER',
+    transferChecked: 'TRANSFER'
+};
+const STAKE_INSTRUCTION_TYPES = {
+    initialize: 'INIT_STAKE',
+    delegate: 'STAKE_SOL',
+    deactivate: 'UNSTAKE_SOL',
+    withdraw: 'WITHDRAW_STAKE',
+    merge: 'MERGE_STAKE',
+    split: 'SPLIT_STAKE'
+};
 
 // Programas conocidos de Solana que NO son mint addresses
 const knownPrograms = [
@@ -11,13 +63,26 @@ const knownPrograms = [
     'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'   // Token 2022 Program
 ];
 
+// Listas de reglas editables por los administradores (/admin filter): tipo de regla → propiedad
+const FILTER_RULE_LISTS = {
+    token: 'blacklistedTokens',           // símbolo exacto (sin distinguir mayúsculas)
+    mint: 'blacklistedMints',             // mint exacto: tokens spam y airdrops de estafa
+    wallet: 'blacklistedWalletNames',     // nombres de wallet genéricos (contiene)
+    type: 'blacklistedTransactionTypes'   // tipo interno o tipo de Helius (sin distinguir mayúsculas)
+};
+
+// Símbolos de fábrica: ruido para swaps, pero válidos en transferencias o staking (p. ej. SOL)
+const DEFAULT_BLACKLISTED_TOKENS = [
+    'Unknown', 'N/A', '', '?', '-', 'UNK', 'UNKNOWN',
+    'SOL', 'WSOL', 'wSOL', 'cwSOL', 'cSOL', 'stSOL', 'mSOL', 'jitoSOL', 'bSOL'
+];
+
 // Filtros inteligentes para transacciones
 class TransactionFilters {
     constructor() {
-        this.blacklistedTokens = [
-            'Unknown', 'N/A', '', '?', '-', 'UNK', 'UNKNOWN',
-            'SOL', 'WSOL', 'wSOL', 'cwSOL', 'cSOL', 'stSOL', 'mSOL', 'jitoSOL', 'bSOL'
-        ];
+        this.blacklistedTokens = [...DEFAULT_BLACKLISTED_TOKENS];
+        
+        this.blacklistedMints = [];
         
         this.blacklistedWalletNames = [
             'Activity', 'Activity...', 'Activity Detected', 'Transaction Detected',
@@ -29,43 +94,103 @@ class TransactionFilters {
         ];
     }
     
+    // Registrar el bloqueo con la regla que lo causó y descartar la transacción
+    block(transactionData, rule, value) {
+        const signature = transactionData?.signature ? transactionData.signature.substring(0, 8) + '...' : 'unknown';
+        filterLogger.info(`Blocked ${signature}: ${rule} rule "${value}"`);
+        return false;
+    }
+    
+    // Mints bloqueados presentes en la transacción (token principal y patas del swap)
+    findBlacklistedMint(transactionData) {
+        const mints = [
+            transactionData.mintAddress,
+            transactionData.inputLeg?.mint,
+            transactionData.outputLeg?.mint,
+            ...(transactionData.sentLegs || []).map(leg => leg.mint),
+            ...(transactionData.receivedLegs || []).map(leg => leg.mint)
+        ].filter(Boolean);
+        return mints.find(mint => this.blacklistedMints.includes(mint)) || null;
+    }
+    
     shouldShowTransaction(transactionData) {
         if (!transactionData || typeof transactionData !== 'object') {
             return false;
         }
         
-        // PRIORIZAR tokens que NO sean SOL - estos son los memecoins que queremos
-        if (transactionData.token && transactionData.token !== 'SOL' && transactionData.token !== 'WSOL') {
-            if (transactionData.token.length >= 2 && !this.isTokenBlacklisted(transactionData.token)) {
-                return true; // Permitir inmediatamente memecoins válidos
-            }
+        // Los mints bloqueados por un administrador nunca pasan
+        const blockedMint = this.findBlacklistedMint(transactionData);
+        if (blockedMint) {
+            return this.block(transactionData, 'mint', blockedMint);
         }
         
         // Filtrar tokens en blacklist
         if (this.isTokenBlacklisted(transactionData.token)) {
-            return false;
+            return this.block(transactionData, 'token', transactionData.token || '(empty)');
         }
         
         // Filtrar nombres de wallet genéricos
-        if (this.isWalletNameBlacklisted(transactionData.wallet)) {
-            return false;
+        const walletRule = this.findWalletNameRule(transactionData.wallet);
+        if (walletRule) {
+            return this.block(transactionData, 'wallet', walletRule);
         }
         
         // Filtrar tipos de transacción inútiles
-        if (this.isTransactionTypeBlacklisted(transactionData.type)) {
-            return false;
+        const typeRule = this.findTransactionTypeRule(transactionData);
+        if (typeRule) {
+            return this.block(transactionData, 'type', typeRule);
+        }
+        
+        // PRIORIZAR tokens que NO sean SOL - estos son los memecoins que queremos
+        // (después de todas las reglas de los administradores, que también deben poder bloquearlos)
+        if (transactionData.token && transactionData.token !== 'SOL' && transactionData.token !== 'WSOL' && transactionData.token.length >= 2) {
+            return true;
         }
         
         // Verificar longitud mínima del token
         if (!this.hasValidTokenLength(transactionData.token)) {
-            return false;
+            return this.block(transactionData, 'built-in', 'token symbol shorter than 2 characters');
         }
         
         // Para transacciones enhanced, verificar mint address
         if (transactionData.type === 'enhanced_transaction' && !transactionData.mintAddress) {
+            return this.block(transactionData, 'built-in', 'missing mint address');
+        }
+        
+        return true;
+    }
+    
+    // Eventos que no son swaps (transfers, NFTs, staking...): el token puede ser SOL, solo filtrar ruido
+    shouldShowActivity(transactionData) {
+        if (!transactionData || !transactionData.signature || !transactionData.wallet) {
             return false;
         }
         
+        const blockedMint = this.findBlacklistedMint(transactionData);
+        if (blockedMint) {
+            return this.block(transactionData, 'mint', blockedMint);
+        }
+        
+        // Solo las reglas de token añadidas por un administrador (airdrops de estafa, spam)
+        const token = transactionData.token;
+        if (token && this.isTokenBlacklisted(token) && !DEFAULT_BLACKLISTED_TOKENS.some(rule => rule.toUpperCase() === token.toUpperCase())) {
+            return this.block(transactionData, 'token', token);
+        }
+        
+        const walletRule = this.findWalletNameRule(transactionData.wallet);
+        if (walletRule) {
+            return this.block(transactionData, 'wallet', walletRule);
+        }
+        
+        const typeRule = this.findTransactionTypeRule(transactionData);
+        if (typeRule) {
+            return this.block(transactionData, 'type', typeRule);
+        }
+        
+        if (!transactionData.mintAddress && !transactionData.nft) {
+            return this.block(transactionData, 'built-in', 'no token or NFT moved');
+        }
+        
         return true;
     }
     
@@ -77,17 +202,22 @@ class TransactionFilters {
         );
     }
     
-    isWalletNameBlacklisted(walletName) {
-        if (!walletName) return false;
+    findWalletNameRule(walletName) {
+        if (!walletName) return null;
         const normalizedName = walletName.toString().trim();
-        return this.blacklistedWalletNames.some(blacklisted =>
+        return this.blacklistedWalletNames.find(blacklisted =>
             normalizedName.includes(blacklisted)
-        );
+        ) || null;
     }
     
-    isTransactionTypeBlacklisted(type) {
-        if (!type) return false;
-        return this.blacklistedTransactionTypes.includes(type);
+    // Se compara con el tipo interno y con el tipo de Helius del evento
+    findTransactionTypeRule(transactionData) {
+        const types = [transactionData.type, transactionData.eventType]
+            .filter(Boolean)
+            .map(type => type.toLowerCase());
+        return this.blacklistedTransactionTypes.find(blacklisted =>
+            types.includes(blacklisted.toLowerCase())
+        ) || null;
     }
     
     hasValidTokenLength(token) {
@@ -95,6 +225,57 @@ class TransactionFilters {
         const cleanToken = token.toString().trim();
         return cleanToken.length >= 2;
     }
+    
+    // ========== REGLAS EDITABLES ==========
+    
+    getRules(kind) {
+        return [...this[FILTER_RULE_LISTS[kind]]];
+    }
+    
+    // Los mints son base58 y distinguen mayúsculas; el resto de reglas no
+    isSameRule(kind, rule, value) {
+        return kind === 'mint' ? rule === value : rule.toLowerCase() === value.toLowerCase();
+    }
+    
+    hasRule(kind, value) {
+        return this[FILTER_RULE_LISTS[kind]].some(rule => this.isSameRule(kind, rule, value));
+    }
+    
+    // Devuelve false si la regla ya existía
+    addRule(kind, value) {
+        if (this.hasRule(kind, value)) return false;
+        this[FILTER_RULE_LISTS[kind]].push(value);
+        filterLogger.info(`Rule added: ${kind} "${value}"`);
+        return true;
+    }
+    
+    // Devuelve false si la regla no existía
+    removeRule(kind, value) {
+        const list = this[FILTER_RULE_LISTS[kind]];
+        const index = list.findIndex(rule => this.isSameRule(kind, rule, value));
+        if (index === -1) return false;
+        list.splice(index, 1);
+        filterLogger.info(`Rule removed: ${kind} "${value}"`);
+        return true;
+    }
+    
+    // { token: [...], mint: [...], wallet: [...], type: [...] } para el almacenamiento
+    exportRules() {
+        const rules = {};
+        Object.keys(FILTER_RULE_LISTS).forEach(kind => {
+            rules[kind] = this.getRules(kind);
+        });
+        return rules;
+    }
+    
+    // Las listas guardadas sustituyen a las de fábrica (un administrador puede haber quitado alguna)
+    importRules(rules = {}) {
+        Object.entries(rules).forEach(([kind, values]) => {
+            if (FILTER_RULE_LISTS[kind] && Array.isArray(values)) {
+                this[FILTER_RULE_LISTS[kind]] = [...values];
+            }
+        });
+    }
 }
 
 class HeliusWebSocketBackend {
@@ -120,10 +301,37 @@ class HeliusWebSocketBackend {
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
         
+        // Suscripciones: ids únicos por petición y subscriptionId → wallets
+        this.subscriptionManager = new SubscriptionManager();
+        this.subscriptionMode = SUBSCRIPTION_MODES.includes(process.env.HELIUS_SUBSCRIPTION_MODE)
+            ? process.env.HELIUS_SUBSCRIPTION_MODE
+            : 'logs';
+        
+        // Commitment por wallet (el bot aplica el más rápido que pida alguno de sus usuarios)
+        this.defaultCommitment = 'confirmed';
+        this.walletCommitments = new Map(); // wallet -> processed | confirmed | finalized
+        
+        // Seguimiento de finalidad de alertas enviadas antes de 'finalized'
+        this.pendingFinality = new Map(); // signature -> { since }
+        this.finalityTimer = null; // setTimeout encadenado: un sondeo no empieza hasta que termina el anterior
+        this.FINALITY_POLL_MS = 4000;
+        this.FINALITY_TIMEOUT_MS = 120000; // el blockhash expira en ~60-90s; pasado esto se da por descartada
+        this.onTransactionStatus = null;
+        
         // Cache para información de tokens
         this.tokenInfoCache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutos
         
+        // Precios USD (Jupiter, Birdeye o mock según PRICE_PROVIDER); caché purgada junto a tokenInfoCache
+        this.priceCache = new Map();
+        this.priceService = createPriceService(undefined, this.priceCache);
+        
+        // Chequeo de riesgo de tokens (autoridades, holders, LP) con el mismo endpoint que getAssetBatch
+        this.tokenSafety = new TokenSafety(() => {
+            this.rotateApiKeyByUsage();
+            return `https://mainnet.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
+        });
+        
         // Rate limiting - Respeta límites de Helius
         this.enhancedTransactionQueue = [];
         this.assetBatchQueue = [];
@@ -131,6 +339,17 @@ class HeliusWebSocketBackend {
         this.lastAssetBatchCall = 0;
         this.rateLimitDelay = 1200; // 1.2 segundos
         
+        // Historial (/history): firmas por página y páginas máximas por consulta
+        this.HISTORY_PAGE_SIZE = 100;
+        this.HISTORY_MAX_PAGES = 5;
+        
+        // Edad de tokens: primera firma del mint, buscada hacia atrás solo dentro de la ventana de "token nuevo"
+        this.tokenCreationCache = new Map(); // mint -> { createdAt, exact, expiry }
+        this.pendingTokenCreation = new Map(); // mint -> Promise
+        this.TOKEN_AGE_WINDOW_MS = 60 * 60 * 1000;
+        this.TOKEN_AGE_PAGE_SIZE = 1000;
+        this.TOKEN_AGE_MAX_PAGES = 3;
+        
         // Filtros de transacciones
         this.filters = new TransactionFilters();
         
@@ -140,6 +359,7 @@ class HeliusWebSocketBackend {
         websocketLogger.success('Veyra Labs Bot initialized', {
             network: this.network,
             apiKeys: this.heliusApiKeys.length,
+            subscriptionMode: this.subscriptionMode,
             rotationInterval: `${this.keyRotationInterval / 1000 / 60}min`,
             maxCallsPerRotation: this.maxCallsPerRotation
         });
@@ -196,15 +416,7 @@ class HeliusWebSocketBackend {
     }
     
     reconnectWithNewApiKey() {
-        websocketLogger.info('Reconnecting WebSocket with new API key');
-        
-        if (this.websocket) {
-            this.websocket.close(1000, 'API key rotation');
-        }
-        
-        setTimeout(() => {
-            this.connect();
-        }, 1000);
+        this.restartConnection('API key rotation');
     }
     
     // ========== CACHE MANAGEMENT ==========
@@ -226,14 +438,35 @@ class HeliusWebSocketBackend {
             }
         }
         
+        for (const [key, value] of this.tokenCreationCache.entries()) {
+            if (value.expiry < now) {
+                this.tokenCreationCache.delete(key);
+                purgedCount++;
+            }
+        }
+        
+        for (const [key, value] of this.priceCache.entries()) {
+            if (value.expiry && value.expiry < now) {
+                this.priceCache.delete(key);
+                purgedCount++;
+            }
+        }
+        
+        this.tokenSafety.purgeExpired(now);
+        
         // Cache cleanup silently
     }
     
     // ========== ENHANCED TRANSACTIONS API ==========
     
-    async getEnhancedTransaction(signature) {
-        return new Promise((resolve) => {
-            this.enhancedTransactionQueue.push({ signature, resolve });
+    async getEnhancedTransaction(signature, commitment = 'finalized') {
+        return this.enqueueEnhancedCall(() => this.fetchEnhancedTransactionDirect(signature, commitment));
+    }
+    
+    // Toda llamada a /v0/transactions pasa por la misma cola, separada rateLimitDelay de la anterior
+    enqueueEnhancedCall(task) {
+        return new Promise((resolve, reject) => {
+            this.enhancedTransactionQueue.push({ task, resolve, reject });
             this.processEnhancedTransactionQueue();
         });
     }
@@ -249,20 +482,25 @@ class HeliusWebSocketBackend {
             return;
         }
         
-        const { signature, resolve } = this.enhancedTransactionQueue.shift();
+        const { task, resolve, reject } = this.enhancedTransactionQueue.shift();
         this.lastEnhancedCall = Date.now();
         
-        const result = await this.fetchEnhancedTransactionDirect(signature);
-        resolve(result);
+        try {
+            resolve(await task());
+        } catch (error) {
+            reject(error);
+        }
         
         if (this.enhancedTransactionQueue.length > 0) {
             setTimeout(() => this.processEnhancedTransactionQueue(), this.rateLimitDelay);
         }
     }
     
-    async fetchEnhancedTransactionDirect(signature) {
+    async fetchEnhancedTransactionDirect(signature, commitment = 'finalized') {
         this.rotateApiKeyByUsage();
-        const apiUrl = `https://api.helius.xyz/v0/transactions?api-key=${this.getCurrentApiKey()}`;
+        // La Enhanced API solo acepta confirmed o finalized (por defecto finalized)
+        const apiCommitment = commitment === 'finalized' ? 'finalized' : 'confirmed';
+        const apiUrl = `https://api.helius.xyz/v0/transactions?api-key=${this.getCurrentApiKey()}&commitment=${apiCommitment}`;
         
         const requestBody = {
             transactions: [signature]
@@ -289,6 +527,192 @@ class HeliusWebSocketBackend {
         }
     }
     
+    // Varias firmas en una sola llamada (la Enhanced API acepta hasta 100); conserva el orden recibido.
+    // Los errores llegan al llamador para que no se confundan con un historial vacío
+    async fetchEnhancedTransactionsBatch(signatures) {
+        return this.enqueueEnhancedCall(async () => {
+            this.rotateApiKeyByUsage();
+            const apiUrl = `https://api.helius.xyz/v0/transactions?api-key=${this.getCurrentApiKey()}`;
+            
+            try {
+                const response = await axios.post(apiUrl, { transactions: signatures }, {
+                    headers: { 'Content-Type': 'application/json' },
+                    timeout: 20000
+                });
+                
+                apiLogger.debug(`Enhanced TX batch fetched: ${(response.data || []).length}/${signatures.length}`);
+                return Array.isArray(response.data) ? response.data : [];
+            } catch (error) {
+                apiLogger.error(`Error fetching enhanced transaction batch: ${error.message}`);
+                throw error;
+            }
+        });
+    }
+    
+    // ========== WALLET HISTORY ==========
+    
+    async fetchSignaturesForAddress(walletAddress, before = null, limit = this.HISTORY_PAGE_SIZE) {
+        this.rotateApiKeyByUsage();
+        const rpcUrl = `https://${this.network}.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
+        const options = { limit };
+        if (before) {
+            options.before = before;
+        }
+        
+        try {
+            const response = await axios.post(rpcUrl, {
+                jsonrpc: '2.0',
+                id: 'history',
+                method: 'getSignaturesForAddress',
+                params: [walletAddress, options]
+            }, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+            
+            if (response.data?.error) {
+                throw new Error(response.data.error.message || 'RPC error');
+            }
+            return response.data?.result || [];
+        } catch (error) {
+            apiLogger.error(`Error fetching signatures for ${walletAddress.substring(0, 8)}...: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    // Mints (sin activos de cotización) movidos por la wallet en sus últimos `count` swaps. Versión ligera del
+    // historial para sembrar el índice de primeras compras: sin parser, símbolos ni precios, así no ocupa la
+    // cola de metadata que usan las alertas en vivo
+    async getWalletTradedMints(walletAddress, count = 100) {
+        const mints = new Set();
+        let swaps = 0;
+        let before = null;
+        
+        for (let page = 0; page < this.HISTORY_MAX_PAGES && swaps < count; page++) {
+            const signatures = await this.fetchSignaturesForAddress(walletAddress, before);
+            if (signatures.length === 0) break;
+            before = signatures[signatures.length - 1].signature;
+            
+            const successful = signatures.filter(entry => !entry.err).map(entry => entry.signature);
+            const enhancedTxs = successful.length > 0 ? await this.fetchEnhancedTransactionsBatch(successful) : [];
+            
+            for (const enhancedTx of enhancedTxs) {
+                if (swaps >= count) break;
+                if (!enhancedTx || this.getEventCategory(enhancedTx) !== 'swaps') continue;
+                swaps++;
+                
+                (enhancedTx.tokenTransfers || []).forEach(transfer => {
+                    if (transfer.fromUserAccount === walletAddress || transfer.toUserAccount === walletAddress) {
+                        mints.add(transfer.mint);
+                    }
+                });
+                (enhancedTx.accountData || []).forEach(account => {
+                    (account.tokenBalanceChanges || []).forEach(change => {
+                        if (change.userAccount === walletAddress) {
+                            mints.add(change.mint);
+                        }
+                    });
+                });
+            }
+            
+            if (signatures.length < this.HISTORY_PAGE_SIZE) break;
+        }
+        
+        const traded = Array.from(mints).filter(mint => mint && !this.getQuoteAsset(mint));
+        websocketLogger.info(`Traded mints for ${walletAddress.substring(0, 8)}...: ${traded.length} from ${swaps} swap(s)`);
+        return traded;
+    }
+    
+    // Últimos `count` swaps de una wallet (más recientes primero), analizados con el mismo parser que las alertas.
+    // Pagina getSignaturesForAddress hasta HISTORY_MAX_PAGES para saltar transferencias, votos, etc.
+    async getWalletHistory(walletAddress, count = 10) {
+        const trades = [];
+        let before = null;
+        
+        for (let page = 0; page < this.HISTORY_MAX_PAGES && trades.length < count; page++) {
+            const signatures = await this.fetchSignaturesForAddress(walletAddress, before);
+            if (signatures.length === 0) break;
+            before = signatures[signatures.length - 1].signature;
+            
+            const successful = signatures.filter(entry => !entry.err).map(entry => entry.signature);
+            const enhancedTxs = successful.length > 0 ? await this.fetchEnhancedTransactionsBatch(successful) : [];
+            
+            for (const enhancedTx of enhancedTxs) {
+                if (trades.length >= count) break;
+                if (!enhancedTx || this.getEventCategory(enhancedTx) !== 'swaps') continue;
+                
+                const trade = await this.parseEnhancedTransaction(enhancedTx, enhancedTx.signature, walletAddress, 'finalized', { priced: false });
+                if (trade && trade.eventCategory === 'swaps') {
+                    trades.push(trade);
+                }
+            }
+            
+            if (signatures.length < this.HISTORY_PAGE_SIZE) break;
+        }
+        
+        websocketLogger.info(`History for ${walletAddress.substring(0, 8)}...: ${trades.length} trade(s)`);
+        return trades;
+    }
+    
+    // ========== EDAD DE TOKENS ==========
+    
+    // Creación de un mint: { createdAt, exact }. El metadata de DAS no trae fecha de creación, así que se usa
+    // el blockTime de la primera firma del mint. Si la búsqueda se corta antes (ventana o páginas agotadas),
+    // createdAt es solo una cota: el token es al menos así de antiguo (exact: false)
+    async getTokenCreation(mint) {
+        const cached = this.getCachedTokenCreation(mint);
+        if (cached) {
+            return cached;
+        }
+        
+        if (!this.pendingTokenCreation.has(mint)) {
+            const request = this.fetchTokenCreation(mint)
+                .catch(error => {
+                    websocketLogger.warn(`Could not fetch creation time of ${mint.substring(0, 8)}...: ${error.message}`);
+                    return null;
+                })
+                .then(result => {
+                    this.pendingTokenCreation.delete(mint);
+                    if (result) {
+                        // La fecha exacta no cambia; una cota se recalcula pronto porque el token sigue envejeciendo
+                        result.expiry = Date.now() + (result.exact ? 24 * 60 * 60 * 1000 : 5 * 60 * 1000);
+                        this.tokenCreationCache.set(mint, result);
+                    }
+                    return result;
+                });
+            this.pendingTokenCreation.set(mint, request);
+        }
+        return this.pendingTokenCreation.get(mint);
+    }
+    
+    // Creación ya en caché sin lanzar la búsqueda (undefined si hay que buscarla)
+    getCachedTokenCreation(mint) {
+        const cached = this.tokenCreationCache.get(mint);
+        return cached && cached.expiry > Date.now() ? cached : undefined;
+    }
+    
+    async fetchTokenCreation(mint) {
+        let before = null;
+        let oldest = null;
+        
+        for (let page = 0; page < this.TOKEN_AGE_MAX_PAGES; page++) {
+            const signatures = await this.fetchSignaturesForAddress(mint, before, this.TOKEN_AGE_PAGE_SIZE);
+            if (signatures.length === 0) break;
+            
+            const last = signatures[signatures.length - 1];
+            if (last.blockTime) {
+                oldest = last.blockTime * 1000;
+            }
+            if (signatures.length < this.TOKEN_AGE_PAGE_SIZE) {
+                return oldest ? { createdAt: oldest, exact: true } : null;
+            }
+            if (oldest && Date.now() - oldest > this.TOKEN_AGE_WINDOW_MS) break;
+            before = last.signature;
+        }
+        
+        return oldest ? { createdAt: oldest, exact: false } : null;
+    }
+    
     // ========== ASSET BATCH API ==========
     
     async getAssetInfo(mintAddresses) {
@@ -362,6 +786,7 @@ class HeliusWebSocketBackend {
                         const tokenInfo = {
                             symbol: asset.content.metadata?.symbol || 'N/A',
                             image: asset.content.links?.image || null,
+                            decimals: typeof asset.token_info?.decimals === 'number' ? asset.token_info.decimals : null,
                             expiry: Date.now() + this.cacheExpiry
                         };
                         this.tokenInfoCache.set(asset.id, tokenInfo);
@@ -384,35 +809,6 @@ class HeliusWebSocketBackend {
     
     // ========== TRANSACTION PROCESSING ==========
     
-    extractMintAddresses(enhancedTx) {
-        const mintAddresses = new Set();
-        
-        try {
-            if (enhancedTx.tokenTransfers) {
-                enhancedTx.tokenTransfers.forEach(transfer => {
-                    if (transfer.mint) {
-                        mintAddresses.add(transfer.mint);
-                    }
-                });
-            }
-            
-            if (enhancedTx.accountData) {
-                enhancedTx.accountData.forEach(account => {
-                    if (account.mint) {
-                        mintAddresses.add(account.mint);
-                    }
-                });
-            }
-            
-            const result = Array.from(mintAddresses);
-            console.log('🎯 Extracted mint addresses:', result.length);
-            return result;
-        } catch (error) {
-            console.error('❌ Error extracting mint addresses:', error);
-            return [];
-        }
-    }
-    
     // 🎯 FUNCIÓN MEJORADA: Extraer cantidades SOL y tokens con logging detallado (Chrome Extension Logic)
     extractTokenAmounts(enhancedTx) {
         const tokenAmounts = [];
@@ -425,17 +821,10 @@ class HeliusWebSocketBackend {
             if (enhancedTx.tokenTransfers && enhancedTx.tokenTransfers.length > 0) {
                 enhancedTx.tokenTransfers.forEach((transfer, index) => {
                     // Verificar si es SOL
-                    const isSOLTransfer = transfer.mint === 'So11111111111111111111111111111111111111112';
+                    const isSOLTransfer = transfer.mint === SOL_MINT;
                     
                     if (transfer.tokenAmount && transfer.tokenAmount !== '0') {
-                        // Determinar BUY/SELL usando lógica del Chrome Extension
-                        const isBuy = this.determineBuySell(transfer, enhancedTx);
-                        let tradeType = isBuy ? 'BUY' : 'SELL';
-                        
-                        // Corrección crítica para SOL
-                        if (isSOLTransfer) {
-                            tradeType = isBuy ? 'SELL' : 'BUY'; // Invertir la lógica para SOL
-                        }
+                        // La dirección del trade la decide classifyTrade con el cambio neto de balances
                         
                         // Formatear amount
                         const humanAmount = this.formatTokenAmount(transfer.tokenAmount, transfer.tokenStandard || 9);
@@ -463,7 +852,6 @@ class HeliusWebSocketBackend {
                             rawAmount: transfer.tokenAmount,
                             humanAmount: humanAmount,
                             solAmount: solAmount, // 🎯 VALOR SOL CALCULADO
-                            type: tradeType,
                             isSOL: isSOLTransfer, // 🎯 FLAG SOL
                             fromUserAccount: transfer.fromUserAccount,
                             toUserAccount: transfer.toUserAccount
@@ -501,11 +889,10 @@ class HeliusWebSocketBackend {
                     
                     if (amount !== 0) {
                         tokenAmounts.push({
-                            mint: 'So11111111111111111111111111111111111111112', // SOL mint
+                            mint: SOL_MINT, // SOL mint
                             rawAmount: amount,
                             humanAmount: this.formatSOLAmountDirect(solAmount),
                             solAmount: solAmount,
-                            type: amount > 0 ? 'BUY' : 'SELL',
                             isSOL: true,
                             fromUserAccount: transfer.fromUserAccount,
                             toUserAccount: transfer.toUserAccount
@@ -580,6 +967,26 @@ class HeliusWebSocketBackend {
         }
     }
     
+    // Formato compacto sin sufijo: 1.2M, 840K, 12.5, 0.00123
+    formatCompactAmount(amount) {
+        const value = Number(amount);
+        if (!isFinite(value)) {
+            return 'N/A';
+        }
+        
+        const absValue = Math.abs(value);
+        if (absValue >= 1000000000) {
+            return (value / 1000000000).toLocaleString('en-US', { maximumFractionDigits: 2 }) + 'B';
+        } else if (absValue >= 1000000) {
+            return (value / 1000000).toLocaleString('en-US', { maximumFractionDigits: 2 }) + 'M';
+        } else if (absValue >= 1000) {
+            return (value / 1000).toLocaleString('en-US', { maximumFractionDigits: 2 }) + 'K';
+        } else if (absValue >= 1) {
+            return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+        }
+        return value.toLocaleString('en-US', { maximumSignificantDigits: 3 });
+    }
+    
     // Helper function para formatear cantidades con unidades
     formatAmountWithUnits(decimalAmount) {
         if (decimalAmount >= 1000000000) {
@@ -638,85 +1045,563 @@ class HeliusWebSocketBackend {
         }
     }
 
-    // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Determinar si es compra o venta
-    determineBuySell(transfer, enhancedTx) {
-        const trackedWallets = Array.from(this.trackedWallets);
+    // Precio en USD: 2 decimales desde $1, 4 cifras significativas por debajo (precios de memecoins)
+    formatUsdAmount(usdAmount) {
+        const value = Number(usdAmount);
+        if (!isFinite(value)) {
+            return 'N/A';
+        }
         
-        const isReceiving = trackedWallets.some(wallet => 
-            transfer.toUserAccount === wallet ||
-            transfer.toUserAccount?.includes(wallet)
-        );
+        if (Math.abs(value) >= 1) {
+            return '$' + value.toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 2 });
+        }
+        return '$' + value.toLocaleString('en-US', { maximumSignificantDigits: 4 });
+    }
+    
+    // ========== USD PRICING ==========
+    
+    // Añade solPriceUsd, usdValue, tokenPriceUsd (implícito en el trade) y marketPriceUsd al swap.
+    // El valor se toma de la contrapartida (SOL/USDC/USDT) y, si no tiene precio, del token principal.
+    async attachUsdValues(transactionData, primaryLeg, counterLeg) {
+        try {
+            const prices = await this.priceService.getPrices([SOL_MINT, primaryLeg.mint, counterLeg.mint]);
+            const counterQuote = this.getQuoteAsset(counterLeg.mint);
+            const counterPrice = prices.has(counterLeg.mint)
+                ? prices.get(counterLeg.mint)
+                : (counterQuote && counterQuote.isStable ? 1 : null);
+            const marketPrice = prices.has(primaryLeg.mint) ? prices.get(primaryLeg.mint) : null;
+            
+            let usdValue = null;
+            if (counterPrice !== null) {
+                usdValue = counterLeg.amount * counterPrice;
+            } else if (marketPrice !== null) {
+                usdValue = primaryLeg.amount * marketPrice;
+            }
+            
+            transactionData.solPriceUsd = prices.has(SOL_MINT) ? prices.get(SOL_MINT) : null;
+            transactionData.usdValue = usdValue;
+            transactionData.tokenPriceUsd = usdValue !== null && primaryLeg.amount > 0 ? usdValue / primaryLeg.amount : marketPrice;
+            transactionData.marketPriceUsd = marketPrice;
+            transactionData.priceProvider = this.priceService.provider.name;
+        } catch (error) {
+            websocketLogger.warn(`Could not price ${transactionData.signature.substring(0, 8)}...: ${error.message}`);
+        }
+    }
+    
+    // ========== SWAP DECODING ==========
+    
+    // Cambio neto de la wallet por mint a partir de accountData (nativeBalanceChange + tokenBalanceChanges).
+    // SOL incluye las cuentas de token de la wallet (WSOL temporal, rent de ATAs) y descuenta la fee.
+    // Devuelve null si la transacción no trae accountData.
+    computeNetBalanceChanges(enhancedTx, wallet) {
+        const accountData = enhancedTx.accountData;
+        if (!Array.isArray(accountData) || accountData.length === 0) {
+            return null;
+        }
         
-        const isSending = trackedWallets.some(wallet => 
-            transfer.fromUserAccount === wallet ||
-            transfer.fromUserAccount?.includes(wallet)
+        const tokenChanges = accountData.flatMap(account => account.tokenBalanceChanges || []);
+        const walletTokenAccounts = new Set(
+            tokenChanges.filter(change => change.userAccount === wallet).map(change => change.tokenAccount)
         );
         
-        // Si está recibiendo tokens, es una compra
-        if (isReceiving && !isSending) return true;
-        // Si está enviando tokens, es una venta
-        if (isSending && !isReceiving) return false;
-        
-        // Si está tanto enviando como recibiendo (swap interno), determinar por tipo de transacción
-        if (isSending && isReceiving) {
-            // Para swaps, verificar el tipo de transacción
-            if (enhancedTx.type === 'SWAP') {
-                // En un swap, si el token que estamos viendo sale de la wallet, es venta
-                return !isSending;
+        // SOL: wallet + sus cuentas de token (así el WSOL envuelto y desenvuelto se compensa)
+        let lamports = 0;
+        accountData.forEach(account => {
+            if (account.account === wallet || walletTokenAccounts.has(account.account)) {
+                lamports += Number(account.nativeBalanceChange || 0);
             }
+        });
+        if (enhancedTx.feePayer === wallet) {
+            lamports += Number(enhancedTx.fee || 0);
         }
         
-        // Fallback: si no podemos determinar, asumir que es compra
-        return true;
+        const changes = new Map();
+        if (lamports !== 0) {
+            changes.set(SOL_MINT, { delta: lamports / 1000000000, decimals: 9 });
+        }
+        
+        // Tokens SPL (el WSOL ya está contado en los lamports de su cuenta)
+        tokenChanges.forEach(change => {
+            if (change.userAccount !== wallet || !change.mint || change.mint === SOL_MINT || !change.rawTokenAmount) {
+                return;
+            }
+            
+            const decimals = Number(change.rawTokenAmount.decimals) || 0;
+            const delta = Number(change.rawTokenAmount.tokenAmount) / Math.pow(10, decimals);
+            const current = changes.get(change.mint) || { delta: 0, decimals };
+            current.delta += delta;
+            changes.set(change.mint, current);
+        });
+        
+        return changes;
     }
-
-    // 🎯 FUNCIÓN EXACTA DEL CHROME EXTENSION: Determinar BUY/SELL para transferencias nativas (SOL)
-    determineBuySellNative(nativeTransfer, enhancedTx) {
-        const trackedWallets = Array.from(this.trackedWallets);
+    
+    // Clasificar el trade de la wallet por sus deltas netos: BUY, SELL, SWAP, TRANSFER o UNKNOWN.
+    // Nunca asume BUY: si solo se mueve un lado es TRANSFER y si no se mueve nada es UNKNOWN.
+    classifyTrade(enhancedTx, wallet, tokenAmounts = null) {
+        const changes = this.computeNetBalanceChanges(enhancedTx, wallet);
+        
+        // Sin accountData: reconstruir las patas desde el evento de swap o las transferencias
+        if (changes === null) {
+            const legs = this.decodeSwapLegs(enhancedTx, wallet, tokenAmounts);
+            return legs
+                ? { side: this.sideFromLegs(legs), legs, source: 'transfers' }
+                : { side: 'UNKNOWN', legs: null, source: 'transfers' };
+        }
         
-        const isReceiving = trackedWallets.some(wallet => 
-            nativeTransfer.toUserAccount === wallet ||
-            nativeTransfer.toUserAccount?.includes(wallet)
-        );
+        const { spent, received } = this.splitSignificantChanges(changes);
         
-        const isSending = trackedWallets.some(wallet => 
-            nativeTransfer.fromUserAccount === wallet ||
-            nativeTransfer.fromUserAccount?.includes(wallet)
-        );
+        if (spent.length > 0 && received.length > 0) {
+            const legs = {
+                input: this.pickLeg(spent),
+                output: this.pickLeg(received)
+            };
+            return { side: this.sideFromLegs(legs), legs, changes, source: 'balances' };
+        }
         
-        // Si está recibiendo SOL, es una venta (vendió tokens por SOL)
-        if (isReceiving && !isSending) return false; // SELL (recibe SOL)
-        // Si está enviando SOL, es una compra (compró tokens con SOL)
-        if (isSending && !isReceiving) return true; // BUY (envía SOL)
+        if (spent.length > 0 || received.length > 0) {
+            const moved = spent.length > 0 ? this.pickLeg(spent) : this.pickLeg(received);
+            return { side: 'TRANSFER', direction: spent.length > 0 ? 'OUT' : 'IN', leg: moved, legs: null, changes, source: 'balances' };
+        }
         
-        // Fallback
-        return true;
+        return { side: 'UNKNOWN', legs: null, changes, source: 'balances' };
     }
     
-    // ========== WEBSOCKET METHODS ==========
+    // Separar los deltas en entregados y recibidos, ignorando polvo en activos de cotización (tips, rent sobrante)
+    splitSignificantChanges(changes) {
+        const significant = Array.from(changes.entries()).filter(([mint, change]) => {
+            const quote = this.getQuoteAsset(mint);
+            return quote ? Math.abs(change.delta) >= quote.minAmount : change.delta !== 0;
+        });
+        
+        return {
+            spent: significant.filter(([, change]) => change.delta < 0),
+            received: significant.filter(([, change]) => change.delta > 0)
+        };
+    }
     
-    connect() {
-        // Solo conectar si hay wallets para rastrear
-        if (this.trackedWallets.size === 0) {
-            console.log('⚠️ No wallets to track - WebSocket connection skipped');
-            console.log('💤 Bot in standby mode - Use /track to start monitoring');
-            this.isConnected = false;
-            return;
+    sideFromLegs(legs) {
+        if (legs.input.isQuote && !legs.output.isQuote) return 'BUY';
+        if (legs.output.isQuote && !legs.input.isQuote) return 'SELL';
+        return 'SWAP';
+    }
+    
+    // Elegir la pata principal de un lado: tokens primero, luego stables y SOL al final
+    // (fees, rent y tips siempre salen en SOL). Recibe entradas [mint, { delta, decimals }].
+    pickLeg(entries) {
+        if (entries.length === 0) return null;
+        
+        const legPriority = (mint) => {
+            const quote = this.getQuoteAsset(mint);
+            if (!quote) return 0;
+            return quote.isStable ? 1 : 2;
+        };
+        
+        const bestPriority = Math.min(...entries.map(([mint]) => legPriority(mint)));
+        const pool = entries.filter(([mint]) => legPriority(mint) === bestPriority);
+        const [mint, change] = pool.reduce((max, current) => Math.abs(current[1].delta) > Math.abs(max[1].delta) ? current : max);
+        
+        return this.createLeg(mint, Math.abs(change.delta), change.decimals);
+    }
+    
+    // Cuentas que participan en la transacción (el fee payer primero)
+    getTransactionAccounts(enhancedTx) {
+        return [
+            enhancedTx.feePayer,
+            ...(enhancedTx.tokenTransfers || []).flatMap(t => [t.fromUserAccount, t.toUserAccount]),
+            ...(enhancedTx.nativeTransfers || []).flatMap(t => [t.fromUserAccount, t.toUserAccount]),
+            ...(enhancedTx.accountData || []).map(account => account.account),
+            ...(enhancedTx.accountData || []).flatMap(account => (account.tokenBalanceChanges || []).map(change => change.userAccount))
+        ].filter(Boolean);
+    }
+    
+    // Encontrar la wallet rastreada que participa en la transacción (coincidencia exacta)
+    findInvolvedWallet(enhancedTx) {
+        return this.findInvolvedWallets(enhancedTx)[0] || null;
+    }
+    
+    // Todas las wallets rastreadas que participan, sin repetir
+    findInvolvedWallets(enhancedTx) {
+        return [...new Set(this.getTransactionAccounts(enhancedTx).filter(account => this.trackedWallets.has(account)))];
+    }
+    
+    isWalletInvolved(enhancedTx, wallet) {
+        return this.getTransactionAccounts(enhancedTx).includes(wallet);
+    }
+    
+    // Decodificar las dos patas del swap desde el punto de vista de la wallet:
+    // input = lo que entregó, output = lo que recibió. Devuelve null si no es un swap completo.
+    decodeSwapLegs(enhancedTx, wallet, tokenAmounts = null) {
+        // Preferir el evento de swap de Helius: trae cantidades raw con sus decimales
+        const swapEvent = enhancedTx.events?.swap;
+        if (swapEvent && this.isSwapEventForWallet(swapEvent, wallet, enhancedTx)) {
+            const input = this.legFromSwapEvent(swapEvent.nativeInput, swapEvent.tokenInputs);
+            const output = this.legFromSwapEvent(swapEvent.nativeOutput, swapEvent.tokenOutputs);
+            if (input && output && input.mint !== output.mint) {
+                return { input, output };
+            }
         }
         
-        console.log('🔌 Attempting to connect to Helius WebSocket...');
-        console.log(`📊 Connecting with ${this.trackedWallets.size} wallet(s) to track`);
-        const wsUrl = `wss://${this.network}.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
+        // Fallback: neto por mint de las transferencias donde participa la wallet
+        const entries = Array.from(this.netTransfersByMint(enhancedTx, wallet, tokenAmounts).entries());
+        const input = this.pickLeg(entries.filter(([, change]) => change.delta < 0));
+        const output = this.pickLeg(entries.filter(([, change]) => change.delta > 0));
         
-        this.websocket = new WebSocket(wsUrl);
-        this.setupEventListeners();
+        return input && output ? { input, output } : null;
     }
     
-    setupEventListeners() {
-        this.websocket.onopen = () => {
-            console.log('✅ WebSocket connection opened successfully!');
-            this.isConnected = true;
-            this.reconnectAttempts = 0;
+    // Neto por mint de las transferencias (token y nativas) donde participa la wallet
+    netTransfersByMint(enhancedTx, wallet, tokenAmounts = null) {
+        const amounts = tokenAmounts || this.extractTokenAmounts(enhancedTx);
+        const netByMint = new Map();
+        
+        amounts.forEach(transfer => {
+            const amount = transfer.isSOL ? Math.abs(transfer.solAmount || 0) : Math.abs(parseFloat(transfer.amount) || 0);
+            if (amount === 0) return;
+            
+            let delta = 0;
+            if (transfer.toUserAccount === wallet) delta += amount;
+            if (transfer.fromUserAccount === wallet) delta -= amount;
+            if (delta === 0) return;
+            
+            const current = netByMint.get(transfer.mint) || { delta: 0, decimals: null };
+            current.delta += delta;
+            netByMint.set(transfer.mint, current);
+        });
+        
+        return netByMint;
+    }
+    
+    // ========== ACTIVITY EVENTS (transfers, NFTs, liquidez, staking, mints, burns) ==========
+    
+    // Categoría del evento según el tipo de Helius; null si no es notificable
+    getEventCategory(enhancedTx) {
+        const type = (enhancedTx.type || '').toUpperCase();
+        const category = Object.keys(EVENT_CATEGORIES).find(key => EVENT_CATEGORIES[key].includes(type));
+        if (category) return category;
+        
+        // Variantes de swap que Helius etiqueta con otro nombre (p. ej. SWAP_EXACT_OUT)
+        return type.includes('SWAP') ? 'swaps' : null;
+    }
+    
+    // Construir un evento que no es swap desde el punto de vista de la wallet (null si no hay nada que mostrar)
+    async buildActivityEvent(enhancedTx, wallet, category, signature, commitment = 'finalized') {
+        const changes = this.computeNetBalanceChanges(enhancedTx, wallet) || this.netTransfersByMint(enhancedTx, wallet);
+        const { spent, received } = this.splitSignificantChanges(changes);
+        
+        const sentLegs = spent.map(([mint, change]) => this.createLeg(mint, Math.abs(change.delta), change.decimals));
+        const receivedLegs = received.map(([mint, change]) => this.createLeg(mint, change.delta, change.decimals));
+        await this.resolveLegSymbols([...sentLegs, ...receivedLegs]);
+        
+        // Lado principal: si solo se movió uno, ese; si ambos, lo recibido (NFT comprado, LP token, SOL desbloqueado)
+        const direction = received.length > 0 && (spent.length === 0 || category !== 'transfers') ? 'IN' : 'OUT';
+        const pickedLeg = this.pickLeg(direction === 'IN' ? received : spent);
+        const primaryLeg = pickedLeg
+            ? (direction === 'IN' ? receivedLegs : sentLegs).find(leg => leg.mint === pickedLeg.mint)
+            : null;
+        const nft = this.describeNftEvent(enhancedTx, wallet);
+        
+        if (!primaryLeg && !nft) {
+            websocketLogger.info(`${enhancedTx.type} for ${wallet.substring(0, 8)}... moved no funds, skipping`, { sig: signature.substring(0, 8) + '...' });
+            return null;
+        }
+        
+        const counterparty = primaryLeg ? this.findCounterparty(enhancedTx, wallet, primaryLeg.mint, direction) : null;
+        const amountText = primaryLeg
+            ? (primaryLeg.isSOL ? this.formatSOLAmountDirect(primaryLeg.amount) : `${this.formatCompactAmount(primaryLeg.amount)} ${primaryLeg.symbol}`)
+            : this.formatSOLAmountDirect(nft.price);
+        
+        const transactionData = {
+            signature: signature,
+            wallet: wallet,
+            eventCategory: category,
+            eventType: enhancedTx.type,
+            direction: direction,                 // IN: la wallet recibió, OUT: la wallet envió
+            token: primaryLeg ? primaryLeg.symbol : null,
+            mintAddress: primaryLeg ? primaryLeg.mint : nft.mint,
+            tokenImage: primaryLeg ? primaryLeg.image || null : null,
+            tokenAmount: primaryLeg ? primaryLeg.amount : 0,
+            tokenDecimals: primaryLeg ? primaryLeg.decimals : null,
+            amount: amountText,
+            buySell: enhancedTx.type,
+            solAmount: primaryLeg && primaryLeg.isSOL ? primaryLeg.amount : 0,
+            sentLegs: sentLegs,
+            receivedLegs: receivedLegs,
+            counterparty: counterparty,
+            nft: nft,
+            source: enhancedTx.source || null,
+            description: enhancedTx.description || null,
+            commitment: commitment,
+            type: 'enhanced_transaction',
+            timestamp: enhancedTx.timestamp ? new Date(enhancedTx.timestamp * 1000).toISOString() : new Date().toISOString()
+        };
+        
+        if (!this.filters.shouldShowActivity(transactionData)) {
+            filterLogger.debug('Activity filtered out');
+            return null;
+        }
+        
+        filterLogger.success(`Activity approved: ${category} ${transactionData.eventType} ${transactionData.amount}`);
+        return transactionData;
+    }
+    
+    // Completar símbolo, imagen y decimales de las patas que no son activos de cotización
+    async resolveLegSymbols(legs) {
+        const tokenMints = [...new Set(legs.filter(leg => !leg.isQuote).map(leg => leg.mint))];
+        const assetInfoArray = tokenMints.length > 0 ? await this.getAssetInfo(tokenMints) : [];
+        
+        legs.forEach(leg => {
+            if (leg.isQuote) return;
+            const asset = assetInfoArray[tokenMints.indexOf(leg.mint)] || {};
+            leg.symbol = (asset.symbol || 'N/A').trim();
+            leg.image = asset.image || null;
+            if (leg.decimals === null && typeof asset.decimals === 'number') {
+                leg.decimals = asset.decimals;
+            }
+        });
+    }
+    
+    // Cuenta al otro lado de la transferencia más grande del mint (destino si sale, origen si entra)
+    findCounterparty(enhancedTx, wallet, mint, direction) {
+        const transfers = mint === SOL_MINT
+            ? [
+                ...(enhancedTx.nativeTransfers || []).map(t => ({ ...t, value: Number(t.amount) || 0 })),
+                ...(enhancedTx.tokenTransfers || []).filter(t => t.mint === SOL_MINT).map(t => ({ ...t, value: (Number(t.tokenAmount) || 0) * 1000000000 }))
+            ]
+            : (enhancedTx.tokenTransfers || []).filter(t => t.mint === mint).map(t => ({ ...t, value: Number(t.tokenAmount) || 0 }));
+        
+        const candidates = transfers.filter(t => direction === 'OUT'
+            ? t.fromUserAccount === wallet && t.toUserAccount && t.toUserAccount !== wallet
+            : t.toUserAccount === wallet && t.fromUserAccount && t.fromUserAccount !== wallet);
+        if (candidates.length === 0) return null;
+        
+        const largest = candidates.reduce((max, current) => current.value > max.value ? current : max);
+        return direction === 'OUT' ? largest.toUserAccount : largest.fromUserAccount;
+    }
+    
+    // Datos de la venta/mint de NFT si Helius trae el evento
+    describeNftEvent(enhancedTx, wallet) {
+        const nftEvent = enhancedTx.events?.nft;
+        if (!nftEvent) return null;
+        
+        return {
+            side: nftEvent.buyer === wallet ? 'BUY' : nftEvent.seller === wallet ? 'SELL' : null,
+            price: (Number(nftEvent.amount) || 0) / 1000000000,
+            mint: nftEvent.nfts?.[0]?.mint || null,
+            marketplace: nftEvent.source || enhancedTx.source || null
+        };
+    }
+    
+    // El evento de swap describe al firmante; solo usarlo si es la wallet rastreada
+    isSwapEventForWallet(swapEvent, wallet, enhancedTx) {
+        if (enhancedTx.feePayer === wallet) return true;
+        
+        const accounts = [
+            swapEvent.nativeInput?.account,
+            swapEvent.nativeOutput?.account,
+            ...(swapEvent.tokenInputs || []).map(t => t.userAccount),
+            ...(swapEvent.tokenOutputs || []).map(t => t.userAccount)
+        ];
+        return accounts.includes(wallet);
+    }
+    
+    // Convertir una pata del evento de swap (nativa o tokens) en { mint, amount, decimals }
+    legFromSwapEvent(native, tokens) {
+        if (native && Number(native.amount) > 0) {
+            return this.createLeg(SOL_MINT, Number(native.amount) / 1000000000, 9);
+        }
+        
+        const tokenLegs = (tokens || []).filter(t => t.mint && t.rawTokenAmount);
+        if (tokenLegs.length === 0) return null;
+        
+        // Sumar todas las entradas del mismo mint (rutas divididas entre varios pools)
+        const mint = tokenLegs[0].mint;
+        const decimals = Number(tokenLegs[0].rawTokenAmount.decimals) || 0;
+        const rawTotal = tokenLegs
+            .filter(t => t.mint === mint)
+            .reduce((sum, t) => sum + BigInt(t.rawTokenAmount.tokenAmount || 0), BigInt(0));
+        
+        return this.createLeg(mint, Number(rawTotal) / Math.pow(10, decimals), decimals);
+    }
+    
+    // Crear una pata de swap; los activos de cotización ya traen símbolo y decimales del registro
+    createLeg(mint, amount, decimals) {
+        const quote = this.getQuoteAsset(mint);
+        return {
+            mint,
+            amount,
+            decimals: quote ? quote.decimals : decimals,
+            symbol: quote ? quote.symbol : null,
+            isSOL: mint === SOL_MINT,
+            isQuote: Boolean(quote)
+        };
+    }
+    
+    getQuoteAsset(mint) {
+        return QUOTE_ASSETS[mint] || null;
+    }
+    
+    isValidTokenSymbol(symbol) {
+        if (!symbol) return false;
+        const trimmed = symbol.trim();
+        return !['SOL', 'WSOL', 'wSOL', 'Unknown', 'N/A', ''].includes(trimmed) && trimmed.length >= 2;
+    }
+    
+    // ========== RAW TRANSACTIONS (transactionSubscribe) ==========
+    
+    // Convertir la transacción jsonParsed de transactionSubscribe a la forma de la Enhanced API
+    // (accountData, tokenTransfers, nativeTransfers) para reutilizar el mismo pipeline
+    convertRawTransaction(result, signature) {
+        const transaction = result.transaction || {};
+        const message = transaction.transaction?.message || {};
+        const meta = transaction.meta || {};
+        const accountKeys = (message.accountKeys || []).map(key => typeof key === 'string' ? key : key.pubkey);
+        
+        const accountData = accountKeys.map((account, index) => ({
+            account,
+            nativeBalanceChange: (meta.postBalances?.[index] || 0) - (meta.preBalances?.[index] || 0),
+            tokenBalanceChanges: []
+        }));
+        
+        // Balances de token por cuenta: pre/post en unidades raw
+        const tokenAccounts = new Map(); // accountIndex -> { mint, owner, decimals, pre, post }
+        const trackBalance = (balance, field) => {
+            const entry = tokenAccounts.get(balance.accountIndex) || {
+                mint: balance.mint,
+                owner: balance.owner,
+                decimals: balance.uiTokenAmount?.decimals || 0,
+                pre: BigInt(0),
+                post: BigInt(0)
+            };
+            entry[field] = BigInt(balance.uiTokenAmount?.amount || 0);
+            tokenAccounts.set(balance.accountIndex, entry);
+        };
+        (meta.preTokenBalances || []).forEach(balance => trackBalance(balance, 'pre'));
+        (meta.postTokenBalances || []).forEach(balance => trackBalance(balance, 'post'));
+        
+        tokenAccounts.forEach((entry, index) => {
+            const delta = entry.post - entry.pre;
+            if (delta === BigInt(0) || !accountData[index]) return;
+            
+            accountData[index].tokenBalanceChanges.push({
+                userAccount: entry.owner,
+                tokenAccount: accountKeys[index],
+                mint: entry.mint,
+                rawTokenAmount: { tokenAmount: delta.toString(), decimals: entry.decimals }
+            });
+        });
+        
+        const instructions = [
+            ...(message.instructions || []),
+            ...(meta.innerInstructions || []).flatMap(inner => inner.instructions || [])
+        ];
+        const tokenAccountInfo = new Map();
+        tokenAccounts.forEach((entry, index) => tokenAccountInfo.set(accountKeys[index], entry));
+        
+        return {
+            signature,
+            type: this.inferTransactionType(instructions, meta),
+            source: null,
+            feePayer: accountKeys[0] || null,
+            fee: meta.fee || 0,
+            slot: result.slot,
+            timestamp: result.blockTime || Math.floor(Date.now() / 1000),
+            accountData,
+            ...this.extractParsedTransfers(instructions, tokenAccountInfo)
+        };
+    }
+    
+    // Transferencias nativas y SPL de las instrucciones parseadas (cuentas de token → dueño)
+    extractParsedTransfers(instructions, tokenAccountInfo) {
+        const nativeTransfers = [];
+        const tokenTransfers = [];
+        
+        instructions.forEach(instruction => {
+            const parsed = instruction.parsed;
+            if (!parsed || !parsed.info) return;
+            const info = parsed.info;
+            
+            if (instruction.program === 'system' && parsed.type === 'transfer') {
+                nativeTransfers.push({
+                    fromUserAccount: info.source,
+                    toUserAccount: info.destination,
+                    amount: Number(info.lamports) || 0
+                });
+            } else if (instruction.program === 'spl-token' && (parsed.type === 'transfer' || parsed.type === 'transferChecked')) {
+                const source = tokenAccountInfo.get(info.source);
+                const destination = tokenAccountInfo.get(info.destination);
+                const mint = info.mint || source?.mint || destination?.mint;
+                if (!mint) return;
+                
+                const decimals = info.tokenAmount?.decimals ?? source?.decimals ?? destination?.decimals ?? 0;
+                const rawAmount = info.tokenAmount?.amount ?? info.amount ?? 0;
+                
+                tokenTransfers.push({
+                    fromUserAccount: source?.owner || info.authority || info.source,
+                    toUserAccount: destination?.owner || info.destination,
+                    fromTokenAccount: info.source,
+                    toTokenAccount: info.destination,
+                    mint,
+                    tokenAmount: Number(rawAmount) / Math.pow(10, decimals)
+                });
+            }
+        });
+        
+        return { nativeTransfers, tokenTransfers };
+    }
+    
+    // Tipo aproximado (mismo vocabulario que Helius) para transacciones crudas.
+    // Ventas de NFT y liquidez no se distinguen sin la Enhanced API.
+    inferTransactionType(instructions, meta) {
+        const logs = (meta.logMessages || []).join('\n');
+        if (/Instruction: (Swap|SwapV2|Buy|Sell|Route|SharedAccountsRoute|ExactOutRoute)\b/.test(logs) || logs.includes('ray_log')) {
+            return 'SWAP';
+        }
+        
+        const stakeInstruction = instructions.find(instruction => instruction.programId === STAKE_PROGRAM && instruction.parsed);
+        if (stakeInstruction) {
+            return STAKE_INSTRUCTION_TYPES[stakeInstruction.parsed.type] || 'UNKNOWN';
+        }
+        
+        const parsedTypes = instructions
+            .filter(instruction => instruction.parsed && ['spl-token', 'system'].includes(instruction.program))
+            .map(instruction => PARSED_INSTRUCTION_TYPES[instruction.parsed.type])
+            .filter(Boolean);
+        
+        // Burns y mints tienen prioridad sobre las transferencias que los acompañan
+        return ['BURN', 'TOKEN_MINT', 'TRANSFER'].find(type => parsedTypes.includes(type)) || 'UNKNOWN';
+    }
+    
+    // ========== WEBSOCKET METHODS ==========
+    
+    connect() {
+        // Solo conectar si hay wallets para rastrear
+        if (this.trackedWallets.size === 0) {
+            console.log('⚠️ No wallets to track - WebSocket connection skipped');
+            console.log('💤 Bot in standby mode - Use /track to start monitoring');
+            this.isConnected = false;
+            return;
+        }
+        
+        console.log('🔌 Attempting to connect to Helius WebSocket...');
+        console.log(`📊 Connecting with ${this.trackedWallets.size} wallet(s) to track`);
+        // transactionSubscribe solo existe en el endpoint Atlas (Enhanced WebSockets) de Helius
+        const wsUrl = this.subscriptionMode === 'transaction'
+            ? `wss://atlas-${this.network}.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`
+            : `wss://${this.network}.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
+        
+        this.websocket = new WebSocket(wsUrl);
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        const socket = this.websocket;
+        
+        this.websocket.onopen = () => {
+            console.log('✅ WebSocket connection opened successfully!');
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            this.subscriptionManager.reset();
             
             // Solo suscribir si hay wallets para rastrear
             if (this.trackedWallets.size > 0) {
@@ -737,7 +1622,11 @@ class HeliusWebSocketBackend {
         
         this.websocket.onclose = (event) => {
             console.log('🔌 WebSocket connection closed');
+            // Un socket viejo (rotación de API key) no debe pisar el estado del nuevo
+            if (socket !== this.websocket) return;
+            
             this.isConnected = false;
+            this.subscriptionManager.reset();
             if (!event.wasClean) this.handleReconnect();
         };
         
@@ -747,289 +1636,287 @@ class HeliusWebSocketBackend {
         };
     }
     
+    // Despachar un mensaje del WebSocket: respuestas a nuestras peticiones o notificaciones
     async processTransactionUpdate(data) {
+        if (data.id !== undefined && !data.method) {
+            this.handleSubscriptionResponse(data);
+            return;
+        }
+        
         if (data.method === 'logsNotification') {
-            // CRITICAL CHECK: Si no hay wallets trackeadas, ignorar TODAS las transacciones
-            if (this.trackedWallets.size === 0) {
-                console.log('🚫 No wallets being tracked - Ignoring transaction notification');
-                return;
+            await this.handleLogsNotification(data.params);
+        } else if (data.method === 'transactionNotification') {
+            await this.handleTransactionNotification(data.params);
+        }
+    }
+    
+    // Respuesta a un alta o baja enviada por el gestor de suscripciones
+    handleSubscriptionResponse(data) {
+        const request = this.subscriptionManager.handleResponse(data);
+        if (!request) {
+            websocketLogger.warn(`Response for unknown request #${data.id}`);
+            return;
+        }
+        
+        if (request.error) {
+            // Plan de Helius sin Enhanced WebSockets: volver a logsSubscribe
+            if (request.method === 'transactionSubscribe') {
+                websocketLogger.warn('transactionSubscribe unavailable - falling back to logsSubscribe mode');
+                this.subscriptionMode = 'logs';
+                this.restartConnection('Subscription mode fallback');
             }
+            return;
+        }
+        
+        if (request.type !== 'subscribe') return;
+        
+        // Cambio de commitment: la suscripción nueva ya está activa, cancelar la anterior
+        if (request.replaces !== null) {
+            this.unsubscribe(request.replaces);
+        }
+        
+        if (request.method === 'transactionSubscribe') {
+            // La suscripción multiplexada nueva reemplaza a las anteriores
+            this.subscriptionManager.getSubscriptionIds()
+                .filter(subscriptionId => subscriptionId !== request.subscriptionId)
+                .forEach(subscriptionId => this.unsubscribe(subscriptionId));
+        } else if (!request.wallets.some(wallet => this.trackedWallets.has(wallet))) {
+            // La wallet se quitó mientras el alta estaba pendiente
+            this.unsubscribe(request.subscriptionId);
+        }
+    }
+    
+    // logsSubscribe: solo trae la firma, la transacción se pide a la Enhanced API
+    async handleLogsNotification(params) {
+        // CRITICAL CHECK: Si no hay wallets trackeadas, ignorar TODAS las transacciones
+        if (this.trackedWallets.size === 0) {
+            console.log('🚫 No wallets being tracked - Ignoring transaction notification');
+            return;
+        }
+        
+        // Una notificación sin result (o mal formada) se descarta aquí: el resto del método asume logs.value
+        const logs = params?.result;
+        const signature = logs?.value?.signature;
+        
+        if (!signature) {
+            console.log('⚠️ No signature found in logs');
+            return;
+        }
+        
+        if (logs.value?.err) {
+            console.log('🚫 Failed transaction, skipping:', signature.substring(0, 8) + '...');
+            return;
+        }
+        
+        // La suscripción indica qué wallet mencionó la transacción y con qué commitment
+        const subscription = this.subscriptionManager.getSubscription(params.subscription);
+        const subscribedWallet = subscription ? subscription.wallets[0] : null;
+        const commitment = subscription?.commitment || this.defaultCommitment;
+        console.log('📋 Processing transaction:', signature.substring(0, 8) + '...', `(${commitment})`);
+        
+        try {
+            // Paso 1: Obtener Enhanced Transaction
+            let enhancedTx = await this.getEnhancedTransaction(signature, commitment);
             
-            const logs = data.params.result;
-            const signature = logs.value?.signature;
+            // Con 'processed' la Enhanced API (confirmed como mínimo) puede no tenerla todavía
+            for (let attempt = 1; !enhancedTx && commitment === 'processed' && attempt <= 3; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                enhancedTx = await this.getEnhancedTransaction(signature, commitment);
+            }
             
-            if (!signature) {
-                console.log('⚠️ No signature found in logs');
+            if (!enhancedTx) {
+                console.log('⚠️ Could not get enhanced transaction data');
+                this.handleFallbackTransaction(logs);
                 return;
             }
             
-            console.log('📋 Processing transaction:', signature.substring(0, 8) + '...');
+            await this.processEnhancedTransaction(enhancedTx, signature, subscribedWallet, commitment);
+        } catch (error) {
+            console.error('❌ Error processing enhanced transaction:', error);
+            this.handleFallbackTransaction(logs);
+        }
+    }
+    
+    // transactionSubscribe: la transacción completa llega en la notificación, sin ida y vuelta a la Enhanced API
+    async handleTransactionNotification(params) {
+        const result = params?.result;
+        const signature = result?.signature || result?.transaction?.transaction?.signatures?.[0];
+        if (!signature) {
+            console.log('⚠️ No signature found in transaction notification');
+            return;
+        }
+        
+        if (result.transaction?.meta?.err) {
+            console.log('🚫 Failed transaction, skipping:', signature.substring(0, 8) + '...');
+            return;
+        }
+        
+        try {
+            const enhancedTx = this.convertRawTransaction(result, signature);
+            const commitment = this.subscriptionManager.getSubscription(params.subscription)?.commitment || this.defaultCommitment;
             
-            try {
-                // Paso 1: Obtener Enhanced Transaction
-                const enhancedTx = await this.getEnhancedTransaction(signature);
-                if (!enhancedTx) {
-                    console.log('⚠️ Could not get enhanced transaction data');
-                    this.handleFallbackTransaction(logs);
-                    return;
-                }
-                
-                // 🎯 FILTRO: Solo procesar transacciones tipo SWAP
-                console.log('🔍 Enhanced TX type:', enhancedTx.type);
-                if (enhancedTx.type !== 'SWAP' && !enhancedTx.type.toLowerCase().includes('swap')) {
-                    console.log(`🚫 FILTER REJECTED: Transaction type '${enhancedTx.type}' is not SWAP - ignoring transaction`);
-                    return;
-                }
-                console.log('✅ FILTER APPROVED: Transaction type is SWAP - proceeding with processing');
-                
-                // Paso 2: Extraer mint addresses
-                const mintAddresses = this.extractMintAddresses(enhancedTx);
-                if (mintAddresses.length === 0) {
-                    console.log('⚠️ No mint addresses found');
-                    return;
-                }
-                
-                // Paso 3: Obtener información de tokens (optimizado - solo si es necesario)
-                const assetInfoArray = mintAddresses.length > 0 ? await this.getAssetInfo(mintAddresses) : [];
-                
-                // Paso 4: Extraer cantidades de tokens
-                const tokenAmounts = this.extractTokenAmounts(enhancedTx);
-                
-                // Paso 5: Determinar token principal (priorizar no-SOL)
-                let primaryToken = null;
-                let primaryTokenIndex = 0;
-                
-                const validNonSOLTokens = [];
-                
-                for (let i = 0; i < assetInfoArray.length; i++) {
-                    const asset = assetInfoArray[i];
-                    if (asset && asset.symbol) {
-                        const symbol = asset.symbol.trim();
-                        
-                        if (symbol !== 'SOL' && symbol !== 'WSOL' && symbol !== 'wSOL' &&
-                            symbol !== 'Unknown' && symbol !== 'N/A' && symbol !== '' &&
-                            symbol.length >= 2) {
-                            
-                            const mintAddr = mintAddresses[i];
-                            if (mintAddr && mintAddr !== 'So11111111111111111111111111111111111111112') {
-                                validNonSOLTokens.push({
-                                    asset,
-                                    index: i,
-                                    symbol: symbol,
-                                    mint: mintAddr
-                                });
-                            }
-                        }
-                    }
-                }
-                
-                if (validNonSOLTokens.length > 0) {
-                    const chosen = validNonSOLTokens[0];
-                    primaryToken = chosen.asset;
-                    primaryTokenIndex = chosen.index;
-                    console.log('✅ Selected primary token:', primaryToken.symbol);
-                } else {
-                    console.log('🚫 No valid non-SOL tokens found, skipping transaction');
-                    return;
-                }
-                
-                // Paso 6: Determinar BUY/SELL y cantidad SOL
-                let amountText = 'N/A';
-                let buySellIndicator = '';
-                let buySellType = 'UNKNOWN';
-                
-                // Buscar transfers de SOL (nativeTransfers)
-                const solTransfers = tokenAmounts.filter(ta => ta.isSOL);
-                    // Optimizado: procesamiento silencioso para mejorar velocidad
-                
-                // Obtener todas las wallets rastreadas como array para facilitar búsqueda
-                const trackedWalletsArray = Array.from(this.trackedWallets);
-                
-                let totalSOLAmount = 0;
-                let isUserBuying = false;
-                let userInvolvedInTransaction = false;
-                let actualWalletInvolved = null; // 🎯 NUEVA VARIABLE: Capturar la wallet específica
-                
-                // 🎯 CORRECCIÓN CRÍTICA: Identificar transferencia SOL principal vs fees
-                if (solTransfers.length > 0) {
-                    console.log('🔍 [DEBUG] Analyzing all SOL transfers:');
-                    
-                    // 🎯 DEBUG: Mostrar todos los objetos SOL antes del análisis
-                    solTransfers.forEach((sol, i) => {
-                        console.log(`🔍 [DEBUG] SOL Transfer ${i + 1}:`, {
-                            solAmount: sol.solAmount,
-                            rawAmount: sol.rawAmount,
-                            humanAmount: sol.humanAmount,
-                            fromUserAccount: sol.fromUserAccount?.substring(0, 8) + '...',
-                            toUserAccount: sol.toUserAccount?.substring(0, 8) + '...'
-                        });
-                    });
-                    
-                    // 🎯 PASO 1: Encontrar la transferencia SOL más grande (swap principal)
-                    const largestSOLTransfer = solTransfers.reduce((max, current) => 
-                        Math.abs(current.solAmount) > Math.abs(max.solAmount) ? current : max
-                    );
-                    
-                    console.log('🎯 [DEBUG] Largest SOL transfer identified:', {
-                        amount: largestSOLTransfer.solAmount.toFixed(6),
-                        fromUserAccount: largestSOLTransfer.fromUserAccount ? largestSOLTransfer.fromUserAccount.substring(0, 8) + '...' : 'null',
-                        toUserAccount: largestSOLTransfer.toUserAccount ? largestSOLTransfer.toUserAccount.substring(0, 8) + '...' : 'null'
-                    });
-                    
-                    // 🎯 PASO 2: Verificar si la wallet rastreada está involucrada en la transferencia principal
-                    const fromUserIsTracked = largestSOLTransfer.fromUserAccount && trackedWalletsArray.includes(largestSOLTransfer.fromUserAccount);
-                    const toUserIsTracked = largestSOLTransfer.toUserAccount && trackedWalletsArray.includes(largestSOLTransfer.toUserAccount);
-                    
-                    console.log(`🔍 [DEBUG] Main transfer wallet detection:`, {
-                        fromUserIsTracked,
-                        toUserIsTracked,
-                        fromUserAccount: largestSOLTransfer.fromUserAccount,
-                        toUserAccount: largestSOLTransfer.toUserAccount
-                    });
-                    
-                    // 🎯 PASO 3: Determinar BUY/SELL basado SOLO en la transferencia principal
-                    if (fromUserIsTracked || toUserIsTracked) {
-                        userInvolvedInTransaction = true;
-                        totalSOLAmount = Math.abs(largestSOLTransfer.solAmount);
-                        
-                        // 🎯 LÓGICA CORREGIDA:
-                        // Si la wallet rastreada está RECIBIENDO SOL = SELL (vendió tokens por SOL)
-                        if (toUserIsTracked && !fromUserIsTracked) {
-                            isUserBuying = false;
-                            actualWalletInvolved = largestSOLTransfer.toUserAccount; // 🎯 CAPTURAR WALLET ESPECÍFICA
-                            console.log(`✅ [DEBUG] 🔴 SELL DETECTED - User wallet RECEIVING SOL: +${totalSOLAmount.toFixed(6)} SOL`);
-                            console.log(`✅ [DEBUG] 🔴 User Wallet: ${largestSOLTransfer.toUserAccount}`);
-                            console.log(`✅ [DEBUG] 🔴 SOL Source: ${largestSOLTransfer.fromUserAccount}`);
-                        }
-                        // Si la wallet rastreada está ENVIANDO SOL = BUY (compró tokens con SOL)
-                        else if (fromUserIsTracked && !toUserIsTracked) {
-                            isUserBuying = true;
-                            actualWalletInvolved = largestSOLTransfer.fromUserAccount; // 🎯 CAPTURAR WALLET ESPECÍFICA
-                            console.log(`✅ [DEBUG] 🟢 BUY DETECTED - User wallet SENDING SOL: -${totalSOLAmount.toFixed(6)} SOL`);
-                            console.log(`✅ [DEBUG] 🟢 User Wallet: ${largestSOLTransfer.fromUserAccount}`);
-                            console.log(`✅ [DEBUG] 🟢 SOL Destination: ${largestSOLTransfer.toUserAccount}`);
-                        }
-                        
-                        console.log('🎯 [DEBUG] Using MAIN SOL transfer only, ignoring fees:', {
-                            mainTransferAmount: totalSOLAmount.toFixed(6),
-                            direction: isUserBuying ? 'BUY' : 'SELL',
-                            totalTransfersFound: solTransfers.length
-                        });
-                    }
-                    
-                    // Si no encontramos la wallet directamente, usar método alternativo
-                    if (!userInvolvedInTransaction && solTransfers.length > 0) {
-                        console.log('⚠️ [DEBUG] User wallet not found in transfers, summing ALL SOL transfers as fallback');
-                        
-                        // CORRECCIÓN: Sumar TODAS las transferencias SOL en lugar de solo la más grande
-                        totalSOLAmount = 0;
-                        let userSendingSOL = 0;
-                        let userReceivingSOL = 0;
-                        
-                        solTransfers.forEach(transfer => {
-                            const amount = Math.abs(transfer.solAmount);
-                            totalSOLAmount += amount;
-                            
-                            // Determinar dirección del flujo SOL
-                            if (this.trackedWallets.has(transfer.fromUserAccount)) {
-                                userSendingSOL += amount;
-                            }
-                            if (this.trackedWallets.has(transfer.toUserAccount)) {
-                                userReceivingSOL += amount;
-                            }
-                        });
-                        
-                        // Determinar BUY/SELL basado en el flujo neto de SOL
-                        isUserBuying = userSendingSOL > userReceivingSOL; // Usuario envía más SOL = BUY
-                        userInvolvedInTransaction = true;
-                        
-                        console.log(`✅ [DEBUG] Summed ALL transfers: ${totalSOLAmount.toFixed(6)} SOL (${solTransfers.length} transfers)`);
-                        console.log(`✅ [DEBUG] SOL Flow - Sending: ${userSendingSOL.toFixed(6)}, Receiving: ${userReceivingSOL.toFixed(6)}`);
-                    }
-                    
-                    console.log('🔍 [DEBUG] Final SOL analysis result:', {
-                        totalSOLAmount: totalSOLAmount.toFixed(6),
-                        isUserBuying: isUserBuying,
-                        userInvolvedInTransaction: userInvolvedInTransaction
-                    });
-                    
-                    // Filtrar transacciones con SOL muy pequeño (menos de 0.001 SOL)
-                    if (totalSOLAmount < 0.001) {
-                        console.log('🚫 SOL amount too small, skipping notification:', totalSOLAmount.toFixed(6));
-                        return;
-                    }
-                    
-                    if (userInvolvedInTransaction) {
-                        buySellType = isUserBuying ? 'BUY' : 'SELL';
-                        const buyIcon = '🟢';
-                        const sellIcon = '🔴';
-                        buySellIndicator = isUserBuying ? buyIcon : sellIcon;
-                        
-                        // 🎯 CORRECCIÓN CRÍTICA: totalSOLAmount ya está en formato decimal, usar formatSOLAmountDirect
-                        const solAmount = this.formatSOLAmountDirect(totalSOLAmount);
-                        amountText = `${buySellIndicator} ${solAmount}`;
-                        
-                        console.log('🎯 [DEBUG] SOL formatting:', {
-                            totalSOLAmount: totalSOLAmount,
-                            formattedSOL: solAmount,
-                            finalAmountText: amountText
-                        });
-                    } else {
-                        console.log('⚠️ User not involved in transaction, skipping');
-                        return;
-                    }
-                } else {
-                    console.log('⚠️ No SOL transfers found, using fallback');
-                    // Fallback: usar token amounts
-                    const mainTransfer = tokenAmounts[0];
-                    if (mainTransfer) {
-                        const formattedTokenAmount = this.formatTokenAmount(mainTransfer.humanAmount || 0);
-                        amountText = formattedTokenAmount;
-                    }
-                }
-                
-                // 🎯 PASO 7: Crear datos de transacción SIMPLIFICADOS (Chrome Extension Style)
-                // Solo mostrar compras/ventas y cantidad de SOL, nada más
-                console.log('\n🎯 =============== CREATING SIMPLIFIED TRANSACTION DATA ===============');
-                console.log('🎯 📋 Transaction Signature:', signature);
-                console.log('🎯 🪙 Primary Token Symbol:', primaryToken.symbol);
-                console.log('🎯 📊 Transaction Type:', enhancedTx.type || 'UNKNOWN');
-                console.log('🎯 💹 BUY/SELL Direction:', buySellType);
-                console.log('🎯 💰 Formatted Amount Text:', amountText);
-                console.log('🎯 🔢 Raw SOL Amount:', totalSOLAmount.toFixed(6));
-                console.log('🎯 👤 Involved Wallet:', actualWalletInvolved?.substring(0, 8) + '...' || 'UNKNOWN');
-                
-                const transactionData = {
-                    signature: signature,
-                    wallet: actualWalletInvolved || Array.from(this.trackedWallets)[0], // 🎯 USAR WALLET ESPECÍFICA
-                    token: primaryToken.symbol,  // Token principal
-                    amount: amountText,          // 🎯 SOLO cantidad de SOL formateada
-                    buySell: buySellType,        // 🎯 SOLO BUY o SELL
-                    solAmount: totalSOLAmount,   // 🎯 Cantidad SOL numérica
-                    type: 'enhanced_transaction',
-                    timestamp: new Date().toISOString()
-                    // 🎯 REMOVIDO: tokenImage, mintAddress, tokenAmounts (simplificado)
-                };
-                
-                websocketLogger.debug(`Transaction processed: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
-                
-                // Paso 8: Aplicar filtros
-                if (this.filters.shouldShowTransaction(transactionData)) {
-                    filterLogger.success(`Transaction approved: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
-                    this.notifyTransaction(transactionData);
-                } else {
-                    filterLogger.debug('Transaction filtered out');
-                }
-                
-            } catch (error) {
-                console.error('❌ Error processing enhanced transaction:', error);
-                this.handleFallbackTransaction(logs);
+            // Una transacción puede tocar varias wallets del filtro multiplexado: notificar cada una
+            const involvedWallets = this.findInvolvedWallets(enhancedTx);
+            for (const wallet of involvedWallets) {
+                await this.processEnhancedTransaction(enhancedTx, signature, wallet, commitment);
             }
+        } catch (error) {
+            console.error('❌ Error processing transaction notification:', error);
+        }
+    }
+    
+    // Analizar una transacción con forma de la Enhanced API y notificarla.
+    // walletHint: wallet rastreada que originó la notificación (si se conoce).
+    // commitment: nivel con el que se recibió (las alertas previas a 'finalized' pueden seguirse después).
+    async processEnhancedTransaction(enhancedTx, signature, walletHint = null, commitment = 'finalized') {
+        // 🎯 FILTRO: Solo procesar tipos con categoría notificable (swaps, transfers, NFTs...)
+        console.log('🔍 Enhanced TX type:', enhancedTx.type);
+        const eventCategory = this.getEventCategory(enhancedTx);
+        if (!eventCategory) {
+            console.log(`🚫 FILTER REJECTED: Transaction type '${enhancedTx.type}' has no event category - ignoring transaction`);
+            return;
+        }
+        console.log(`✅ FILTER APPROVED: Transaction type ${enhancedTx.type} → ${eventCategory}`);
+        
+        // Paso 2: Identificar la wallet rastreada que participa en la transacción
+        const actualWalletInvolved = walletHint && this.trackedWallets.has(walletHint) && this.isWalletInvolved(enhancedTx, walletHint)
+            ? walletHint
+            : this.findInvolvedWallet(enhancedTx);
+        if (!actualWalletInvolved) {
+            console.log('⚠️ User not involved in transaction, skipping');
+            return;
+        }
+        
+        const transactionData = await this.parseEnhancedTransaction(enhancedTx, signature, actualWalletInvolved, commitment);
+        if (transactionData) {
+            this.notifyTransaction(transactionData);
+        }
+    }
+    
+    // Convertir una transacción en el evento (swap o actividad) visto desde la wallet, ya filtrado.
+    // Devuelve null si no hay nada que mostrar. Lo usan las notificaciones en vivo y el historial (/history);
+    // options.priced = false omite el valor USD (los precios actuales no valen para trades antiguos).
+    async parseEnhancedTransaction(enhancedTx, signature, wallet, commitment = 'finalized', options = {}) {
+        const eventCategory = this.getEventCategory(enhancedTx);
+        if (!eventCategory) {
+            return null;
+        }
+        
+        if (eventCategory !== 'swaps') {
+            return this.buildActivityEvent(enhancedTx, wallet, eventCategory, signature, commitment);
+        }
+        
+        // Paso 3: Clasificar el trade por el cambio neto de balances de la wallet
+        const tokenAmounts = this.extractTokenAmounts(enhancedTx);
+        const classification = this.classifyTrade(enhancedTx, wallet, tokenAmounts);
+        const legs = classification.legs;
+        
+        // Un "swap" donde solo se movió un lado es en realidad una transferencia
+        if (!legs && classification.side === 'TRANSFER') {
+            return this.buildActivityEvent(enhancedTx, wallet, 'transfers', signature, commitment);
+        }
+        
+        if (!legs) {
+            websocketLogger.info(`Trade classified as ${classification.side} for ${wallet.substring(0, 8)}... (${classification.source}), not a swap - skipping`, { sig: signature.substring(0, 8) + '...' });
+            return null;
+        }
+        
+        // Rotaciones entre activos de cotización (SOL ↔ USDC, USDC ↔ USDT) no son trades de tokens
+        if (legs.input.isQuote && legs.output.isQuote) {
+            console.log(`🚫 Quote-to-quote swap (${legs.input.symbol} → ${legs.output.symbol}), skipping`);
+            return null;
+        }
+        
+        // Paso 4: Obtener información de los tokens (símbolo, imagen, decimales)
+        await this.resolveLegSymbols([legs.input, legs.output]);
+        
+        // Paso 5: Token principal y contrapartida según la clasificación (BUY/SELL/SWAP)
+        const buySellType = classification.side;
+        let primaryLeg;
+        let counterLeg;
+        
+        if (buySellType === 'SELL') {
+            primaryLeg = legs.input;
+            counterLeg = legs.output;
+        } else {
+            // BUY o swap token → token: el token principal es el recibido
+            primaryLeg = legs.output;
+            counterLeg = legs.input;
+        }
+        
+        if (!this.isValidTokenSymbol(primaryLeg.symbol)) {
+            console.log('🚫 No valid non-SOL tokens found, skipping transaction');
+            return null;
+        }
+        
+        // Paso 6: Tamaño del trade en su activo de cotización (SOL, USDC o USDT)
+        const quoteAsset = this.getQuoteAsset(counterLeg.mint);
+        const quoteAmount = quoteAsset ? counterLeg.amount : 0;
+        const totalSOLAmount = counterLeg.isSOL ? counterLeg.amount : 0;
+        
+        // Filtrar trades demasiado pequeños (menos de 0.001 SOL / 0.1 USD)
+        if (quoteAsset && quoteAmount < quoteAsset.minAmount) {
+            console.log(`🚫 ${quoteAsset.symbol} amount too small, skipping notification:`, quoteAmount.toFixed(6));
+            return null;
+        }
+        
+        let amountText;
+        if (buySellType === 'SWAP') {
+            amountText = `🔄 ${this.formatCompactAmount(counterLeg.amount)} ${counterLeg.symbol}`;
+        } else if (counterLeg.isSOL) {
+            const buySellIndicator = buySellType === 'BUY' ? '🟢' : '🔴';
+            amountText = `${buySellIndicator} ${this.formatSOLAmountDirect(totalSOLAmount)}`;
+        } else {
+            const buySellIndicator = buySellType === 'BUY' ? '🟢' : '🔴';
+            amountText = `${buySellIndicator} ${this.formatCompactAmount(quoteAmount)} ${quoteAsset.symbol}`;
+        }
+        
+        // 🎯 PASO 7: Crear datos de transacción con ambas patas del swap
+        console.log('\n🎯 =============== CREATING TRANSACTION DATA ===============');
+        console.log('🎯 📋 Transaction Signature:', signature);
+        console.log('🎯 🪙 Primary Token:', primaryLeg.symbol, primaryLeg.mint);
+        console.log('🎯 💹 Direction:', buySellType);
+        console.log('🎯 ⬅️ Input Leg:', `${legs.input.amount} ${legs.input.symbol}`);
+        console.log('🎯 ➡️ Output Leg:', `${legs.output.amount} ${legs.output.symbol}`);
+        console.log('🎯 👤 Involved Wallet:', wallet.substring(0, 8) + '...');
+        
+        const transactionData = {
+            signature: signature,
+            wallet: wallet,         // 🎯 USAR WALLET ESPECÍFICA
+            token: primaryLeg.symbol,             // Token principal
+            mintAddress: primaryLeg.mint,         // Mint del token principal
+            tokenImage: primaryLeg.image || null,
+            tokenAmount: primaryLeg.amount,       // Cantidad con decimales aplicados
+            tokenDecimals: primaryLeg.decimals,
+            amount: amountText,                   // Texto corto (compatibilidad)
+            buySell: buySellType,                 // BUY, SELL o SWAP
+            solAmount: totalSOLAmount,            // Cantidad SOL numérica (0 si cotiza en stables)
+            quoteSymbol: quoteAsset ? quoteAsset.symbol : null,
+            quoteMint: quoteAsset ? counterLeg.mint : null,
+            quoteAmount: quoteAmount,             // Tamaño en el activo de cotización
+            eventCategory: 'swaps',
+            inputLeg: legs.input,                 // Lo que entregó la wallet
+            outputLeg: legs.output,               // Lo que recibió la wallet
+            commitment: commitment,               // processed | confirmed | finalized
+            type: 'enhanced_transaction',
+            timestamp: enhancedTx.timestamp ? new Date(enhancedTx.timestamp * 1000).toISOString() : new Date().toISOString()
+        };
+        
+        // Paso 8: Valor USD del trade y precio implícito del token en el momento del trade
+        if (options.priced !== false) {
+            await this.attachUsdValues(transactionData, primaryLeg, counterLeg);
         }
         
-        if (data.result && typeof data.result === 'number') {
-            console.log('✅ Subscription confirmed with ID:', data.result);
+        websocketLogger.debug(`Transaction processed: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+        
+        // Paso 9: Aplicar filtros
+        if (!this.filters.shouldShowTransaction(transactionData)) {
+            filterLogger.debug('Transaction filtered out');
+            return null;
         }
+        
+        filterLogger.success(`Transaction approved: ${transactionData.token} ${transactionData.buySell} ${transactionData.amount}`);
+        return transactionData;
     }
     
     handleFallbackTransaction(logs) {
@@ -1087,6 +1974,7 @@ class HeliusWebSocketBackend {
                     this.websocket.close(1000, 'No wallets to track');
                     this.websocket = null;
                     this.isConnected = false;
+                    this.subscriptionManager.reset();
                     
                     // Limpiar todas las colas pendientes para evitar consumo de API
                     this.enhancedTransactionQueue = [];
@@ -1095,23 +1983,17 @@ class HeliusWebSocketBackend {
                     console.log('✅ WebSocket disconnected - No API calls will be made');
                     console.log('💤 Bot in standby mode - Use /track to resume');
                 }
-            } else {
-                // Si aún quedan wallets, reconectar para re-suscribir solo a las wallets activas
-                console.log('🔄 Reconnecting to update subscriptions...');
-                
-                if (this.websocket) {
-                    // Guardar las wallets actuales
-                    const remainingWallets = new Set(this.trackedWallets);
-                    
-                    // Cerrar conexión actual
-                    this.websocket.close(1000, 'Updating subscriptions');
-                    
-                    // Reconectar después de un breve delay
-                    setTimeout(() => {
-                        this.trackedWallets = remainingWallets;
-                        this.connect();
-                        console.log(`✅ Reconnected with ${this.trackedWallets.size} active wallet(s)`);
-                    }, 1000);
+            } else if (this.isConnected) {
+                if (this.subscriptionMode === 'transaction') {
+                    // Nueva suscripción multiplexada sin esta wallet; la anterior se cancela al confirmarse
+                    this.subscribeToTrackedWallets();
+                } else {
+                    // Baja solo de la suscripción de esta wallet, sin reconectar.
+                    // Si el alta sigue pendiente, handleSubscriptionResponse la cancela al confirmarse.
+                    const subscriptionId = this.subscriptionManager.getSubscriptionId(walletAddress);
+                    if (subscriptionId !== null) {
+                        this.unsubscribe(subscriptionId);
+                    }
                 }
             }
             
@@ -1122,19 +2004,23 @@ class HeliusWebSocketBackend {
         return false;
     }
     
-    subscribeToWallet(walletAddress) {
-        const logsMessage = {
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'logsSubscribe',
-            params: [
-                { mentions: [walletAddress] },
-                { commitment: 'finalized' }
-            ]
-        };
+    subscribeToWallet(walletAddress, replaces = null) {
+        // En modo transaction todas las wallets comparten una suscripción: rehacerla
+        if (this.subscriptionMode === 'transaction') {
+            this.subscribeToTrackedWallets();
+            return;
+        }
+        
+        const commitment = this.getWalletCommitment(walletAddress);
+        const request = this.subscriptionManager.createSubscribeRequest(
+            'logsSubscribe',
+            [{ mentions: [walletAddress] }, { commitment }],
+            [walletAddress],
+            { commitment, replaces }
+        );
         
-        this.websocket.send(JSON.stringify(logsMessage));
-        console.log('📤 Subscribed to wallet logs:', walletAddress);
+        this.websocket.send(JSON.stringify(request));
+        console.log(`📤 Subscribing to wallet logs (request #${request.id}, ${commitment}):`, walletAddress);
     }
     
     subscribeToTrackedWallets() {
@@ -1145,11 +2031,169 @@ class HeliusWebSocketBackend {
             return;
         }
         
+        if (this.subscriptionMode === 'transaction') {
+            const wallets = Array.from(this.trackedWallets);
+            const commitment = this.getSubscriptionCommitment();
+            const request = this.subscriptionManager.createSubscribeRequest(
+                'transactionSubscribe',
+                [
+                    { accountInclude: wallets, vote: false, failed: false },
+                    {
+                        commitment,
+                        encoding: 'jsonParsed',
+                        transactionDetails: 'full',
+                        showRewards: false,
+                        maxSupportedTransactionVersion: 0
+                    }
+                ],
+                wallets,
+                { commitment }
+            );
+            
+            this.websocket.send(JSON.stringify(request));
+            console.log(`📤 Subscribing to transactions of ${wallets.length} wallet(s) (request #${request.id}, ${commitment})`);
+            return;
+        }
+        
         this.trackedWallets.forEach(wallet => {
             this.subscribeToWallet(wallet);
         });
     }
     
+    // ========== COMMITMENT ==========
+    
+    getWalletCommitment(walletAddress) {
+        return this.walletCommitments.get(walletAddress) || this.defaultCommitment;
+    }
+    
+    // La suscripción multiplexada usa el commitment más rápido de todas las wallets
+    getSubscriptionCommitment() {
+        const levels = Array.from(this.trackedWallets).map(wallet => COMMITMENT_LEVELS.indexOf(this.getWalletCommitment(wallet)));
+        return levels.length > 0 ? COMMITMENT_LEVELS[Math.min(...levels)] : this.defaultCommitment;
+    }
+    
+    // Cambiar el commitment de una wallet y re-suscribirla si ya está activa
+    setWalletCommitment(walletAddress, commitment) {
+        if (!COMMITMENT_LEVELS.includes(commitment)) {
+            return false;
+        }
+        
+        const previous = this.getWalletCommitment(walletAddress);
+        const previousSubscription = this.getSubscriptionCommitment();
+        this.walletCommitments.set(walletAddress, commitment);
+        
+        if (!this.trackedWallets.has(walletAddress) || !this.isConnected) {
+            return true;
+        }
+        
+        if (this.subscriptionMode === 'transaction') {
+            if (this.getSubscriptionCommitment() !== previousSubscription) {
+                this.subscribeToTrackedWallets();
+            }
+        } else if (previous !== commitment) {
+            // Alta nueva primero; la anterior se cancela cuando se confirme (sin huecos)
+            const subscriptionId = this.subscriptionManager.getSubscriptionId(walletAddress);
+            this.subscribeToWallet(walletAddress, subscriptionId);
+        }
+        
+        websocketLogger.info(`Commitment for ${walletAddress.substring(0, 8)}...: ${previous} → ${commitment}`);
+        return true;
+    }
+    
+    // ========== FINALITY TRACKING ==========
+    
+    // Seguir una firma notificada antes de 'finalized' hasta que finalice, falle o se descarte
+    trackFinality(signature) {
+        if (this.pendingFinality.has(signature)) return;
+        
+        this.pendingFinality.set(signature, { since: Date.now() });
+        
+        if (!this.finalityTimer) {
+            this.finalityTimer = setTimeout(() => this.pollFinality(), this.FINALITY_POLL_MS);
+        }
+    }
+    
+    // Estados: 'finalized'; 'failed' si entró en un bloque con error; 'dropped' si nunca llegó a finalizar
+    async pollFinality() {
+        try {
+            // getSignatureStatuses acepta hasta 256 firmas por llamada
+            const signatures = Array.from(this.pendingFinality.keys()).slice(0, 256);
+            const statuses = signatures.length > 0 ? await this.fetchSignatureStatuses(signatures) : null;
+            if (!statuses) return;
+            
+            const now = Date.now();
+            signatures.forEach((signature, index) => {
+                const status = statuses[index];
+                const pending = this.pendingFinality.get(signature);
+                
+                if (status && status.err) {
+                    this.resolveFinality(signature, 'failed');
+                } else if (status && status.confirmationStatus === 'finalized') {
+                    this.resolveFinality(signature, 'finalized');
+                } else if (pending && now - pending.since > this.FINALITY_TIMEOUT_MS) {
+                    this.resolveFinality(signature, 'dropped');
+                }
+            });
+        } finally {
+            // El siguiente sondeo se programa al terminar este, así nunca se solapan
+            this.finalityTimer = this.pendingFinality.size > 0
+                ? setTimeout(() => this.pollFinality(), this.FINALITY_POLL_MS)
+                : null;
+        }
+    }
+    
+    resolveFinality(signature, status) {
+        if (!this.pendingFinality.delete(signature)) return;
+        websocketLogger.info(`Transaction ${signature.substring(0, 8)}... ${status}`);
+        
+        if (this.onTransactionStatus) {
+            this.onTransactionStatus(signature, status);
+        }
+    }
+    
+    async fetchSignatureStatuses(signatures) {
+        this.rotateApiKeyByUsage();
+        const rpcUrl = `https://${this.network}.helius-rpc.com/?api-key=${this.getCurrentApiKey()}`;
+        
+        try {
+            const response = await axios.post(rpcUrl, {
+                jsonrpc: '2.0',
+                id: 'finality',
+                method: 'getSignatureStatuses',
+                params: [signatures, { searchTransactionHistory: false }]
+            }, {
+                headers: { 'Content-Type': 'application/json' },
+                timeout: 10000
+            });
+            
+            return response.data?.result?.value || null;
+        } catch (error) {
+            apiLogger.error(`Error fetching signature statuses: ${error.message}`);
+            return null;
+        }
+    }
+    
+    unsubscribe(subscriptionId) {
+        const request = this.subscriptionManager.createUnsubscribeRequest(subscriptionId);
+        if (!request || !this.websocket || !this.isConnected) return;
+        
+        this.websocket.send(JSON.stringify(request));
+        console.log(`📤 ${request.method} ${subscriptionId} (request #${request.id})`);
+    }
+    
+    // Cerrar y volver a abrir la conexión (p. ej. al cambiar de modo de suscripción)
+    restartConnection(reason) {
+        websocketLogger.info(`Restarting WebSocket connection: ${reason}`);
+        
+        if (this.websocket) {
+            this.websocket.close(1000, reason);
+        }
+        
+        setTimeout(() => {
+            this.connect();
+        }, 1000);
+    }
+    
     validateWalletAddress(address) {
         const regex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
         const isValid = regex.test(address);
@@ -1194,7 +2238,12 @@ class HeliusWebSocketBackend {
             trackedWallets: this.trackedWallets.size,
             walletsArray: Array.from(this.trackedWallets),
             currentApiKey: this.getCurrentApiKey().substring(0, 8) + '...',
+            subscriptionMode: this.subscriptionMode,
+            pendingFinality: this.pendingFinality.size,
+            subscriptions: this.subscriptionManager.getStats(),
             cacheSize: this.tokenInfoCache.size,
+            priceCacheSize: this.priceCache.size,
+            priceProvider: this.priceService.provider.name,
             queueSizes: {
                 enhanced: this.enhancedTransactionQueue.length,
                 assetBatch: this.assetBatchQueue.length
@@ -1212,3 +2261,6 @@ class HeliusWebSocketBackend {
 }
 
 module.exports = HeliusWebSocketBackend;
+module.exports.EVENT_CATEGORIES = EVENT_CATEGORIES;
+module.exports.SOL_MINT = SOL_MINT;
+module.exports.FILTER_RULE_LISTS = FILTER_RULE_LISTS;